@@ -1,8 +1,28 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import storage, { exportBackup, importBackup, getSyncStatus, onSyncChange } from "./storage.js";
-import { DEFAULT_CONFIG, ALL_WEEKDAYS, COLOR_PALETTE, ICON_OPTIONS, T, slotColors, font, fontMono } from "./config.js";
-import { generateSchedule, getActorStats, genShareText, genActorMsg, genStatsReport, getDefaultWeekPlan, fmtDate, fmtDateShort, normalizeAvail, SLOT_KEYS, SHIFTS } from "./scheduler.js";
-import { generateICS, downloadICS } from "./ics.js";
+import { DEFAULT_CONFIG, ALL_WEEKDAYS, COLOR_PALETTE, ICON_OPTIONS, SHIFT_ICON_OPTIONS, CONFLICT_SCOPES, SCENARIO_WEIGHT_OPTIONS, T, slotColor, shiftColors, font, fontMono } from "./config.js";
+import { generateSchedule, generateCandidates, compareCandidates, scheduleMetrics, suggestGapFixes, applyGapFix, rankReplacements, genCalloutMsg, getActorStats, genShareText, genActorMsg, genChangeMsg, genStatsReport, diffSchedules, getDefaultWeekPlan, getShifts, getSlotKeys, cellKey, standbyKey, validateSchedule, scopeLabel, scenarioWeight, isHeavy, fmtDate, fmtDateShort, normalizeAvail } from "./scheduler.js";
+import { emptyHistory, takeSnapshot, recordVersion, stepHistory, parseHistory, HISTORY_LIMIT } from "./history.js";
+import { MONTH_KEY, monthId, shiftMonth, buildLedger, windowTotals, lastPlayed } from "./ledger.js";
+import { resolvePlans, ownerOf } from "./boundary.js";
+import { generateICS, downloadICS, generateActorICS, downloadActorICS, downloadActorsZip, parseBusyBlocks, availabilityFromBusy } from "./ics.js";
+
+// How many distinct schedules "Compare options" builds
+const CANDIDATE_COUNT = 3;
+
+// A fresh generation seed for "Reshuffle" (and the first generate of a month)
+function drawSeed() { return Math.floor(Math.random() * 1e9); }
+
+// One heuristic generateSchedule run off the main thread (inline where workers aren't available)
+function solveOffThread({ weeks, weekPlans, availability, config, options }) {
+  if (typeof Worker === "undefined") return Promise.resolve(generateSchedule(weeks, weekPlans, availability, config, options));
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./generate.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => { if (data.type === "done") { worker.terminate(); resolve(data.result); } };
+    worker.onerror = err => { worker.terminate(); reject(err); };
+    worker.postMessage({ weeks, weekPlans, availability, config, options });
+  });
+}
 
 // ─── CSS KEYFRAMES (injected once) ──────────────────────────────────────────
 const KEYFRAMES_ID = "cit-keyframes";
@@ -165,8 +185,8 @@ function Chip({ children, active, color, onClick, dimmed, small }) {
   </button>;
 }
 
-function Input({ value, onChange, placeholder, style }) {
-  return <input value={value} onChange={e => onChange(e.target.value)} placeholder={placeholder} style={{ fontFamily: font, fontSize: `${T.fontBody}px`, padding: `${T.sp12}px ${T.sp16}px`, borderRadius: `${T.radiusMd}px`, border: `1.5px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", width: "100%", transition: `border ${T.dFast} ${T.easeProductive}`, minHeight: "44px", ...style }} onFocus={e => e.target.style.borderColor = T.accent} onBlur={e => e.target.style.borderColor = T.border} />;
+function Input({ value, onChange, placeholder, style, list }) {
+  return <input value={value} onChange={e => onChange(e.target.value)} placeholder={placeholder} list={list} style={{ fontFamily: font, fontSize: `${T.fontBody}px`, padding: `${T.sp12}px ${T.sp16}px`, borderRadius: `${T.radiusMd}px`, border: `1.5px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", width: "100%", transition: `border ${T.dFast} ${T.easeProductive}`, minHeight: "44px", ...style }} onFocus={e => e.target.style.borderColor = T.accent} onBlur={e => e.target.style.borderColor = T.border} />;
 }
 
 function StyledSelect({ value, onChange, children, style }) {
@@ -181,10 +201,10 @@ function StatBox({ value, label, color }) {
   return <div style={{ textAlign: "center", flex: 1, minWidth: "70px" }}><div style={{ fontFamily: fontMono, fontSize: "24px", fontWeight: "700", color: color || T.accent, lineHeight: 1.1 }}>{value}</div><div style={{ fontSize: `${T.fontCaption}px`, color: T.textMuted, fontWeight: "700", marginTop: `${T.sp4}px`, textTransform: "uppercase", letterSpacing: "1px" }}>{label}</div></div>;
 }
 
-function SlotBar({ slotKey }) { return <div style={{ width: "4px", height: "28px", borderRadius: "2px", background: slotColors[slotKey] || T.accent, boxShadow: `0 0 8px ${slotColors[slotKey] || T.accent}40`, flexShrink: 0 }} />; }
+function SlotBar({ slotKey }) { return <div style={{ width: "4px", height: "28px", borderRadius: "2px", background: slotColor(slotKey), boxShadow: `0 0 8px ${slotColor(slotKey)}40`, flexShrink: 0 }} />; }
 
 // ─── MODALS ────────────────────────────────────────────────────────────────
-function Overlay({ children, onClose }) {
+function Overlay({ children, onClose, wide }) {
   const mobile = window.innerWidth < 480;
   const overlayRef = useRef(null);
   const previousFocusRef = useRef(null);
@@ -215,7 +235,92 @@ function Overlay({ children, onClose }) {
     };
   }, [onClose]);
 
-  return <div onClick={onClose} style={{ position: "fixed", inset: 0, zIndex: 1000, background: "rgba(26,20,18,0.4)", display: "flex", alignItems: mobile ? "flex-end" : "center", justifyContent: "center", padding: mobile ? "0" : `${T.sp16}px`, backdropFilter: "blur(4px)", WebkitBackdropFilter: "blur(4px)", animation: `overlayIn 200ms ${T.easeExpressive}` }}><div ref={overlayRef} onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" style={{ width: "100%", maxWidth: mobile ? "100%" : "540px", maxHeight: mobile ? "85vh" : "92vh", overflowY: "auto", borderRadius: mobile ? `${T.radiusXl}px ${T.radiusXl}px 0 0` : `${T.radiusXl}px`, animation: mobile ? `sheetUp ${T.dNormal} ${T.easeExpressive}` : `fadeSlideIn ${T.dNormal} ${T.easeExpressive}` }}>{mobile && <div style={{ width: "40px", height: "4px", background: T.textFaint, borderRadius: "2px", margin: `${T.sp12}px auto ${T.sp4}px` }} />}{children}</div></div>;
+  return <div onClick={onClose} style={{ position: "fixed", inset: 0, zIndex: 1000, background: "rgba(26,20,18,0.4)", display: "flex", alignItems: mobile ? "flex-end" : "center", justifyContent: "center", padding: mobile ? "0" : `${T.sp16}px`, backdropFilter: "blur(4px)", WebkitBackdropFilter: "blur(4px)", animation: `overlayIn 200ms ${T.easeExpressive}` }}><div ref={overlayRef} onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" style={{ width: "100%", maxWidth: mobile ? "100%" : wide ? "860px" : "540px", maxHeight: mobile ? "85vh" : "92vh", overflowY: "auto", borderRadius: mobile ? `${T.radiusXl}px ${T.radiusXl}px 0 0` : `${T.radiusXl}px`, animation: mobile ? `sheetUp ${T.dNormal} ${T.easeExpressive}` : `fadeSlideIn ${T.dNormal} ${T.easeExpressive}` }}>{mobile && <div style={{ width: "40px", height: "4px", background: T.textFaint, borderRadius: "2px", margin: `${T.sp12}px auto ${T.sp4}px` }} />}{children}</div></div>;
+}
+
+// Why the generator gave a cell to its actor — from the provenance recorded during generation
+function WhyPopover({ entry, actor, scenario, manual, onClose }) {
+  const line = { fontSize: "12px", color: T.textSoft, lineHeight: 1.45, marginBottom: "3px" };
+  const sub = { fontFamily: fontMono, fontSize: "10px", fontWeight: "700", color: T.textMuted, letterSpacing: "1px", margin: "10px 0 4px" };
+  // Who the generator first put here, before any post-optimization move or trade
+  const picked = entry?.changes.length ? entry.changes[0].from : entry?.actor;
+  const summary = () => {
+    if (!entry) return actor ? "No explanation recorded for this cell — generate again to see one." : "Left empty — see the gap report above for who was blocked.";
+    if (entry.step === "locked") return `Kept as locked when the schedule was generated.`;
+    if (entry.step === "optimal") return `Chosen by the optimal search for the best balance over the whole month.`;
+    const rank = entry.ranked.findIndex(r => r.actor === picked);
+    const first = entry.step === "fallback" ? "Filled by the fallback pass (no complete schedule fit every rule). " : "";
+    if (rank === 0 && entry.ranked.length === 1) return `${first}${picked} was the only eligible actor.`;
+    if (rank === 0) return `${first}${picked} ranked first of ${entry.ranked.length} eligible — ${edge(entry.ranked[0], entry.ranked[1])}.`;
+    return `${first}${entry.ranked.slice(0, rank).map(r => r.actor).join(", ")} ranked higher, but placing them left a later cell with nobody eligible.`;
+  };
+  // What put the top-ranked actor ahead of the runner-up, in ranking order (see rankCandidates);
+  // load is balanced with the carry from earlier months added
+  const bal = r => Math.round((r.load + (r.carry || 0)) * 10) / 10;
+  const edge = (a, b) => a.short && !b.short ? "still short of their monthly minimum"
+    : !a.cooling && b.cooling ? `${b.actor} played ${scenario} too recently (heavy-role cooldown)`
+    : a.pref > b.pref && bal(a) >= bal(b) ? "prefers this slot"
+    : bal(a) < bal(b) ? `lower load${a.carry || b.carry ? " counting earlier months" : ""} (${bal(a)} vs ${bal(b)} for ${b.actor})`
+    : a.played < b.played ? `played ${scenario} fewer times (${a.played} vs ${b.played} for ${b.actor})`
+    : `level with ${b.actor} on load and variety; fewer other open cells or the month's seed decided`;
+  const drifted = entry && actor !== entry.actor;
+
+  return <div role="dialog" aria-label={`Why ${actor || "empty"}`} style={{ marginTop: "4px", padding: "12px 14px", background: T.bgRaised, border: `1px solid ${T.border}`, borderRadius: `${T.radiusMd}px`, boxShadow: "0 8px 32px rgba(26,20,18,0.16)", animation: `fadeSlideIn ${T.dFast} ${T.easeExpressive}` }}>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "6px" }}><span style={{ fontSize: "13px", fontWeight: "700", color: T.text }}>Why {actor || "empty"}?</span><button onClick={onClose} aria-label="Close" style={{ ...btnBase, background: "none", fontSize: "14px", color: T.textMuted, minHeight: "32px", minWidth: "32px" }}>✕</button></div>
+    {drifted && <div style={{ ...line, color: T.amber }}>{manual ? "Picked by hand" : "Changed"} after generation — the generator chose {entry.actor || "nobody"}.</div>}
+    <div style={line}>{summary()}</div>
+    {entry?.relaxed && <div style={{ ...line, color: T.amber }}>⚠ Placed with conflict rules, scenario limits and the heavy-role cap relaxed — no schedule fit them all.</div>}
+    {entry?.changes.map((c, i) => <div key={i} style={line}>↔ {c.from} → {c.to}: {c.reason}</div>)}
+    {entry?.ranked.length > 0 && <><div style={sub}>{entry.step === "optimal" ? "COULD ALSO TAKE IT" : "ELIGIBLE, BEST FIRST"}</div>
+      {entry.ranked.map(r => <div key={r.actor} style={{ ...line, display: "flex", justifyContent: "space-between", gap: "8px", fontWeight: r.actor === picked ? "700" : "400", color: r.actor === picked ? T.text : T.textSoft }}><span>{r.actor}</span><span style={{ fontFamily: fontMono, fontSize: "11px" }}>load {r.load}{r.carry ? ` ${r.carry > 0 ? "+" : "−"}${Math.abs(r.carry)} earlier` : ""} · {r.played}× {scenario}{r.pref > 0 ? " · 💛" : r.pref < 0 ? " · avoids" : ""}</span></div>)}</>}
+    {entry?.excluded.length > 0 && <><div style={sub}>NOT ELIGIBLE</div>
+      {entry.excluded.map(x => <div key={x.actor} style={line}><b style={{ color: T.text, fontWeight: "600" }}>{x.actor}</b> — {x.reason}</div>)}</>}
+  </div>;
+}
+
+// Same-day call-out: pick a replacement (or an in-tour swap), then send the ready-made texts
+function CalloutPanel({ cell, schedule, availability, config, standby, recent, seed, onApply, onClose, showToast }) {
+  const [messages, setMessages] = useState(null);
+  // Ranked once when opened — after a pick the cell holds the replacement, not the actor who's out
+  const [{ out, date, replacements, swaps }] = useState(() => rankReplacements(schedule, availability, config, cell, standby, recent, seed));
+  const callout = { ...cell, date, out };
+  const shiftLabel = getShifts(config).find(sh => sh.id === cell.shift)?.label || cell.shift;
+  const tag = r => [r.standby ? `🛟 standby #${r.standby}` : null, `load ${r.load}`].filter(Boolean).join(" · ");
+
+  const choose = (moves, texts) => {
+    onApply(cell, moves, out);
+    setMessages(texts);
+  };
+  const copy = async text => {
+    const ok = await copyToClipboard(text);
+    showToast(ok ? "Copied ✓" : "Copy failed — try selecting the text manually", ok ? "success" : "error");
+  };
+
+  return <Overlay onClose={onClose}><Card style={{ padding: "24px" }}>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "4px" }}><h2 style={{ fontFamily: font, fontSize: "18px", fontWeight: "800", margin: 0, color: T.text }}>🚫 {out} is out</h2><button onClick={onClose} aria-label="Close" style={{ ...btnBase, background: "none", fontSize: "20px", color: T.textMuted, minHeight: "44px", minWidth: "44px" }}>✕</button></div>
+    <p style={{ fontSize: "12px", color: T.textMuted, margin: "0 0 14px" }}>{config.scenarioIcons[cell.scenario] || "🎭"} {cell.scenario} · {fmtDate(date)} · {shiftLabel} tour</p>
+    {messages ? <>
+      <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 10px" }}>Saved and locked. {messages.length ? `Send ${messages.length === 1 ? "this" : "these"} now:` : `${cell.scenario} is left empty.`}</p>
+      {messages.map(m => <div key={m.actor} style={{ marginBottom: "10px" }}>
+        <div style={{ fontSize: "12px", fontWeight: "700", color: T.text, marginBottom: "4px" }}>To {m.actor}</div>
+        <div style={{ fontSize: "12px", color: T.textSoft, background: T.bgRaised, border: `1px solid ${T.border}`, borderRadius: "8px", padding: "10px 12px", lineHeight: 1.5, whiteSpace: "pre-wrap" }}>{m.text}</div>
+        <Btn variant="small" onClick={() => copy(m.text)} style={{ marginTop: "6px", fontSize: "11px" }}>📋 Copy</Btn>
+      </div>)}
+      <Btn onClick={onClose} style={{ width: "100%", marginTop: "6px" }}>Done</Btn>
+    </> : <>
+      {replacements.length > 0 && <div style={{ fontFamily: fontMono, fontSize: "10px", fontWeight: "700", color: T.textMuted, letterSpacing: "1px", marginBottom: "6px" }}>REPLACEMENTS, BEST FIRST</div>}
+      {replacements.map(r => <div key={r.actor} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "8px", padding: "8px 12px", borderRadius: "10px", border: `1px solid ${r.standby ? T.accent : T.border}`, background: r.standby ? T.accentSoft : T.bgRaised, marginBottom: "6px" }}>
+        <div><div style={{ fontSize: "13px", fontWeight: "600", color: T.text }}>{r.actor}</div><div style={{ fontFamily: fontMono, fontSize: "11px", color: T.textMuted }}>{tag(r)}</div></div>
+        <Btn variant="small" onClick={() => choose([{ scenario: cell.scenario, actor: r.actor }], [{ actor: r.actor, text: genCalloutMsg(r.actor, callout, config) }])}>Use</Btn>
+      </div>)}
+      {!replacements.length && <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 10px" }}>Nobody free can play {cell.scenario} — approved, available and within the rules.{swaps.length ? " A colleague in this tour could switch roles:" : ""}</p>}
+      {swaps.map(sw => <div key={sw.colleague} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "8px", padding: "8px 12px", borderRadius: "10px", border: `1px solid ${T.border}`, background: T.bgRaised, marginBottom: "6px" }}>
+        <div><div style={{ fontSize: "13px", fontWeight: "600", color: T.text }}>{sw.colleague} → {cell.scenario}, {sw.actor} → {sw.from}</div><div style={{ fontFamily: fontMono, fontSize: "11px", color: T.textMuted }}>{sw.actor}: {tag(sw)}</div></div>
+        <Btn variant="small" onClick={() => choose([{ scenario: cell.scenario, actor: sw.colleague }, { scenario: sw.from, actor: sw.actor }], [{ actor: sw.colleague, text: genCalloutMsg(sw.colleague, { ...callout, from: sw.from }, config) }, { actor: sw.actor, text: genCalloutMsg(sw.actor, { ...callout, scenario: sw.from }, config) }])}>Use swap</Btn>
+      </div>)}
+      <Btn variant="secondary" onClick={() => choose([{ scenario: cell.scenario, actor: null }], [])} style={{ width: "100%", marginTop: "8px" }}>Leave {cell.scenario} empty</Btn>
+    </>}
+  </Card></Overlay>;
 }
 
 function WelcomeModal({ onClose }) {
@@ -223,29 +328,146 @@ function WelcomeModal({ onClose }) {
   return <Overlay onClose={onClose}><Card style={{ padding: "32px", textAlign: "center" }}><div style={{ fontSize: "48px", marginBottom: "8px" }}>🎭</div><h1 style={{ fontFamily: font, fontSize: "22px", fontWeight: "800", color: T.text, margin: "0 0 4px", letterSpacing: "-0.02em" }}>CIT Actor Scheduler</h1><p style={{ fontSize: "14px", color: T.textMuted, margin: "0 0 24px" }}>Four steps. That's it.</p><div style={{ textAlign: "left" }}>{steps.map((s, i) => <div key={i} style={{ display: "flex", gap: "14px", marginBottom: "16px", alignItems: "flex-start" }}><div style={{ width: "36px", height: "36px", borderRadius: "10px", background: `linear-gradient(135deg, ${T.accent}, ${T.accentHover})`, color: "#fff", display: "flex", alignItems: "center", justifyContent: "center", fontWeight: "800", fontSize: "14px", flexShrink: 0, boxShadow: `0 0 12px ${T.accentGlow}` }}>{s.n}</div><div><div style={{ fontWeight: "700", color: T.text, fontSize: "14px" }}>{s.t}</div><div style={{ color: T.textSoft, fontSize: "13px", lineHeight: 1.4 }}>{s.d}</div></div></div>)}</div><Btn onClick={onClose} style={{ width: "100%", marginTop: "8px", padding: "14px", fontSize: "15px" }}>Let's go →</Btn></Card></Overlay>;
 }
 
-function ShareModal({ weeks, weekPlans, schedule, monthName, year, config, onClose, showToast }) {
+function ShareModal({ weeks, weekPlans, schedule, standby, month, monthName, year, config, exportLogs, onExported, onClose, onMarkSent, showToast }) {
   const [type, setType] = useState("full");
   const [actor, setActor] = useState(config.actors[0]);
   const [copied, setCopied] = useState(false);
-  const text = type === "full" ? genShareText(weeks, weekPlans, schedule, monthName, year, config) : genActorMsg(actor, weeks, weekPlans, schedule, monthName, year, config);
+  const text = type === "full" ? genShareText(weeks, weekPlans, schedule, monthName, year, config, standby) : genActorMsg(actor, weeks, weekPlans, schedule, monthName, year, config, standby);
   const copy = async () => {
     const ok = await copyToClipboard(text);
     if (ok) { setCopied(true); setTimeout(() => setCopied(false), 2000); }
     else { showToast("Copy failed — try selecting the text manually", "error"); }
   };
-  return <Overlay onClose={onClose}><Card style={{ padding: "28px" }}><div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "16px" }}><h2 style={{ fontFamily: font, fontSize: "18px", fontWeight: "800", margin: 0, color: T.text }}>📤 Share Schedule</h2><button onClick={onClose} aria-label="Close" style={{ ...btnBase, background: "none", fontSize: "20px", color: T.textMuted, minHeight: "44px", minWidth: "44px" }}>✕</button></div><div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}><Btn variant={type === "full" ? "primary" : "secondary"} onClick={() => setType("full")}>📋 Full</Btn><Btn variant={type === "actor" ? "primary" : "secondary"} onClick={() => setType("actor")}>👤 Individual</Btn></div>{type === "actor" && <div style={{ marginBottom: "12px" }}><div style={{ display: "flex", flexWrap: "wrap", gap: "5px" }}>{config.actors.map(a => <Chip key={a} active={actor === a} color={config.actorColors[a]} onClick={() => setActor(a)} small>{a}</Chip>)}</div></div>}<div style={{ fontFamily: fontMono, fontSize: "11.5px", lineHeight: 1.6, background: T.bg, border: `1px solid ${T.border}`, borderRadius: "12px", padding: "16px", whiteSpace: "pre-wrap", maxHeight: "260px", overflowY: "auto", color: T.textSoft }}>{text}</div><Btn onClick={copy} style={{ width: "100%", marginTop: "12px", padding: "14px" }} variant={copied ? "mint" : "primary"}>{copied ? "✓ Copied!" : "📋 Copy to Clipboard"}</Btn></Card></Overlay>;
+  const exportActorCal = () => {
+    const { ics, count, cancelled, exportLog } = generateActorICS(actor, weeks, weekPlans, schedule, year, month, config, exportLogs()[actor]);
+    if (!count && !cancelled) { showToast(`${actor} has no shifts this month`, "warning"); return; }
+    downloadActorICS(ics, actor, monthName, year);
+    onExported({ [actor]: exportLog });
+    showToast(cancelled ? `${actor}'s calendar downloaded · ${cancelled} canceled event${cancelled !== 1 ? "s" : ""}` : `${actor}'s calendar downloaded`, "success");
+  };
+  const exportAllCals = () => {
+    const { files: n, exportLogs: logs } = downloadActorsZip(config.actors, weeks, weekPlans, schedule, year, month, monthName, config, exportLogs());
+    if (n) onExported(logs);
+    showToast(n ? `${n} actor calendar${n !== 1 ? "s" : ""} zipped` : "No actors scheduled yet", n ? "success" : "warning");
+  };
+  return <Overlay onClose={onClose}><Card style={{ padding: "28px" }}><div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "16px" }}><h2 style={{ fontFamily: font, fontSize: "18px", fontWeight: "800", margin: 0, color: T.text }}>📤 Share Schedule</h2><button onClick={onClose} aria-label="Close" style={{ ...btnBase, background: "none", fontSize: "20px", color: T.textMuted, minHeight: "44px", minWidth: "44px" }}>✕</button></div><div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}><Btn variant={type === "full" ? "primary" : "secondary"} onClick={() => setType("full")}>📋 Full</Btn><Btn variant={type === "actor" ? "primary" : "secondary"} onClick={() => setType("actor")}>👤 Individual</Btn></div>{type === "actor" && <div style={{ marginBottom: "12px" }}><div style={{ display: "flex", flexWrap: "wrap", gap: "5px" }}>{config.actors.map(a => <Chip key={a} active={actor === a} color={config.actorColors[a]} onClick={() => setActor(a)} small>{a}</Chip>)}</div></div>}<div style={{ fontFamily: fontMono, fontSize: "11.5px", lineHeight: 1.6, background: T.bg, border: `1px solid ${T.border}`, borderRadius: "12px", padding: "16px", whiteSpace: "pre-wrap", maxHeight: "260px", overflowY: "auto", color: T.textSoft }}>{text}</div><Btn onClick={copy} style={{ width: "100%", marginTop: "12px", padding: "14px" }} variant={copied ? "mint" : "primary"}>{copied ? "✓ Copied!" : "📋 Copy to Clipboard"}</Btn>{type === "full" && <Btn variant="secondary" onClick={() => { onMarkSent(); onClose() }} style={{ width: "100%", marginTop: "8px" }}>📌 Mark as Sent</Btn>}{type === "actor" && <div style={{ display: "flex", gap: "8px", marginTop: "8px" }}><Btn variant="secondary" onClick={exportActorCal} style={{ flex: 1 }}>📅 {actor}'s Calendar</Btn><Btn variant="secondary" onClick={exportAllCals} style={{ flex: 1 }}>🗂 All Actors (.zip)</Btn></div>}</Card></Overlay>;
+}
+
+// ─── CHANGE NOTICE ─────────────────────────────────────────────────────────
+function ChangeNoticeCard({ actor, changes, monthName, year, config, showToast }) {
+  const [open, setOpen] = useState(false);
+  const shifts = getShifts(config);
+  const cl = config.actorColors[actor] || T.textSoft;
+  const text = genChangeMsg(actor, changes, monthName, year, config);
+  const cellLabel = c => `${fmtDateShort(c.date)} ${shifts.find(sh => sh.id === c.shift)?.icon || ""} ${config.scenarioIcons[c.scenario] || "🎭"} ${c.scenario}`;
+  const copy = async () => {
+    const ok = await copyToClipboard(text);
+    showToast(ok ? `Notice for ${actor} copied` : "Copy failed — try selecting the text manually", ok ? "success" : "error");
+  };
+  return <Card style={{ marginBottom: "10px", padding: "14px" }} accent={cl}>
+    <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "8px", marginBottom: "8px" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "8px" }}><div style={{ width: "28px", height: "28px", borderRadius: "8px", background: `${cl}20`, display: "flex", alignItems: "center", justifyContent: "center", fontWeight: "700", fontSize: "13px", color: cl }}>{actor[0]}</div><span style={{ fontWeight: "700", fontSize: "14px", color: T.text }}>{actor}</span></div>
+      <div style={{ display: "flex", gap: "4px" }}>{changes.moved.length > 0 && <Badge type="info">{changes.moved.length} moved</Badge>}{changes.added.length > 0 && <Badge type="success">+{changes.added.length}</Badge>}{changes.removed.length > 0 && <Badge type="error">−{changes.removed.length}</Badge>}</div>
+    </div>
+    {changes.moved.map((m, i) => <div key={`m${i}`} style={{ fontSize: "12px", color: T.textSoft, marginBottom: "3px" }}>🔁 <span style={{ textDecoration: "line-through", color: T.textMuted }}>{cellLabel(m.from)}</span> → {cellLabel(m.to)}</div>)}
+    {changes.added.map((c, i) => <div key={`a${i}`} style={{ fontSize: "12px", color: T.green, marginBottom: "3px" }}>➕ {cellLabel(c)}</div>)}
+    {changes.removed.map((c, i) => <div key={`r${i}`} style={{ fontSize: "12px", color: T.red, marginBottom: "3px" }}>❌ {cellLabel(c)}</div>)}
+    {open && <div style={{ fontFamily: fontMono, fontSize: "11.5px", lineHeight: 1.6, background: T.bg, border: `1px solid ${T.border}`, borderRadius: "12px", padding: "12px", whiteSpace: "pre-wrap", marginTop: "8px", color: T.textSoft }}>{text}</div>}
+    <div style={{ display: "flex", gap: "6px", marginTop: "10px" }}><Btn variant="small" onClick={() => setOpen(o => !o)}>{open ? "Hide message" : "👁 Preview message"}</Btn><Btn variant="small" onClick={copy}>📋 Copy notice</Btn></div>
+  </Card>;
+}
+
+// ─── VERSION HISTORY ───────────────────────────────────────────────────────
+function HistoryPanel({ history, current, onRestore, onClose }) {
+  const [compareId, setCompareId] = useState(null);
+  const entries = history.entries.map((entry, i) => ({ entry, i })).reverse();
+  const fmtTime = at => new Date(at).toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit", second: "2-digit" });
+
+  // What restoring `data` would change relative to what's on screen now
+  const compare = data => {
+    const changes = diffSchedules(data.schedule, current.schedule);
+    const dates = new Set([...Object.keys(data.availability || {}), ...Object.keys(current.availability || {})]);
+    const availDates = [...dates].filter(ds => JSON.stringify(data.availability?.[ds] || {}) !== JSON.stringify(current.availability?.[ds] || {})).length;
+    const planWeeks = new Set([...Object.keys(data.weekPlans || {}), ...Object.keys(current.weekPlans || {})]);
+    const weekChanges = [...planWeeks].filter(wk => JSON.stringify(data.weekPlans?.[wk]) !== JSON.stringify(current.weekPlans?.[wk])).length;
+    const lines = [];
+    if (!data.schedule && current.schedule) lines.push("No schedule in this version");
+    else if (data.schedule && !current.schedule) lines.push("Has a schedule (none now)");
+    else Object.entries(changes).forEach(([a, c]) => { const n = c.added.length + c.removed.length + c.moved.length; lines.push(`${a}: ${n} assignment${n !== 1 ? "s" : ""} differ`) });
+    if (availDates) lines.push(`Availability differs on ${availDates} date${availDates !== 1 ? "s" : ""}`);
+    if (weekChanges) lines.push(`Week plan differs in ${weekChanges} week${weekChanges !== 1 ? "s" : ""}`);
+    return lines.length ? lines : ["Identical to current"];
+  };
+
+  return <Overlay onClose={onClose}><Card style={{ padding: "24px" }}>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}><h2 style={{ fontFamily: font, fontSize: "18px", fontWeight: "800", margin: 0, color: T.text }}>🕘 Version History</h2><button onClick={onClose} aria-label="Close" style={{ ...btnBase, background: "none", fontSize: "20px", color: T.textMuted, minHeight: "44px", minWidth: "44px" }}>✕</button></div>
+    <p style={{ fontSize: "12px", color: T.textMuted, margin: "0 0 14px" }}>Last {HISTORY_LIMIT} versions of this month. Restoring adds a new version, so it can be undone.</p>
+    {entries.length === 0 && <p style={{ fontSize: "13px", color: T.textMuted }}>No versions yet.</p>}
+    <div style={{ maxHeight: "60vh", overflowY: "auto" }}>
+      {entries.map(({ entry, i }) => { const isCurrent = i === history.index; const redo = i > history.index; return <div key={entry.id} style={{ padding: "10px 12px", borderRadius: "10px", border: `1px solid ${isCurrent ? T.accent : T.border}`, background: isCurrent ? T.accentSoft : T.bgRaised, marginBottom: "6px", opacity: redo ? 0.6 : 1 }}>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "8px" }}>
+          <div><div style={{ fontSize: "13px", fontWeight: "600", color: T.text }}>{entry.label}</div><div style={{ fontFamily: fontMono, fontSize: "11px", color: T.textMuted }}>{fmtTime(entry.at)}</div></div>
+          {isCurrent ? <Badge type="accent">Current</Badge> : <div style={{ display: "flex", gap: "4px" }}><Btn variant="small" onClick={() => setCompareId(compareId === entry.id ? null : entry.id)}>{compareId === entry.id ? "Hide" : "Compare"}</Btn><Btn variant="small" onClick={() => onRestore(entry)}>Restore</Btn></div>}
+        </div>
+        {compareId === entry.id && <div style={{ marginTop: "8px", paddingTop: "8px", borderTop: `1px solid ${T.border}` }}>{compare(entry.data).map((line, li) => <div key={li} style={{ fontSize: "12px", color: T.textSoft, marginBottom: "2px" }}>{line}</div>)}</div>}
+      </div> })}
+    </div>
+  </Card></Overlay>;
+}
+
+function CandidatesPanel({ candidates, current, config, onAdopt, onClose }) {
+  const shifts = getShifts(config);
+  // "PM balance" — the afternoon tour if there is one, otherwise the last tour of the day
+  const balanceShift = shifts.find(sh => sh.id === "PM") || shifts[shifts.length - 1];
+  const currentMetrics = current && scheduleMetrics(current, config);
+  const actors = [...new Set([...config.actors, ...candidates.flatMap(c => Object.keys(c.metrics.perActor))])];
+  const cell = { padding: "6px 8px", fontSize: "12px", borderBottom: `1px solid ${T.border}`, textAlign: "center", whiteSpace: "nowrap" };
+  const head = { ...cell, fontWeight: "700", color: T.textMuted, fontSize: "11px", textTransform: "uppercase", letterSpacing: "0.04em" };
+  const rows = [
+    ["Fairness", c => `${c.fairnessReport.overallFairness}%`],
+    ["Scenario diversity", c => `${c.metrics.diversity}%`],
+    [`${balanceShift?.label || "PM"} balance`, c => c.metrics.shiftSpread[balanceShift?.id] ? `±${c.metrics.shiftSpread[balanceShift.id]}` : "even"],
+    ["Gaps", c => c.errors.length ? <span style={{ color: T.red, fontWeight: "700" }}>{c.errors.length}</span> : "0"],
+  ];
+  const delta = (c, a) => {
+    const n = c.metrics.perActor[a]?.total || 0;
+    if (!currentMetrics) return n;
+    const d = n - (currentMetrics.perActor[a]?.total || 0);
+    return <>{n}{d !== 0 && <span style={{ color: T.textMuted, fontSize: "11px", marginLeft: "4px" }}>{d > 0 ? `+${d}` : d}</span>}</>;
+  };
+
+  return <Overlay onClose={onClose} wide><Card style={{ padding: "24px" }}>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}><h2 style={{ fontFamily: font, fontSize: "18px", fontWeight: "800", margin: 0, color: T.text }}>🔀 Compare Options</h2><button onClick={onClose} aria-label="Close" style={{ ...btnBase, background: "none", fontSize: "20px", color: T.textMuted, minHeight: "44px", minWidth: "44px" }}>✕</button></div>
+    <p style={{ fontSize: "12px", color: T.textMuted, margin: "0 0 14px" }}>{candidates.length} distinct schedule{candidates.length !== 1 ? "s" : ""}, best first.{currentMetrics ? " Shift counts show the change from the current schedule." : ""} Adopting one replaces this month's schedule — it can be undone from Version History.</p>
+    <div style={{ overflowX: "auto" }}><table style={{ width: "100%", borderCollapse: "collapse", fontFamily: font, color: T.text }}>
+      <thead><tr><th style={{ ...head, textAlign: "left" }}></th>{candidates.map((c, i) => <th key={c.seed} style={head}>Option {i + 1}<div style={{ fontFamily: fontMono, fontWeight: "400", textTransform: "none", letterSpacing: 0 }}>seed {c.seed}</div></th>)}</tr></thead>
+      <tbody>
+        {rows.map(([label, value]) => <tr key={label}><td style={{ ...cell, textAlign: "left", fontWeight: "600" }}>{label}</td>{candidates.map(c => <td key={c.seed} style={{ ...cell, fontFamily: fontMono }}>{value(c)}</td>)}</tr>)}
+        <tr><td colSpan={candidates.length + 1} style={{ ...head, textAlign: "left", paddingTop: "14px" }}>Shifts per actor</td></tr>
+        {actors.map(a => <tr key={a}><td style={{ ...cell, textAlign: "left" }}>{a}</td>{candidates.map(c => <td key={c.seed} style={{ ...cell, fontFamily: fontMono }}>{delta(c, a)}</td>)}</tr>)}
+        <tr><td style={cell}></td>{candidates.map((c, i) => <td key={c.seed} style={{ ...cell, borderBottom: "none", paddingTop: "12px" }}><Btn variant="small" onClick={() => onAdopt(c, i + 1)}>Adopt</Btn></td>)}</tr>
+      </tbody>
+    </table></div>
+  </Card></Overlay>;
 }
 
 // ─── WEEK PLANNER ──────────────────────────────────────────────────────────
-function WeekPlanner({ weekIndex, weekDays, plan, config, onChange, isMobile }) {
+// plan is resolved against the neighbouring month (resolvePlans); borrowed = { slotKey: { month, date } } are
+// the slots that month runs in a shared week, and days it owns can't be picked here
+function WeekPlanner({ weekIndex, weekDays, plan, month, borrowed = {}, config, onChange, onOpenMonth, isMobile }) {
+  const slotKeys = getSlotKeys(config);
   const defaultPlan = getDefaultWeekPlan(weekDays, config);
   const currentPlan = plan || defaultPlan;
-  const allCanceled = SLOT_KEYS.every(sk => !currentPlan[sk]);
+  const allCanceled = slotKeys.every(sk => !currentPlan[sk] && !borrowed[sk]);
   const [collapsed, setCollapsed] = useState(false);
+  const isOwn = date => ownerOf(date) === month;
+  const otherMonth = id => { const [y, m] = id.split("-").map(Number); return new Date(y, m - 1).toLocaleString('default', { month: 'long' }); };
+  // Every change drops the other month's days and slots before it's saved
+  const change = p => onChange(Object.fromEntries(slotKeys.map(sk => [sk, p[sk] && isOwn(p[sk]) && !borrowed[sk] ? p[sk] : null])));
 
   const shiftForward = () => {
     const newPlan = {};
-    SLOT_KEYS.forEach(sk => {
+    slotKeys.forEach(sk => {
       const currentDate = currentPlan[sk];
       if (!currentDate) return;
       const idx = weekDays.findIndex(w => w.date === currentDate);
@@ -253,23 +475,23 @@ function WeekPlanner({ weekIndex, weekDays, plan, config, onChange, isMobile })
       else if (idx === weekDays.length - 1) newPlan[sk] = null;
       else newPlan[sk] = currentDate;
     });
-    onChange(newPlan);
+    change(newPlan);
   };
 
   const shiftBack = () => {
     const newPlan = {};
-    SLOT_KEYS.forEach(sk => {
+    slotKeys.forEach(sk => {
       const currentDate = currentPlan[sk];
       if (!currentDate) return;
       const idx = weekDays.findIndex(w => w.date === currentDate);
       if (idx > 0) newPlan[sk] = weekDays[idx - 1].date;
       else newPlan[sk] = currentDate;
     });
-    onChange(newPlan);
+    change(newPlan);
   };
 
-  const resetDefault = () => onChange(defaultPlan);
-  const cancelWeek = () => onChange({ slot1: null, slot2: null, slot3: null });
+  const resetDefault = () => change(defaultPlan);
+  const cancelWeek = () => change(Object.fromEntries(slotKeys.map(sk => [sk, null])));
 
   const assignSlotToDate = (slotKey, dateStr) => {
     const newPlan = { ...currentPlan };
@@ -278,16 +500,12 @@ function WeekPlanner({ weekIndex, weekDays, plan, config, onChange, isMobile })
       Object.keys(newPlan).forEach(sk => { if (newPlan[sk] === dateStr && sk !== slotKey) newPlan[sk] = null; });
       newPlan[slotKey] = dateStr;
     }
-    onChange(newPlan);
+    change(newPlan);
   };
 
   const startFrom = (startDate) => {
     const startIdx = weekDays.findIndex(w => w.date === startDate);
-    onChange({
-      slot1: weekDays[startIdx]?.date || null,
-      slot2: weekDays[startIdx + 1]?.date || null,
-      slot3: weekDays[startIdx + 2]?.date || null,
-    });
+    change(Object.fromEntries(slotKeys.map((sk, i) => [sk, weekDays[startIdx + i]?.date || null])));
   };
 
   return (
@@ -306,7 +524,7 @@ function WeekPlanner({ weekIndex, weekDays, plan, config, onChange, isMobile })
         </div>
         <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
           {!allCanceled && !collapsed && <span style={{ fontSize: "11px", color: T.textFaint }}>
-            {SLOT_KEYS.filter(sk => currentPlan[sk]).map(sk => {
+            {slotKeys.filter(sk => currentPlan[sk]).map(sk => {
               const d = weekDays.find(w => w.date === currentPlan[sk]);
               return d ? getDayAbbr(d.dayName) : null;
             }).filter(Boolean).join(" → ")}
@@ -323,11 +541,13 @@ function WeekPlanner({ weekIndex, weekDays, plan, config, onChange, isMobile })
           </div>
           <div style={{ display: "flex", gap: "4px", flexWrap: "wrap" }}>
             {weekDays.map(wd => {
-              const isCurrentStart = currentPlan.slot1 === wd.date;
+              const isCurrentStart = currentPlan[slotKeys[0]] === wd.date;
               return (
                 <button
                   key={wd.date}
                   onClick={() => startFrom(wd.date)}
+                  disabled={!isOwn(wd.date)}
+                  title={isOwn(wd.date) ? undefined : `${otherMonth(ownerOf(wd.date))} plans this day`}
                   style={{
                     ...btnBase,
                     flex: "1 1 0",
@@ -347,6 +567,8 @@ function WeekPlanner({ weekIndex, weekDays, plan, config, onChange, isMobile })
                     boxShadow: isCurrentStart
                       ? `0 0 12px ${T.accentGlow}`
                       : "none",
+                    opacity: isOwn(wd.date) ? 1 : 0.4,
+                    cursor: isOwn(wd.date) ? "pointer" : "not-allowed",
                   }}
                 >
                   {getDayAbbr(wd.dayName)}
@@ -358,11 +580,22 @@ function WeekPlanner({ weekIndex, weekDays, plan, config, onChange, isMobile })
 
         {/* Slot cards with day pills */}
         <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", flexDirection: isMobile ? "column" : "row" }}>
-          {SLOT_KEYS.map(sk => {
+          {slotKeys.map(sk => {
             const scenarios = config.slotScenarios[sk] || [];
-            const color = slotColors[sk];
+            const color = slotColor(sk);
             const assigned = currentPlan[sk];
             const dayInfo = assigned ? weekDays.find(w => w.date === assigned) : null;
+            const lent = borrowed[sk];
+            if (lent) {
+              const lentDay = weekDays.find(w => w.date === lent.date);
+              return (
+                <div key={sk} style={{ flex: "1 1 0", minWidth: isMobile ? "auto" : "140px", padding: "10px 12px", borderRadius: "12px", border: `1.5px dashed ${T.border}`, background: T.bgRaised }}>
+                  <div style={{ fontSize: "11px", fontWeight: "700", color: T.textMuted, textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: "8px" }}>{config.slotNames[sk]}</div>
+                  <div style={{ padding: "8px 12px", borderRadius: "10px", border: `1px solid ${T.border}`, fontSize: "14px", fontWeight: "700", color: T.textSoft, marginBottom: "6px" }}>{lentDay ? getDayAbbr(lentDay.dayName) : ""} {fmtDate(lent.date)}</div>
+                  <button onClick={() => onOpenMonth(lent.month)} style={{ ...btnBase, background: "none", padding: 0, fontSize: "11px", color: T.accent, textAlign: "left" }}>Planned in {otherMonth(lent.month)} →</button>
+                </div>
+              );
+            }
             return (
               <div key={sk} style={{ flex: "1 1 0", minWidth: isMobile ? "auto" : "140px", padding: "10px 12px", borderRadius: "12px", border: `1.5px solid ${assigned ? `${color}35` : T.border}`, background: assigned ? `${color}08` : T.bgRaised }}>
                 <div style={{ fontSize: "11px", fontWeight: "700", color: color, textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: "8px" }}>
@@ -380,7 +613,7 @@ function WeekPlanner({ weekIndex, weekDays, plan, config, onChange, isMobile })
                 {/* Secondary dropdown for manual override */}
                 <StyledSelect value={assigned || ""} onChange={e => assignSlotToDate(sk, e.target.value)} style={{ width: "100%", fontSize: "11px", minHeight: "36px", padding: "6px 28px 6px 10px" }}>
                   <option value="">— Off —</option>
-                  {weekDays.map(wd => <option key={wd.date} value={wd.date}>{getDayAbbr(wd.dayName)} {fmtDate(wd.date)}</option>)}
+                  {weekDays.map(wd => <option key={wd.date} value={wd.date} disabled={!isOwn(wd.date)}>{getDayAbbr(wd.dayName)} {fmtDate(wd.date)}{isOwn(wd.date) ? "" : ` · ${otherMonth(ownerOf(wd.date))}`}</option>)}
                 </StyledSelect>
                 <div style={{ fontSize: "10px", color: T.textFaint, marginTop: "4px" }}>{scenarios.map(s => `${config.scenarioIcons[s] || ""} ${s}`).join(", ")}</div>
               </div>
@@ -400,9 +633,29 @@ function WeekPlanner({ weekIndex, weekDays, plan, config, onChange, isMobile })
   );
 }
 
+// ─── BORROWED DAY ──────────────────────────────────────────────────────────
+// A day in a shared boundary week that the neighbouring month plans and schedules — read-only here
+function BorrowedDay({ slotKey, info, config, onOpen, showSchedule }) {
+  const shifts = getShifts(config);
+  const [y, m] = info.month.split("-").map(Number);
+  const monthLabel = new Date(y, m - 1).toLocaleString('default', { month: 'long' });
+  const [dy, dm, dd] = info.date.split("-").map(Number);
+  const dayName = new Date(dy, dm - 1, dd).toLocaleString('default', { weekday: 'long' });
+  const scenarios = config.slotScenarios[slotKey] || [];
+  return <Card style={{ marginBottom: showSchedule ? 0 : "8px", border: `1px dashed ${T.border}`, background: T.bgRaised }}>
+    <div style={{ display: "flex", alignItems: "center", gap: "10px", marginBottom: "10px", flexWrap: "wrap" }}><SlotBar slotKey={slotKey} /><span style={{ fontWeight: "700", fontSize: "15px", color: T.textSoft }}>{dayName}</span><span style={{ fontFamily: fontMono, fontSize: "12px", color: T.textMuted }}>{fmtDate(info.date)}</span><Badge>{config.slotNames[slotKey]}</Badge><Btn variant="small" onClick={onOpen} style={{ marginLeft: "auto", fontSize: "11px" }}>Open {monthLabel} →</Btn></div>
+    {showSchedule && (info.day
+      ? shifts.map(sh => <div key={sh.id} style={{ fontSize: "12px", color: T.textSoft, marginBottom: "4px" }}><span style={{ fontFamily: fontMono, fontSize: "10px", fontWeight: "700", color: T.textMuted }}>{sh.icon} {sh.label.toUpperCase()}</span> {scenarios.map(sc => `${sc}: ${info.day[sh.id]?.[sc] || "—"}`).join(" · ")}</div>)
+      : <p style={{ fontSize: "12px", color: T.textMuted, margin: "0 0 4px" }}>Not generated in {monthLabel} yet.</p>)}
+    <p style={{ fontSize: "11px", color: T.textFaint, margin: 0 }}>{monthLabel} plans and schedules this day — availability and changes go there.</p>
+  </Card>;
+}
+
 // ─── SUPERVISOR AVAILABILITY MATRIX ─────────────────────────────────────────
 function SupervisorMatrix({ actors, activeDates, availability, weekPlans, weeks, config, activeActors, onCellChange, isMobile }) {
   const dragRef = useRef({ active: false, value: true, shift: null });
+  const shifts = getShifts(config);
+  const slotKeys = getSlotKeys(config);
 
   useEffect(() => {
     const stop = () => { dragRef.current.active = false; };
@@ -414,32 +667,28 @@ function SupervisorMatrix({ actors, activeDates, availability, weekPlans, weeks,
   const datesByWeek = [];
   weeks.forEach((wd, wi) => {
     const plan = weekPlans[`week${wi}`] || getDefaultWeekPlan(wd, config);
-    const weekDates = SLOT_KEYS.map(sk => plan[sk]).filter(Boolean);
+    const weekDates = slotKeys.map(sk => plan[sk]).filter(Boolean);
     if (weekDates.length > 0) datesByWeek.push({ weekIndex: wi, dates: weekDates });
   });
 
   // Coverage counts per date per shift
   const coverage = {};
   for (const ds of activeDates) {
-    coverage[ds] = { AM: 0, PM: 0 };
+    coverage[ds] = Object.fromEntries(shifts.map(sh => [sh.id, 0]));
     for (const actor of actors) {
-      const norm = normalizeAvail(availability[ds]?.[actor]);
-      if (norm === 'both' || norm === 'am') coverage[ds].AM++;
-      if (norm === 'both' || norm === 'pm') coverage[ds].PM++;
+      for (const id of normalizeAvail(availability[ds]?.[actor], shifts)) coverage[ds][id]++;
     }
   }
 
   const handlePointerDown = (actor, ds, shift) => {
-    const norm = normalizeAvail(availability[ds]?.[actor]);
-    const isOn = shift === 'AM' ? (norm === 'both' || norm === 'am') : (norm === 'both' || norm === 'pm');
+    const isOn = normalizeAvail(availability[ds]?.[actor], shifts).includes(shift);
     dragRef.current = { active: true, value: !isOn, shift };
     onCellChange(ds, actor, shift, !isOn);
   };
 
   const handlePointerEnter = (actor, ds, shift) => {
     if (!dragRef.current.active || dragRef.current.shift !== shift) return;
-    const norm = normalizeAvail(availability[ds]?.[actor]);
-    const isOn = shift === 'AM' ? (norm === 'both' || norm === 'am') : (norm === 'both' || norm === 'pm');
+    const isOn = normalizeAvail(availability[ds]?.[actor], shifts).includes(shift);
     if (isOn !== dragRef.current.value) {
       onCellChange(ds, actor, shift, dragRef.current.value);
     }
@@ -455,9 +704,9 @@ function SupervisorMatrix({ actors, activeDates, availability, weekPlans, weeks,
           <th style={{ padding: '4px 8px', textAlign: 'left', minWidth: nameWidth, position: 'sticky', left: 0, background: T.bgCard, zIndex: 2, fontFamily: font, fontSize: 11, fontWeight: 700, color: T.textMuted }}>Actor</th>
           {datesByWeek.map(({ weekIndex, dates }) => dates.map((ds, di) => {
             const dayInfo = weeks[weekIndex]?.find(w => w.date === ds);
-            const sk = SLOT_KEYS.find(k => (weekPlans[`week${weekIndex}`] || getDefaultWeekPlan(weeks[weekIndex], config))[k] === ds);
-            const cl = sk ? slotColors[sk] : T.textMuted;
-            return <th key={ds} style={{ padding: '4px 2px', textAlign: 'center', fontSize: 10, fontWeight: 600, minWidth: cellSize * 2 + 6, fontFamily: fontMono, color: T.textSoft, borderBottom: `3px solid ${cl}`, borderLeft: di === 0 && weekIndex > 0 ? `2px solid ${T.border}` : 'none' }}>
+            const sk = slotKeys.find(k => (weekPlans[`week${weekIndex}`] || getDefaultWeekPlan(weeks[weekIndex], config))[k] === ds);
+            const cl = sk ? slotColor(sk) : T.textMuted;
+            return <th key={ds} style={{ padding: '4px 2px', textAlign: 'center', fontSize: 10, fontWeight: 600, minWidth: cellSize * shifts.length + 6, fontFamily: fontMono, color: T.textSoft, borderBottom: `3px solid ${cl}`, borderLeft: di === 0 && weekIndex > 0 ? `2px solid ${T.border}` : 'none' }}>
               <div>{dayInfo?.dayName?.slice(0, 3) || ''}</div>
               <div style={{ color: T.textFaint }}>{fmtDate(ds).split(' ')[1]}</div>
             </th>;
@@ -467,8 +716,7 @@ function SupervisorMatrix({ actors, activeDates, availability, weekPlans, weeks,
           <th style={{ position: 'sticky', left: 0, background: T.bgCard, zIndex: 2 }} />
           {datesByWeek.map(({ weekIndex, dates }) => dates.map((ds, di) => <th key={`sh-${ds}`} style={{ padding: 0, borderLeft: di === 0 && weekIndex > 0 ? `2px solid ${T.border}` : 'none' }}>
             <div style={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
-              <span style={{ fontSize: 9, color: T.textFaint, width: cellSize, textAlign: 'center' }}>☀️</span>
-              <span style={{ fontSize: 9, color: T.textFaint, width: cellSize, textAlign: 'center' }}>🌙</span>
+              {shifts.map(sh => <span key={sh.id} title={sh.label} style={{ fontSize: 9, color: T.textFaint, width: cellSize, textAlign: 'center' }}>{sh.icon || sh.id}</span>)}
             </div>
           </th>))}
         </tr>
@@ -485,12 +733,10 @@ function SupervisorMatrix({ actors, activeDates, availability, weekPlans, weeks,
               </div>
             </td>
             {datesByWeek.map(({ weekIndex, dates }) => dates.map((ds, di) => {
-              const norm = normalizeAvail(availability[ds]?.[actor]);
-              const amOn = norm === 'both' || norm === 'am';
-              const pmOn = norm === 'both' || norm === 'pm';
+              const norm = normalizeAvail(availability[ds]?.[actor], shifts);
               return <td key={ds} style={{ padding: 0, borderLeft: di === 0 && weekIndex > 0 ? `2px solid ${T.border}` : 'none' }}>
                 <div style={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
-                  {[{ shift: 'AM', on: amOn }, { shift: 'PM', on: pmOn }].map(({ shift, on }) => (
+                  {shifts.map(({ id: shift }, shi) => ({ shift, on: norm.includes(shift), cl: shiftColors[shi % shiftColors.length] })).map(({ shift, on, cl }) => (
                     <div
                       key={shift}
                       onPointerDown={() => handlePointerDown(actor, ds, shift)}
@@ -501,9 +747,9 @@ function SupervisorMatrix({ actors, activeDates, availability, weekPlans, weeks,
                       style={{
                         width: cellSize, height: cellSize - 4, borderRadius: 4, cursor: 'pointer',
                         display: 'flex', alignItems: 'center', justifyContent: 'center',
-                        background: on ? (shift === 'AM' ? T.green : T.purple) : T.bgRaised,
+                        background: on ? cl : T.bgRaised,
                         color: on ? '#fff' : T.textFaint,
-                        border: `1.5px solid ${on ? (shift === 'AM' ? `${T.green}80` : `${T.purple}80`) : T.border}`,
+                        border: `1.5px solid ${on ? `${cl}80` : T.border}`,
                         fontSize: 11, fontWeight: 700, touchAction: 'none',
                         transition: `background-color ${T.dFast} ${T.easeProductive}`,
                       }}
@@ -521,7 +767,7 @@ function SupervisorMatrix({ actors, activeDates, availability, weekPlans, weeks,
           <td style={{ padding: '6px 8px', fontWeight: 700, fontSize: 11, color: T.textMuted, fontFamily: fontMono, position: 'sticky', left: 0, background: T.bgCard, zIndex: 1 }}>Coverage</td>
           {datesByWeek.map(({ weekIndex, dates }) => dates.map((ds, di) => <td key={ds} style={{ padding: 0, borderLeft: di === 0 && weekIndex > 0 ? `2px solid ${T.border}` : 'none' }}>
             <div style={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
-              {['AM', 'PM'].map(shift => {
+              {shifts.map(({ id: shift }) => {
                 const count = coverage[ds]?.[shift] || 0;
                 return <div key={shift} style={{ width: cellSize, textAlign: 'center', fontFamily: fontMono, fontSize: 11, fontWeight: 700, color: count >= 3 ? T.green : count >= 2 ? T.amber : T.red }}>{count}</div>;
               })}
@@ -535,10 +781,11 @@ function SupervisorMatrix({ actors, activeDates, availability, weekPlans, weeks,
 
 // ─── SETTINGS ──────────────────────────────────────────────────────────────
 function SettingsPanel({ config, onSave, onClose, showToast }) {
-  const [cfg, setCfg] = useState(JSON.parse(JSON.stringify(config)));
+  const [cfg, setCfg] = useState(() => JSON.parse(JSON.stringify({ ...config, shifts: getShifts(config), slotKeys: getSlotKeys(config), timezone: config.timezone || DEFAULT_CONFIG.timezone, venue: config.venue || DEFAULT_CONFIG.venue, slotLocations: config.slotLocations || {} })));
   const [tab, setTab] = useState("actors");
   const [newActor, setNewActor] = useState("");
   const [newScenario, setNewScenario] = useState("");
+  const [newShift, setNewShift] = useState("");
   const [editIcon, setEditIcon] = useState(null);
   const [confirmDel, setConfirmDel] = useState(null);
   const [changed, setChanged] = useState(false);
@@ -548,11 +795,30 @@ function SettingsPanel({ config, onSave, onClose, showToast }) {
   const allSc = Object.keys(cfg.scenarioActors);
 
   const addActor = () => { const n = newActor.trim(); if (!n || cfg.actors.includes(n)) return; u(c => { c.actors.push(n); const used = Object.values(c.actorColors); c.actorColors[n] = COLOR_PALETTE.find(x => !used.includes(x)) || COLOR_PALETTE[c.actors.length % COLOR_PALETTE.length]; if (!c.actorSortOrder) c.actorSortOrder = {}; c.actorSortOrder[n] = Math.max(...Object.values(c.actorSortOrder || {}), -1) + 1 }); setNewActor("") };
-  const rmActor = a => { u(c => { c.actors = c.actors.filter(x => x !== a); delete c.actorColors[a]; delete c.actorSortOrder?.[a]; Object.keys(c.scenarioActors).forEach(sc => { c.scenarioActors[sc] = c.scenarioActors[sc].filter(x => x !== a) }) }); setConfirmDel(null) };
+  const rmActor = a => { u(c => { c.actors = c.actors.filter(x => x !== a); delete c.actorColors[a]; delete c.actorSortOrder?.[a]; delete c.actorConstraints?.[a]; delete c.actorPreferences?.[a]; Object.keys(c.scenarioActors).forEach(sc => { c.scenarioActors[sc] = c.scenarioActors[sc].filter(x => x !== a) }) }); setConfirmDel(null) };
   const moveActor = (actor, dir) => { u(c => { if (!c.actorSortOrder) c.actorSortOrder = Object.fromEntries(c.actors.map((a, i) => [a, i])); const sorted = [...c.actors].sort((a, b) => (c.actorSortOrder[a] ?? 999) - (c.actorSortOrder[b] ?? 999)); const idx = sorted.indexOf(actor); const swapIdx = idx + dir; if (swapIdx < 0 || swapIdx >= sorted.length) return; const swapActor = sorted[swapIdx]; const temp = c.actorSortOrder[actor] ?? idx; c.actorSortOrder[actor] = c.actorSortOrder[swapActor] ?? swapIdx; c.actorSortOrder[swapActor] = temp }) };
   const toggleAS = (sc, a) => { u(c => { const l = c.scenarioActors[sc] || []; if (l.includes(a)) c.scenarioActors[sc] = l.filter(x => x !== a); else c.scenarioActors[sc] = [...l, a] }) };
   const addSc = () => { const n = newScenario.trim(); if (!n || cfg.scenarioActors[n]) return; u(c => { c.scenarioActors[n] = []; c.scenarioIcons[n] = "🎭" }); setNewScenario("") };
-  const rmSc = sc => { u(c => { delete c.scenarioActors[sc]; delete c.scenarioIcons[sc]; SLOT_KEYS.forEach(sk => { if (c.slotScenarios[sk]) c.slotScenarios[sk] = c.slotScenarios[sk].filter(s => s !== sc) }) }); setConfirmDel(null) };
+  const rmSc = sc => { u(c => { delete c.scenarioActors[sc]; delete c.scenarioIcons[sc]; delete c.scenarioWeights?.[sc]; Object.values(c.actorPreferences || {}).forEach(p => { ["preferScenarios", "avoidScenarios"].forEach(f => { if (p[f]) p[f] = p[f].filter(s => s !== sc) }) }); c.slotKeys.forEach(sk => { if (c.slotScenarios[sk]) c.slotScenarios[sk] = c.slotScenarios[sk].filter(s => s !== sc) }) }); setConfirmDel(null) };
+  const addSlot = () => { u(c => { const nums = c.slotKeys.map(sk => parseInt(sk.replace(/\D/g, ""), 10) || 0); const sk = `slot${Math.max(0, ...nums) + 1}`; const weekdays = ALL_WEEKDAYS.slice(0, 5); const used = c.slotKeys.map(k => c.defaultDays[k]); c.slotKeys.push(sk); c.slotNames[sk] = `Day ${c.slotKeys.length}`; c.defaultDays[sk] = weekdays.find(d => !used.includes(d)) || weekdays[weekdays.length - 1]; c.slotScenarios[sk] = [] }) };
+  const rmSlot = sk => { u(c => { if (c.slotKeys.length <= 1) return; c.slotKeys = c.slotKeys.filter(k => k !== sk); delete c.slotNames[sk]; delete c.defaultDays[sk]; delete c.slotScenarios[sk]; delete c.slotLocations[sk] }); setConfirmDel(null) };
+  const addShift = () => { const label = newShift.trim(); if (!label) return; u(c => { const base = label.toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 4) || "TOUR"; let id = base, n = 2; while (c.shifts.some(sh => sh.id === id)) id = `${base}${n++}`; c.shifts.push({ id, label, icon: SHIFT_ICON_OPTIONS[c.shifts.length % SHIFT_ICON_OPTIONS.length], start: "09:00", end: "12:00" }) }); setNewShift("") };
+  const rmShift = id => { u(c => { if (c.shifts.length <= 1) return; c.shifts = c.shifts.filter(sh => sh.id !== id); Object.values(c.actorConstraints || {}).forEach(ac => { if (ac.allowedShifts) ac.allowedShifts = ac.allowedShifts.filter(x => x !== id) }); Object.values(c.actorPreferences || {}).forEach(p => { if (p.preferShift === id) delete p.preferShift }) }); setConfirmDel(null) };
+  const setShiftField = (id, field, value) => { u(c => { const sh = c.shifts.find(x => x.id === id); if (sh) sh[field] = value }) };
+  const setSlotLocation = (sk, field, value) => { u(c => { c.slotLocations[sk] = { ...c.slotLocations[sk], [field]: value } }) };
+  const tzValid = (() => { try { new Intl.DateTimeFormat("en-US", { timeZone: cfg.timezone }); return true } catch { return false } })();
+  const tzOptions = Intl.supportedValuesOf?.("timeZone") || [];
+  const toggleRuleSc = (i, sc) => { u(c => { const l = c.conflicts[i].actor_cannot_play.filter(Boolean); c.conflicts[i].actor_cannot_play = l.includes(sc) ? l.filter(s => s !== sc) : [...l, sc] }) };
+  const workDays = ALL_WEEKDAYS.slice(0, 5);
+  // Blank/all-selected fields are dropped so the actor falls back to "no restriction"
+  const setActorOption = (group, a, field, value) => { u(c => { if (!c[group]) c[group] = {}; const o = { ...c[group][a], [field]: value }; if (value === undefined || value === false || value === "") delete o[field]; if (Object.keys(o).length) c[group][a] = o; else delete c[group][a] }) };
+  const setConstraint = (a, field, value) => setActorOption("actorConstraints", a, field, value);
+  const toggleConstraintItem = (a, field, item, all) => { const cur = cfg.actorConstraints?.[a]?.[field] || all; const next = cur.includes(item) ? cur.filter(x => x !== item) : all.filter(x => x === item || cur.includes(x)); setConstraint(a, field, all.every(x => next.includes(x)) ? undefined : next) };
+  const setConstraintCount = (a, field, raw) => setConstraint(a, field, raw === "" ? undefined : Math.max(0, parseInt(raw, 10) || 0));
+  // Scenario chips cycle neutral → prefer → avoid; empty lists are dropped
+  const cyclePrefSc = (a, sc) => { const p = cfg.actorPreferences?.[a] || {}; const prefer = p.preferScenarios || [], avoid = p.avoidScenarios || []; const nextPrefer = prefer.includes(sc) ? prefer.filter(x => x !== sc) : avoid.includes(sc) ? prefer : [...prefer, sc]; const nextAvoid = prefer.includes(sc) ? [...avoid, sc] : avoid.filter(x => x !== sc); u(c => { if (!c.actorPreferences) c.actorPreferences = {}; const o = { ...c.actorPreferences[a], preferScenarios: nextPrefer, avoidScenarios: nextAvoid }; if (!nextPrefer.length) delete o.preferScenarios; if (!nextAvoid.length) delete o.avoidScenarios; if (Object.keys(o).length) c.actorPreferences[a] = o; else delete c.actorPreferences[a] }) };
+  const togglePrefDay = (a, d) => { const cur = cfg.actorPreferences?.[a]?.preferDays || []; const next = cur.includes(d) ? cur.filter(x => x !== d) : workDays.filter(x => x === d || cur.includes(x)); setActorOption("actorPreferences", a, "preferDays", next.length ? next : undefined) };
+  const setScWeight = (sc, w) => { u(c => { if (!c.scenarioWeights) c.scenarioWeights = {}; if (w === 1) delete c.scenarioWeights[sc]; else c.scenarioWeights[sc] = w }) };
   const toggleSlotSc = (sk, sc) => { u(c => { const l = c.slotScenarios[sk] || []; if (l.includes(sc)) c.slotScenarios[sk] = l.filter(s => s !== sc); else c.slotScenarios[sk] = [...l, sc] }) };
 
   const handleExport = async () => {
@@ -573,7 +839,7 @@ function SettingsPanel({ config, onSave, onClose, showToast }) {
     e.target.value = '';
   };
 
-  const tabs = [{ key: "actors", icon: "👤", label: "Actors" }, { key: "scenarios", icon: "🎭", label: "Scenarios" }, { key: "days", icon: "📅", label: "Day Setup" }, { key: "rules", icon: "⚠️", label: "Rules" }, { key: "data", icon: "💾", label: "Data" }];
+  const tabs = [{ key: "actors", icon: "👤", label: "Actors" }, { key: "scenarios", icon: "🎭", label: "Scenarios" }, { key: "days", icon: "📅", label: "Day Setup" }, { key: "shifts", icon: "🕒", label: "Tours" }, { key: "venue", icon: "📍", label: "Venue" }, { key: "constraints", icon: "🚦", label: "Actor Limits" }, { key: "prefs", icon: "💛", label: "Preferences" }, { key: "rules", icon: "⚠️", label: "Rules" }, { key: "data", icon: "💾", label: "Data" }];
 
   return <Overlay onClose={onClose}><Card style={{ padding: 0, borderRadius: "18px" }}>
     <div style={{ padding: "24px 24px 16px", borderBottom: `1px solid ${T.border}`, background: T.bgRaised, borderRadius: "18px 18px 0 0" }}>
@@ -583,11 +849,159 @@ function SettingsPanel({ config, onSave, onClose, showToast }) {
     <div style={{ padding: "20px 24px 24px", maxHeight: "55vh", overflowY: "auto" }}>
       {tab === "actors" && (() => { const settingsSorted = [...cfg.actors].sort((a, b) => (cfg.actorSortOrder?.[a] ?? 999) - (cfg.actorSortOrder?.[b] ?? 999)); return <div><p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Add, remove, or reorder actors. Tap the phone field to add contact info.</p><div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}><Input value={newActor} onChange={setNewActor} placeholder="New actor name..." style={{ flex: 1 }} /><Btn onClick={addActor}>+ Add</Btn></div>{settingsSorted.map((a, idx) => { const cl = cfg.actorColors[a]; const sc = allSc.filter(s => (cfg.scenarioActors[s] || []).includes(a)).length; const phone = cfg.actorPhones?.[a] || ""; return <div key={a} style={{ padding: "10px 14px", borderRadius: "12px", border: `1px solid ${T.border}`, background: T.bgRaised, marginBottom: "6px" }}><div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}><div style={{ display: "flex", alignItems: "center", gap: "10px" }}><div style={{ display: "flex", flexDirection: "column", gap: "2px" }}><button onClick={() => moveActor(a, -1)} disabled={idx === 0} aria-label={`Move ${a} up`} style={{ ...btnBase, fontSize: "11px", padding: "2px 6px", borderRadius: "6px", background: idx === 0 ? T.bgRaised : T.bgInput, color: idx === 0 ? T.textFaint : T.textSoft, border: `1px solid ${T.border}`, minHeight: "24px", minWidth: "28px", opacity: idx === 0 ? 0.4 : 1 }}>▲</button><button onClick={() => moveActor(a, 1)} disabled={idx === settingsSorted.length - 1} aria-label={`Move ${a} down`} style={{ ...btnBase, fontSize: "11px", padding: "2px 6px", borderRadius: "6px", background: idx === settingsSorted.length - 1 ? T.bgRaised : T.bgInput, color: idx === settingsSorted.length - 1 ? T.textFaint : T.textSoft, border: `1px solid ${T.border}`, minHeight: "24px", minWidth: "28px", opacity: idx === settingsSorted.length - 1 ? 0.4 : 1 }}>▼</button></div><div style={{ width: "32px", height: "32px", borderRadius: "8px", background: `${cl}20`, display: "flex", alignItems: "center", justifyContent: "center", fontWeight: "700", fontSize: "14px", color: cl }}>{a[0]}</div><div><div style={{ fontWeight: "600", color: T.text, fontSize: "14px" }}>{a}</div><div style={{ fontSize: "11px", color: T.textMuted }}>{sc} scenario{sc !== 1 ? "s" : ""}</div></div></div><div style={{ display: "flex", alignItems: "center", gap: "6px" }}><div style={{ width: "24px", height: "24px", borderRadius: "6px", background: cl, border: `1px solid ${T.border}` }} />{confirmDel === a ? <div style={{ display: "flex", gap: "4px" }}><Btn variant="danger" onClick={() => rmActor(a)}>Yes</Btn><Btn variant="small" onClick={() => setConfirmDel(null)}>No</Btn></div> : <Btn variant="ghost" onClick={() => setConfirmDel(a)} style={{ color: T.red, padding: "4px 8px", minHeight: "36px" }}>×</Btn>}</div></div><div style={{ marginTop: "6px", paddingLeft: "52px" }}><input value={phone} onChange={e => u(c => { if (!c.actorPhones) c.actorPhones = {}; c.actorPhones[a] = e.target.value })} placeholder="📱 Phone number" style={{ fontFamily: font, fontSize: "12px", padding: "6px 10px", borderRadius: "8px", border: `1px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", width: "100%", minHeight: "36px", boxSizing: "border-box", transition: `border ${T.dFast} ${T.easeProductive}` }} onFocus={e => e.target.style.borderColor = T.accent} onBlur={e => e.target.style.borderColor = T.border} /></div></div> })}</div> })()}
 
-      {tab === "scenarios" && <div><p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Tap actors to approve/remove them for each scenario.</p><div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}><Input value={newScenario} onChange={setNewScenario} placeholder="New scenario..." style={{ flex: 1 }} /><Btn onClick={addSc}>+ Add</Btn></div>{allSc.map(sc => { const actors = cfg.scenarioActors[sc] || []; const icon = cfg.scenarioIcons[sc] || "🎭"; return <Card key={sc} style={{ marginBottom: "10px", padding: "14px" }}><div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}><div style={{ display: "flex", alignItems: "center", gap: "8px" }}>{editIcon === sc ? <div style={{ display: "flex", flexWrap: "wrap", gap: "3px", maxWidth: "200px" }}>{ICON_OPTIONS.map(ic => <button key={ic} onClick={() => { u(c => { c.scenarioIcons[sc] = ic }); setEditIcon(null) }} style={{ ...btnBase, fontSize: "16px", padding: "4px 6px", borderRadius: "6px", background: ic === icon ? T.accentSoft : "transparent", border: `1px solid ${ic === icon ? T.accent : T.border}`, minHeight: "36px", minWidth: "36px" }}>{ic}</button>)}</div> : <button onClick={() => setEditIcon(sc)} style={{ ...btnBase, fontSize: "18px", background: "none", padding: "2px", minHeight: "36px" }}>{icon}</button>}<span style={{ fontWeight: "700", fontSize: "15px", color: T.text }}>{sc}</span><Badge type="neutral">{actors.length}</Badge></div>{confirmDel === `sc-${sc}` ? <div style={{ display: "flex", gap: "4px" }}><Btn variant="danger" onClick={() => rmSc(sc)}>Remove</Btn><Btn variant="small" onClick={() => setConfirmDel(null)}>Cancel</Btn></div> : <Btn variant="ghost" onClick={() => setConfirmDel(`sc-${sc}`)} style={{ color: T.red }}>×</Btn>}</div><div style={{ display: "flex", flexWrap: "wrap", gap: "5px" }}>{cfg.actors.map(a => <Chip key={a} active={actors.includes(a)} color={cfg.actorColors[a]} onClick={() => toggleAS(sc, a)} small>{a}</Chip>)}</div></Card> })}</div>}
+      {tab === "scenarios" && <div><p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Tap actors to approve/remove them for each scenario.</p><div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}><Input value={newScenario} onChange={setNewScenario} placeholder="New scenario..." style={{ flex: 1 }} /><Btn onClick={addSc}>+ Add</Btn></div>{allSc.map(sc => { const actors = cfg.scenarioActors[sc] || []; const icon = cfg.scenarioIcons[sc] || "🎭"; return <Card key={sc} style={{ marginBottom: "10px", padding: "14px" }}><div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}><div style={{ display: "flex", alignItems: "center", gap: "8px" }}>{editIcon === sc ? <div style={{ display: "flex", flexWrap: "wrap", gap: "3px", maxWidth: "200px" }}>{ICON_OPTIONS.map(ic => <button key={ic} onClick={() => { u(c => { c.scenarioIcons[sc] = ic }); setEditIcon(null) }} style={{ ...btnBase, fontSize: "16px", padding: "4px 6px", borderRadius: "6px", background: ic === icon ? T.accentSoft : "transparent", border: `1px solid ${ic === icon ? T.accent : T.border}`, minHeight: "36px", minWidth: "36px" }}>{ic}</button>)}</div> : <button onClick={() => setEditIcon(sc)} style={{ ...btnBase, fontSize: "18px", background: "none", padding: "2px", minHeight: "36px" }}>{icon}</button>}<span style={{ fontWeight: "700", fontSize: "15px", color: T.text }}>{sc}</span><Badge type="neutral">{actors.length}</Badge><StyledSelect value={scenarioWeight(cfg, sc)} onChange={e => setScWeight(sc, Number(e.target.value))} style={{ minHeight: "36px", padding: "4px 28px 4px 10px", fontSize: "12px" }}>{SCENARIO_WEIGHT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label} ×{o.value}</option>)}</StyledSelect></div>{confirmDel === `sc-${sc}` ? <div style={{ display: "flex", gap: "4px" }}><Btn variant="danger" onClick={() => rmSc(sc)}>Remove</Btn><Btn variant="small" onClick={() => setConfirmDel(null)}>Cancel</Btn></div> : <Btn variant="ghost" onClick={() => setConfirmDel(`sc-${sc}`)} style={{ color: T.red }}>×</Btn>}</div><div style={{ display: "flex", flexWrap: "wrap", gap: "5px" }}>{cfg.actors.map(a => <Chip key={a} active={actors.includes(a)} color={cfg.actorColors[a]} onClick={() => toggleAS(sc, a)} small>{a}</Chip>)}</div></Card> })}</div>}
 
-      {tab === "days" && <div><p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Assign scenarios to each training slot.</p>{SLOT_KEYS.map(sk => { const assigned = cfg.slotScenarios[sk] || []; const cl = slotColors[sk]; return <Card key={sk} style={{ marginBottom: "10px" }} accent={cl}><div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "10px" }}><SlotBar slotKey={sk} /><span style={{ fontWeight: "700", fontSize: "16px", color: T.text }}>{cfg.slotNames[sk]}</span><Badge type="info">Default: {cfg.defaultDays[sk]}</Badge></div><div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>{allSc.map(sc => { const active = assigned.includes(sc); const otherSlot = SLOT_KEYS.find(s => s !== sk && (cfg.slotScenarios[s] || []).includes(sc)); return <Chip key={sc} active={active} color={cl} onClick={() => toggleSlotSc(sk, sc)} dimmed={!!otherSlot && !active}>{cfg.scenarioIcons[sc] || "🎭"} {sc}{otherSlot && !active ? ` (${cfg.slotNames[otherSlot]})` : ""}</Chip> })}</div></Card> })}</div>}
+      {tab === "days" && <div>
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Training days per week, their default weekday, and the scenarios each one runs.</p>
+        {cfg.slotKeys.map(sk => { const assigned = cfg.slotScenarios[sk] || []; const cl = slotColor(sk); return <Card key={sk} style={{ marginBottom: "10px" }} accent={cl}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "10px", flexWrap: "wrap" }}>
+            <SlotBar slotKey={sk} />
+            <Input value={cfg.slotNames[sk] || ""} onChange={v => u(c => { c.slotNames[sk] = v })} placeholder="Day name" style={{ flex: 1, minWidth: "100px", fontWeight: "700" }} />
+            <StyledSelect value={cfg.defaultDays[sk] || ""} onChange={e => u(c => { c.defaultDays[sk] = e.target.value })}>{ALL_WEEKDAYS.slice(0, 5).map(d => <option key={d} value={d}>Default: {d}</option>)}</StyledSelect>
+            {confirmDel === `slot-${sk}` ? <div style={{ display: "flex", gap: "4px" }}><Btn variant="danger" onClick={() => rmSlot(sk)}>Remove</Btn><Btn variant="small" onClick={() => setConfirmDel(null)}>Cancel</Btn></div> : <Btn variant="ghost" onClick={() => setConfirmDel(`slot-${sk}`)} disabled={cfg.slotKeys.length <= 1} style={{ color: T.red }}>×</Btn>}
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>{allSc.map(sc => { const active = assigned.includes(sc); const otherSlot = cfg.slotKeys.find(s => s !== sk && (cfg.slotScenarios[s] || []).includes(sc)); return <Chip key={sc} active={active} color={cl} onClick={() => toggleSlotSc(sk, sc)} dimmed={!!otherSlot && !active}>{cfg.scenarioIcons[sc] || "🎭"} {sc}{otherSlot && !active ? ` (${cfg.slotNames[otherSlot]})` : ""}</Chip> })}</div>
+        </Card> })}
+        <Btn variant="secondary" onClick={addSlot} disabled={cfg.slotKeys.length >= 5}>+ Add Training Day</Btn>
+      </div>}
 
-      {tab === "rules" && <div><p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Same actor can't play both scenarios in the same shift.</p>{(cfg.conflicts || []).map((rule, i) => <Card key={i} style={{ marginBottom: "8px", padding: "14px" }}><div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}><span style={{ fontSize: "13px", fontWeight: "600", color: T.text }}>Can't play</span><StyledSelect value={rule.actor_cannot_play[0]} onChange={e => { u(c => { c.conflicts[i].actor_cannot_play[0] = e.target.value }) }}><option value="">—</option>{allSc.map(s => <option key={s}>{s}</option>)}</StyledSelect><span style={{ color: T.textMuted }}>+</span><StyledSelect value={rule.actor_cannot_play[1]} onChange={e => { u(c => { c.conflicts[i].actor_cannot_play[1] = e.target.value }) }}><option value="">—</option>{allSc.map(s => <option key={s}>{s}</option>)}</StyledSelect><Btn variant="ghost" onClick={() => { u(c => { c.conflicts.splice(i, 1) }) }} style={{ color: T.red }}>×</Btn></div></Card>)}<Btn variant="secondary" onClick={() => { u(c => { c.conflicts = [...(c.conflicts || []), { actor_cannot_play: ["", ""], scope: "same_shift" }] }) }}>+ Add Rule</Btn></div>}
+      {tab === "shifts" && <div>
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Training tours run on every training day. Times are used for calendar export.</p>
+        <div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}><Input value={newShift} onChange={setNewShift} placeholder="New tour label, e.g. 6 PM..." style={{ flex: 1 }} /><Btn onClick={addShift}>+ Add</Btn></div>
+        {cfg.shifts.map(sh => {
+          const timeStyle = { fontFamily: fontMono, fontSize: "12px", padding: "6px 8px", borderRadius: "8px", border: `1px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", minHeight: "36px", colorScheme: "light" };
+          return <Card key={sh.id} style={{ marginBottom: "8px", padding: "14px" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+              <StyledSelect value={sh.icon || ""} onChange={e => setShiftField(sh.id, "icon", e.target.value)} style={{ minWidth: "60px" }}>{SHIFT_ICON_OPTIONS.map(ic => <option key={ic} value={ic}>{ic}</option>)}</StyledSelect>
+              <Input value={sh.label} onChange={v => setShiftField(sh.id, "label", v)} placeholder="Label" style={{ flex: 1, minWidth: "90px" }} />
+              <Badge type="neutral">{sh.id}</Badge>
+              {confirmDel === `sh-${sh.id}` ? <div style={{ display: "flex", gap: "4px" }}><Btn variant="danger" onClick={() => rmShift(sh.id)}>Remove</Btn><Btn variant="small" onClick={() => setConfirmDel(null)}>Cancel</Btn></div> : <Btn variant="ghost" onClick={() => setConfirmDel(`sh-${sh.id}`)} disabled={cfg.shifts.length <= 1} style={{ color: T.red }}>×</Btn>}
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: "8px", marginTop: "8px", fontSize: "12px", color: T.textMuted }}>
+              <input type="time" value={sh.start} onChange={e => setShiftField(sh.id, "start", e.target.value)} aria-label={`${sh.label} start time`} style={timeStyle} />
+              <span>to</span>
+              <input type="time" value={sh.end} onChange={e => setShiftField(sh.id, "end", e.target.value)} aria-label={`${sh.label} end time`} style={timeStyle} />
+              {sh.end <= sh.start && <Badge type="warning">Ends before it starts</Badge>}
+            </div>
+          </Card>;
+        })}
+      </div>}
+
+      {tab === "venue" && <div>
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Timezone and location written into exported calendar events.</p>
+        <Card style={{ marginBottom: "10px", padding: "14px" }}>
+          <div style={{ fontSize: "12px", fontWeight: "700", color: T.textMuted, marginBottom: "6px" }}>TIMEZONE</div>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+            <Input value={cfg.timezone} onChange={v => u(c => { c.timezone = v.trim() })} placeholder="America/New_York" list="cit-tz-options" style={{ flex: 1, minWidth: "160px", fontFamily: fontMono }} />
+            {!tzValid && <Badge type="warning">Unknown zone — export uses {DEFAULT_CONFIG.timezone}</Badge>}
+          </div>
+          <datalist id="cit-tz-options">{tzOptions.map(z => <option key={z} value={z} />)}</datalist>
+        </Card>
+        <Card style={{ marginBottom: "10px", padding: "14px" }}>
+          <div style={{ fontSize: "12px", fontWeight: "700", color: T.textMuted, marginBottom: "6px" }}>DEFAULT VENUE</div>
+          <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+            <Input value={cfg.venue.name || ""} onChange={v => u(c => { c.venue.name = v })} placeholder="Venue name" />
+            <Input value={cfg.venue.address || ""} onChange={v => u(c => { c.venue.address = v })} placeholder="Street address" />
+          </div>
+        </Card>
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "14px 0 10px" }}>Training days held at a satellite site can override the venue. Leave blank to use the default.</p>
+        {cfg.slotKeys.map(sk => { const loc = cfg.slotLocations[sk] || {}; return <Card key={sk} style={{ marginBottom: "8px", padding: "14px" }} accent={slotColor(sk)}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "8px" }}><SlotBar slotKey={sk} /><span style={{ fontWeight: "700", fontSize: "14px", color: T.text }}>{cfg.slotNames[sk]}</span>{!(loc.name || loc.address) && <Badge type="neutral">Default venue</Badge>}</div>
+          <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+            <Input value={loc.name || ""} onChange={v => setSlotLocation(sk, "name", v)} placeholder={cfg.venue.name || "Site name"} />
+            <Input value={loc.address || ""} onChange={v => setSlotLocation(sk, "address", v)} placeholder={cfg.venue.address || "Street address"} />
+          </div>
+        </Card> })}
+      </div>}
+
+      {tab === "constraints" && <div>
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Personal limits for each actor. These are never relaxed when the generator runs short — leave a field blank for no limit.</p>
+        {cfg.actors.map(a => { const ac = cfg.actorConstraints?.[a] || {}; const cl = cfg.actorColors[a]; const days = ac.allowedDays || workDays; const tours = ac.allowedShifts || cfg.shifts.map(sh => sh.id); const overMin = ac.minPerMonth != null && ac.maxPerMonth != null && ac.minPerMonth > ac.maxPerMonth; return <Card key={a} style={{ marginBottom: "10px", padding: "14px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "10px" }}><div style={{ width: "24px", height: "24px", borderRadius: "6px", background: `${cl}20`, display: "flex", alignItems: "center", justifyContent: "center", fontWeight: "700", fontSize: "12px", color: cl }}>{a[0]}</div><span style={{ fontWeight: "700", fontSize: "15px", color: T.text }}>{a}</span>{Object.keys(ac).length === 0 && <Badge type="neutral">No limits</Badge>}</div>
+          <div style={{ fontSize: "11px", fontWeight: "600", color: T.textMuted, marginBottom: "4px" }}>Works on</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "5px", marginBottom: "8px" }}>{workDays.map(d => <Chip key={d} active={days.includes(d)} onClick={() => toggleConstraintItem(a, "allowedDays", d, workDays)} small>{d.slice(0, 3)}</Chip>)}</div>
+          <div style={{ fontSize: "11px", fontWeight: "600", color: T.textMuted, marginBottom: "4px" }}>Tours</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "5px", marginBottom: "10px" }}>{cfg.shifts.map(sh => <Chip key={sh.id} active={tours.includes(sh.id)} onClick={() => toggleConstraintItem(a, "allowedShifts", sh.id, cfg.shifts.map(x => x.id))} small>{sh.icon} {sh.label}</Chip>)}<Chip active={!!ac.noDoubleDay} onClick={() => setConstraint(a, "noDoubleDay", !ac.noDoubleDay)} small>🚫 No doubles</Chip></div>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+            {[["maxPerWeek", "Max / week"], ["maxPerMonth", "Max / month"], ["minPerMonth", "Min / month"]].map(([field, label]) => <label key={field} style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "12px", color: T.textMuted }}>{label}<input type="number" min="0" max="40" value={ac[field] ?? ""} onChange={e => setConstraintCount(a, field, e.target.value)} placeholder="—" style={{ fontFamily: fontMono, fontSize: "13px", width: "56px", padding: "6px 8px", borderRadius: "8px", border: `1px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", minHeight: "36px" }} /></label>)}
+          </div>
+          {(days.length === 0 || tours.length === 0) && <div style={{ marginTop: "8px" }}><Badge type="warning">{a} can't be scheduled at all</Badge></div>}
+          {overMin && <div style={{ marginTop: "8px" }}><Badge type="warning">Minimum is above the monthly max</Badge></div>}
+          {ac.noDoubleDay && <div style={{ marginTop: "8px" }}><Badge type="info">Never two tours on the same day</Badge></div>}
+        </Card> })}
+      </div>}
+
+      {tab === "prefs" && <div>
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Soft wishes the generator tries to honor without hurting balance. Tap a scenario once to prefer it 👍, again to avoid it 👎.</p>
+        {cfg.actors.map(a => { const p = cfg.actorPreferences?.[a] || {}; const cl = cfg.actorColors[a]; const approved = allSc.filter(sc => (cfg.scenarioActors[sc] || []).includes(a)); return <Card key={a} style={{ marginBottom: "10px", padding: "14px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "10px" }}><div style={{ width: "24px", height: "24px", borderRadius: "6px", background: `${cl}20`, display: "flex", alignItems: "center", justifyContent: "center", fontWeight: "700", fontSize: "12px", color: cl }}>{a[0]}</div><span style={{ fontWeight: "700", fontSize: "15px", color: T.text }}>{a}</span>{Object.keys(p).length === 0 && <Badge type="neutral">No preferences</Badge>}</div>
+          <div style={{ fontSize: "11px", fontWeight: "600", color: T.textMuted, marginBottom: "4px" }}>Scenarios</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "5px", marginBottom: "8px" }}>{approved.length === 0 ? <span style={{ fontSize: "12px", color: T.textFaint }}>Not approved for any scenario</span> : approved.map(sc => { const liked = p.preferScenarios?.includes(sc), avoided = p.avoidScenarios?.includes(sc); return <Chip key={sc} active={liked || avoided} color={avoided ? T.red : T.green} onClick={() => cyclePrefSc(a, sc)} small>{liked ? "👍" : avoided ? "👎" : cfg.scenarioIcons[sc] || "🎭"} {sc}</Chip> })}</div>
+          <div style={{ fontSize: "11px", fontWeight: "600", color: T.textMuted, marginBottom: "4px" }}>Preferred days</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "5px", marginBottom: "10px" }}>{workDays.map(d => <Chip key={d} active={(p.preferDays || []).includes(d)} onClick={() => togglePrefDay(a, d)} small>{d.slice(0, 3)}</Chip>)}</div>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px" }}><span style={{ fontSize: "12px", color: T.textMuted }}>Preferred tour</span><StyledSelect value={p.preferShift || ""} onChange={e => setActorOption("actorPreferences", a, "preferShift", e.target.value)}><option value="">No preference</option>{cfg.shifts.map(sh => <option key={sh.id} value={sh.id}>{sh.icon} {sh.label}</option>)}</StyledSelect></div>
+        </Card> })}
+      </div>}
+
+      {tab === "rules" && <div>
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Conflict rules: an actor can't play two of the picked scenarios within the window. Pick a single scenario to stop it repeating.</p>
+        {(cfg.conflicts || []).map((rule, i) => { const set = rule.actor_cannot_play.filter(Boolean); return <Card key={i} style={{ marginBottom: "8px", padding: "14px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap", marginBottom: "8px" }}>
+            <span style={{ fontSize: "13px", fontWeight: "600", color: T.text }}>Can't mix within</span>
+            <StyledSelect value={rule.scope || "same_shift"} onChange={e => u(c => { c.conflicts[i].scope = e.target.value })}>{CONFLICT_SCOPES.map(sc => <option key={sc} value={sc}>{scopeLabel(sc)}</option>)}</StyledSelect>
+            <Btn variant="ghost" onClick={() => u(c => { c.conflicts.splice(i, 1) })} style={{ color: T.red, marginLeft: "auto" }}>×</Btn>
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "5px" }}>{allSc.map(sc => <Chip key={sc} active={set.includes(sc)} onClick={() => toggleRuleSc(i, sc)} small>{cfg.scenarioIcons[sc] || "🎭"} {sc}</Chip>)}</div>
+          {set.length === 0 && <div style={{ marginTop: "8px" }}><Badge type="warning">Pick at least one scenario</Badge></div>}
+          {set.length === 1 && <div style={{ marginTop: "8px" }}><Badge type="info">{set[0]} can't repeat within {scopeLabel(rule.scope)}</Badge></div>}
+        </Card> })}
+        <Btn variant="secondary" onClick={() => u(c => { c.conflicts = [...(c.conflicts || []), { actor_cannot_play: [], scope: "same_shift" }] })}>+ Add Rule</Btn>
+
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "24px 0 14px" }}>Limits: the most times one actor plays a scenario in a week or month.</p>
+        {(cfg.scenarioLimits || []).map((limit, i) => <Card key={i} style={{ marginBottom: "8px", padding: "14px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+            <span style={{ fontSize: "13px", fontWeight: "600", color: T.text }}>Max</span>
+            <input type="number" min="0" max="20" value={limit.max} onChange={e => u(c => { c.scenarioLimits[i].max = Math.max(0, parseInt(e.target.value, 10) || 0) })} aria-label="Maximum" style={{ fontFamily: fontMono, fontSize: "13px", width: "56px", padding: "6px 8px", borderRadius: "8px", border: `1px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", minHeight: "36px" }} />
+            <StyledSelect value={limit.scenario} onChange={e => u(c => { c.scenarioLimits[i].scenario = e.target.value })}><option value="">—</option>{allSc.map(s => <option key={s}>{s}</option>)}</StyledSelect>
+            <span style={{ fontSize: "13px", color: T.textMuted }}>per actor per</span>
+            <StyledSelect value={limit.per} onChange={e => u(c => { c.scenarioLimits[i].per = e.target.value })}><option value="week">week</option><option value="month">month</option></StyledSelect>
+            <Btn variant="ghost" onClick={() => u(c => { c.scenarioLimits.splice(i, 1) })} style={{ color: T.red, marginLeft: "auto" }}>×</Btn>
+          </div>
+        </Card>)}
+        <Btn variant="secondary" onClick={() => u(c => { c.scenarioLimits = [...(c.scenarioLimits || []), { scenario: "", max: 1, per: "week" }] })}>+ Add Limit</Btn>
+
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "24px 0 14px" }}>Heavy roles: scenarios weighted above Standard on the Scenarios tab ({allSc.filter(sc => isHeavy(cfg, sc)).join(", ") || "none yet"}). Cap how many one actor plays in a week, and how long they sit out the same one afterwards — leave blank for no limit.</p>
+        <Card style={{ marginBottom: "8px", padding: "14px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+            <span style={{ fontSize: "13px", fontWeight: "600", color: T.text }}>Max</span>
+            <input type="number" min="0" max="20" value={cfg.heavyPerWeek ?? ""} onChange={e => u(c => { c.heavyPerWeek = e.target.value === "" ? null : Math.max(0, parseInt(e.target.value, 10) || 0) })} placeholder="—" aria-label="Maximum heavy roles per week" style={{ fontFamily: fontMono, fontSize: "13px", width: "56px", padding: "6px 8px", borderRadius: "8px", border: `1px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", minHeight: "36px" }} />
+            <span style={{ fontSize: "13px", color: T.textMuted }}>heavy roles per actor per week</span>
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap", marginTop: "10px" }}>
+            <span style={{ fontSize: "13px", fontWeight: "600", color: T.text }}>Then</span>
+            <input type="number" min="0" max="12" value={cfg.heavyCooldownWeeks ?? ""} onChange={e => u(c => { c.heavyCooldownWeeks = e.target.value === "" ? null : Math.min(12, Math.max(0, parseInt(e.target.value, 10) || 0)) })} placeholder="—" aria-label="Weeks off a heavy role after playing it" style={{ fontFamily: fontMono, fontSize: "13px", width: "56px", padding: "6px 8px", borderRadius: "8px", border: `1px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", minHeight: "36px" }} />
+            <span style={{ fontSize: "13px", color: T.textMuted }}>week{cfg.heavyCooldownWeeks === 1 ? "" : "s"} off that heavy role before playing it again — carries over from last month</span>
+          </div>
+        </Card>
+
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "24px 0 14px" }}>Standby actors are put on call in case someone calls out — approved, available and not already playing that tour. On-call duty is spread evenly.</p>
+        <Card style={{ marginBottom: "8px", padding: "14px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+            <input type="number" min="0" max="5" value={cfg.standbyCount || 0} onChange={e => u(c => { c.standbyCount = Math.min(5, Math.max(0, parseInt(e.target.value, 10) || 0)) })} aria-label="Standby actors" style={{ fontFamily: fontMono, fontSize: "13px", width: "56px", padding: "6px 8px", borderRadius: "8px", border: `1px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", minHeight: "36px" }} />
+            <span style={{ fontSize: "13px", color: T.textMuted }}>standby actor{cfg.standbyCount === 1 ? "" : "s"} per</span>
+            <StyledSelect value={cfg.standbyPer || "shift"} onChange={e => u(c => { c.standbyPer = e.target.value })}><option value="shift">tour</option><option value="scenario">scenario</option></StyledSelect>
+          </div>
+        </Card>
+
+        <p style={{ fontSize: "13px", color: T.textSoft, margin: "24px 0 14px" }}>Generating balances load against earlier stored months, so someone who carried a heavy month is eased off the next one. Half the difference is made up each month.</p>
+        <Card style={{ marginBottom: "8px", padding: "14px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+            <span style={{ fontSize: "13px", fontWeight: "600", color: T.text }}>Look back</span>
+            <input type="number" min="0" max="12" value={cfg.lookbackMonths ?? DEFAULT_CONFIG.lookbackMonths} onChange={e => u(c => { c.lookbackMonths = Math.min(12, Math.max(0, parseInt(e.target.value, 10) || 0)) })} aria-label="Months to look back" style={{ fontFamily: fontMono, fontSize: "13px", width: "56px", padding: "6px 8px", borderRadius: "8px", border: `1px solid ${T.border}`, background: T.bgInput, color: T.text, outline: "none", minHeight: "36px" }} />
+            <span style={{ fontSize: "13px", color: T.textMuted }}>month{(cfg.lookbackMonths ?? DEFAULT_CONFIG.lookbackMonths) === 1 ? "" : "s"} · 0 balances each month on its own</span>
+          </div>
+        </Card>
+      </div>}
 
       {tab === "data" && <div>
         <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Export your data as a backup file. Import to restore on another device.</p>
@@ -804,6 +1218,63 @@ function PasteMessagePanel({ config, availability, activeDates, onApply, onClose
   </Card></Overlay>;
 }
 
+function CalendarImportPanel({ config, availability, activeDates, onApply, onClose }) {
+  const [actor, setActor] = useState(config.actors[0]);
+  const [fileName, setFileName] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [mode, setMode] = useState("replace");
+  const [error, setError] = useState(null);
+  const shifts = getShifts(config);
+  const dates = [...activeDates].sort();
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setFileName(file.name); setPreview(null); setError(null);
+    try {
+      const { blocks, eventCount, unsupportedRules } = parseBusyBlocks(await file.text(), config, dates[dates.length - 1] || fmtDateStr(new Date()));
+      setPreview({ byDate: availabilityFromBusy(blocks, dates, config), eventCount, unsupportedRules });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Replace: the calendar is the whole story. Merge: only take busy tours away from what's already set.
+  const resultFor = ds => {
+    const { free } = preview.byDate[ds];
+    const ids = mode === "replace" ? free : normalizeAvail(availability[ds]?.[actor], shifts).filter(id => free.includes(id));
+    return ids.length ? ids : false;
+  };
+
+  const applyResult = () => {
+    if (!preview) return;
+    const newAvail = { ...availability };
+    dates.forEach(ds => { newAvail[ds] = { ...newAvail[ds], [actor]: resultFor(ds) } });
+    onApply(newAvail);
+    onClose();
+  };
+
+  const busyDates = preview ? dates.filter(ds => Object.keys(preview.byDate[ds].busy).length > 0) : [];
+
+  return <Overlay onClose={onClose}><Card style={{ padding: "24px" }}>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "16px" }}><h2 style={{ fontFamily: font, fontSize: "18px", fontWeight: "800", margin: 0, color: T.text }}>📅 Import Calendar</h2><button onClick={onClose} aria-label="Close" style={{ ...btnBase, background: "none", fontSize: "20px", color: T.textMuted, minHeight: "44px", minWidth: "44px" }}>✕</button></div>
+    <p style={{ fontSize: "13px", color: T.textSoft, margin: "0 0 14px" }}>Upload an actor's personal calendar (.ics). Any event overlapping a tour marks that tour busy.</p>
+    <div style={{ marginBottom: "12px" }}><div style={{ fontSize: "12px", fontWeight: "700", color: T.textMuted, marginBottom: "6px" }}>ACTOR</div><StyledSelect value={actor} onChange={e => setActor(e.target.value)} style={{ width: "100%" }}>{config.actors.map(a => <option key={a}>{a}</option>)}</StyledSelect></div>
+    <div style={{ marginBottom: "12px" }}><div style={{ fontSize: "12px", fontWeight: "700", color: T.textMuted, marginBottom: "6px" }}>CALENDAR FILE</div><label style={{ ...btnBase, display: "flex", alignItems: "center", justifyContent: "center", gap: "6px", fontSize: "13px", padding: "10px 14px", borderRadius: "10px", border: `1.5px dashed ${T.border}`, background: T.bgInput, color: fileName ? T.text : T.textMuted, minHeight: "44px" }}>{fileName ? `📄 ${fileName}` : "Choose .ics file…"}<input type="file" accept=".ics,text/calendar" onChange={handleFile} style={{ display: "none" }} /></label></div>
+    {error && <div style={{ marginBottom: "12px" }}><Badge type="error">{error}</Badge></div>}
+    {preview && <div style={{ display: "flex", gap: "6px", marginBottom: "12px" }}><Chip active={mode === "replace"} onClick={() => setMode("replace")} small>Replace availability</Chip><Chip active={mode === "merge"} onClick={() => setMode("merge")} small>Only remove busy tours</Chip></div>}
+    {preview && <Card style={{ marginBottom: "12px", background: T.accentSoft, border: `1px solid ${T.accent}20` }}>
+      <div style={{ fontSize: "12px", fontWeight: "700", color: T.accent, marginBottom: "8px" }}>PREVIEW — {actor}</div>
+      <div style={{ fontSize: "12px", color: T.textSoft, marginBottom: "8px" }}>{preview.eventCount} busy event{preview.eventCount !== 1 ? "s" : ""} in file · {busyDates.length} training date{busyDates.length !== 1 ? "s" : ""} affected</div>
+      {busyDates.map(ds => { const { busy } = preview.byDate[ds]; const res = resultFor(ds); return <div key={ds} style={{ fontSize: "13px", color: T.text, marginBottom: "4px" }}><span style={{ fontWeight: "700" }}>{fmtDateShort(ds)}</span> — {shifts.filter(sh => busy[sh.id]).map(sh => `${sh.icon} ${sh.label}: ${busy[sh.id].join(", ")}`).join(" · ")}{res === false && <span style={{ color: T.red }}> → Off</span>}</div> })}
+      <div style={{ fontSize: "13px", color: T.text, marginTop: "4px" }}>{mode === "replace" ? `✅ All other dates: all tours` : "✅ All other dates: unchanged"}</div>
+      {preview.unsupportedRules > 0 && <div style={{ marginTop: "8px" }}><Badge type="warning">{preview.unsupportedRules} repeating event{preview.unsupportedRules !== 1 ? "s" : ""} only counted once (monthly/yearly rules)</Badge></div>}
+    </Card>}
+    <div style={{ display: "flex", gap: "8px" }}><Btn variant="ghost" onClick={onClose} style={{ flex: 1 }}>Cancel</Btn><Btn onClick={applyResult} disabled={!preview} style={{ flex: 2 }}>✓ Apply</Btn></div>
+  </Card></Overlay>;
+}
+
 // ─── MAIN ──────────────────────────────────────────────────────────────────
 export default function CITScheduler() {
   const bp = useBreakpoint();
@@ -818,6 +1289,8 @@ export default function CITScheduler() {
   const [view, setView] = useState("plan");
   const [tabAnim, setTabAnim] = useState(false);
   const [overrides, setOverrides] = useState({});
+  const [locks, setLocks] = useState({});
+  const [published, setPublished] = useState(null);
   const [activeActors, setActiveActors] = useState({});
   const [loading, setLoading] = useState(true);
   const [showWelcome, setShowWelcome] = useState(false);
@@ -826,10 +1299,36 @@ export default function CITScheduler() {
   const [toast, setToast] = useState(null);
   const [toastExiting, setToastExiting] = useState(false);
   const toastTimer = useRef(null);
+  // Last saved month record — keeps fields the positional save() args don't cover (e.g. icsExport)
+  const recordRef = useRef({});
+  // Undo/redo versions of the month record (see history.js); ref mirrors state for save()
+  const [history, setHistory] = useState(emptyHistory());
+  const historyRef = useRef(emptyHistory());
+  const [showHistory, setShowHistory] = useState(false);
   const [generating, setGenerating] = useState(false);
+  const [solverMode, setSolverMode] = useState("heuristic");
+  const [genProgress, setGenProgress] = useState(null);
+  const genRef = useRef(null);
+  // Options from "Compare options", shown side by side until one is adopted or dismissed
+  const [candidates, setCandidates] = useState(null);
+  // Seed behind the current schedule; regenerating reuses it so the same inputs give the same result
+  const [seed, setSeed] = useState(null);
+  // Ranked on-call actors from the last generation, keyed by standbyKey
+  const [standby, setStandby] = useState({});
+  // cellKey → why the generator picked that actor (see generateSchedule's provenance); whyCell is the open popover
+  const [provenance, setProvenance] = useState({});
+  // Other stored months ({ "YYYY-MM": { schedule, weekPlans } }), for the fairness ledger and shared boundary weeks
+  const [otherMonths, setOtherMonths] = useState({});
+  const [whyCell, setWhyCell] = useState(null);
+  // Cell whose actor is being marked out ({ weekKey, slotKey, shift, scenario }), for the call-out panel
+  const [callout, setCallout] = useState(null);
+  // Gap assistant: the gap whose fixes are shown, and what-if results per fix id ("running" | { closed, gaps })
+  const [openGap, setOpenGap] = useState(null);
+  const [whatIfs, setWhatIfs] = useState({});
   const [exporting, setExporting] = useState(false);
   const [scheduleReveal, setScheduleReveal] = useState(0);
   const [showPasteMsg, setShowPasteMsg] = useState(false);
+  const [showCalImport, setShowCalImport] = useState(false);
   const [fairnessReport, setFairnessReport] = useState(null);
   const [availView, setAvailView] = useState("compact");
   const [showScrollTop, setShowScrollTop] = useState(false);
@@ -840,8 +1339,23 @@ export default function CITScheduler() {
   const weeks = getWeeksInMonth(year, month);
   const monthName = new Date(year, month).toLocaleString('default', { month: 'long' });
   const sortedActors = [...config.actors].sort((a, b) => (config.actorSortOrder?.[a] ?? 999) - (config.actorSortOrder?.[b] ?? 999));
+  const shifts = getShifts(config);
+  const shiftIds = shifts.map(sh => sh.id);
+  const slotKeys = getSlotKeys(config);
   // 1-based month for storage key
   const sKey = `cit-v4-${year}-${String(month + 1).padStart(2, '0')}`;
+  const hKey = `cit-v4-history-${year}-${String(month + 1).padStart(2, '0')}`;
+  // Per-cell explanations from the last generation — large, so kept beside the record and written only on generate
+  const pKey = `cit-v4-why-${year}-${String(month + 1).padStart(2, '0')}`;
+  const thisMonth = monthId(year, month);
+  const lookbackMonths = config.lookbackMonths ?? DEFAULT_CONFIG.lookbackMonths;
+  const pastSchedules = useMemo(() => Object.fromEntries(Object.entries(otherMonths).filter(([, r]) => r.schedule).map(([id, r]) => [id, r.schedule])), [otherMonths]);
+  // Shared first/last weeks: each date is planned and scheduled only by the month it falls in
+  const neighbours = Object.fromEntries([-1, 1].map(d => {
+    const id = shiftMonth(thisMonth, d), [y, m] = id.split("-").map(Number);
+    return [id, { weeks: getWeeksInMonth(y, m - 1), ...otherMonths[id] }];
+  }));
+  const { plans, borrowed } = resolvePlans(weeks, weekPlans, config, thisMonth, neighbours);
 
   const showT = (msg, type = "info") => {
     if (toastTimer.current) clearTimeout(toastTimer.current);
@@ -860,33 +1374,90 @@ export default function CITScheduler() {
   };
 
   useEffect(() => {
+    // A slower load of the month just left must not overwrite this one's state or history
+    let cancelled = false;
     (async () => {
       setLoading(true);
       try {
         const s = await storage.get("cit-v4-welcomed");
+        if (cancelled) return;
         if (!s) { setShowWelcome(true); await storage.set("cit-v4-welcomed", "1") }
-      } catch { setShowWelcome(true) }
+      } catch { if (!cancelled) setShowWelcome(true) }
       try {
         const c = await storage.get("cit-v4-config");
-        if (c?.value) setConfig(JSON.parse(c.value));
+        if (!cancelled && c?.value) setConfig(JSON.parse(c.value));
       } catch {}
+      let record = {};
       try {
         const r = await storage.get(sKey);
-        if (r?.value) {
-          const d = JSON.parse(r.value);
-          setAvailability(d.availability || {});
-          setWeekPlans(d.weekPlans || {});
-          setSchedule(d.schedule || null);
-          setErrors(d.errors || []);
-          setOverrides(d.overrides || {});
-          setActiveActors(d.activeActors || {});
-          setFairnessReport(d.fairnessReport || null);
-        } else {
-          setAvailability({}); setWeekPlans({}); setSchedule(null); setErrors([]); setOverrides({}); setActiveActors({}); setFairnessReport(null);
+        if (cancelled) return;
+        if (r?.value) record = JSON.parse(r.value);
+      } catch {
+        // unreadable record — start the month empty
+      }
+      if (cancelled) return;
+      recordRef.current = record;
+      if (Object.keys(record).length) {
+        setAvailability(record.availability || {});
+        setWeekPlans(record.weekPlans || {});
+        setSchedule(record.schedule || null);
+        setErrors(record.errors || []);
+        setOverrides(record.overrides || {});
+        setLocks(record.locks || {});
+        setPublished(record.published || null);
+        setActiveActors(record.activeActors || {});
+        setFairnessReport(record.fairnessReport || null);
+        setSeed(record.seed ?? null);
+        setStandby(record.standby || {});
+      } else {
+        setAvailability({}); setWeekPlans({}); setSchedule(null); setErrors([]); setOverrides({}); setLocks({}); setPublished(null); setActiveActors({}); setFairnessReport(null); setSeed(null); setStandby({});
+      }
+      try {
+        const h = await storage.get(hKey);
+        if (cancelled) return;
+        const loaded = h?.value ? parseHistory(h.value) : emptyHistory();
+        // Start from what's on screen; a record edited elsewhere becomes its own version
+        const next = recordVersion(loaded, takeSnapshot(record), loaded.entries.length ? "Changed on another device" : "Opened month");
+        historyRef.current = next; setHistory(next);
+        if (next !== loaded) await storage.set(hKey, JSON.stringify(next));
+      } catch { if (!cancelled) { historyRef.current = emptyHistory(); setHistory(emptyHistory()) } }
+      try {
+        const w = await storage.get(pKey);
+        if (cancelled) return;
+        setProvenance(w?.value ? JSON.parse(w.value) : {});
+      } catch { if (!cancelled) setProvenance({}) }
+      if (!cancelled) setLoading(false);
+    })()
+    return () => { cancelled = true };
+  }, [sKey, hKey, pKey]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      // Until the new list is in, don't balance against the last month's neighbours
+      setOtherMonths({});
+      const others = {};
+      for (const key of await storage.list("cit-v4-")) {
+        const id = key.match(MONTH_KEY)?.[1];
+        if (!id || key === sKey) continue;
+        try {
+          const r = await storage.get(key);
+          const d = r?.value ? JSON.parse(r.value) : null;
+          if (d) others[id] = { schedule: d.schedule || null, weekPlans: d.weekPlans || {} };
+        } catch {
+          // leave unreadable months out
         }
-      } catch { setAvailability({}); setWeekPlans({}); setSchedule(null); setErrors([]); setOverrides({}); setActiveActors({}); setFairnessReport(null) }
-      setLoading(false);
+      }
+      if (!cancelled) setOtherMonths(others);
     })()
+    return () => { cancelled = true };
+  }, [sKey]);
+
+  // A run still going when the month changes (or the app closes) would save into the wrong record
+  useEffect(() => () => {
+    genRef.current?.worker?.terminate();
+    genRef.current = null;
+    setGenerating(false); setGenProgress(null);
   }, [sKey]);
 
   useEffect(() => {
@@ -895,11 +1466,68 @@ export default function CITScheduler() {
     return () => window.removeEventListener("scroll", onScroll);
   }, []);
 
-  const save = useCallback(async (a, wp, s, e, o, fr, aa) => {
-    try { await storage.set(sKey, JSON.stringify({ availability: a, weekPlans: wp, schedule: s, errors: e, overrides: o, fairnessReport: fr || null, activeActors: aa || {} })) }
+  const commitHistory = useCallback(async next => {
+    historyRef.current = next; setHistory(next);
+    try { await storage.set(hKey, JSON.stringify(next)) }
+    catch (err) { console.error(err) }
+  }, [hKey]);
+
+  // `label` names the version in the history panel ("Generated schedule", ...)
+  const save = useCallback(async (a, wp, s, e, o, fr, aa, label = "Edited") => {
+    recordRef.current = { ...recordRef.current, availability: a, weekPlans: wp, schedule: s, errors: e, overrides: o, fairnessReport: fr || null, activeActors: aa || {} };
+    const next = recordVersion(historyRef.current, takeSnapshot(recordRef.current), label);
+    if (next !== historyRef.current) commitHistory(next);
+    try { await storage.set(sKey, JSON.stringify(recordRef.current)) }
+    catch (err) { console.error(err) }
+  }, [sKey, commitHistory]);
+
+  const saveProvenance = useCallback(async p => {
+    setProvenance(p);
+    try { await storage.set(pKey, JSON.stringify(p)) }
+    catch (err) { console.error(err) }
+  }, [pKey]);
+
+  // Merge extra fields into the month record without touching the rest
+  const saveMeta = useCallback(async patch => {
+    recordRef.current = { ...recordRef.current, ...patch };
+    try { await storage.set(sKey, JSON.stringify(recordRef.current)) }
     catch (err) { console.error(err) }
   }, [sKey]);
 
+  // ── Version history ──
+  const applySnapshot = d => {
+    setAvailability(d.availability || {}); setWeekPlans(d.weekPlans || {}); setSchedule(d.schedule || null); setErrors(d.errors || []);
+    setOverrides(d.overrides || {}); setFairnessReport(d.fairnessReport || null); setActiveActors(d.activeActors || {}); setLocks(d.locks || {}); setSeed(d.seed ?? null); setStandby(d.standby || {});
+    saveMeta({ availability: {}, weekPlans: {}, schedule: null, errors: [], overrides: {}, fairnessReport: null, activeActors: {}, locks: {}, seed: null, standby: {}, ...JSON.parse(JSON.stringify(d)) });
+  };
+
+  const stepVersion = delta => {
+    const step = stepHistory(historyRef.current, delta);
+    if (!step) return;
+    applySnapshot(step.entry.data);
+    commitHistory(step.history);
+    showT(delta < 0 ? `Undid: ${historyRef.current.entries[step.history.index + 1].label}` : `Redid: ${step.entry.label}`, "info");
+  };
+
+  // Restoring an older version is itself a new version, so it can be undone too
+  const restoreVersion = entry => {
+    applySnapshot(entry.data);
+    commitHistory(recordVersion(historyRef.current, takeSnapshot(entry.data), `Restored "${entry.label}"`));
+    setShowHistory(false);
+    showT(`Restored version from ${new Date(entry.at).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}`, "success");
+  };
+
+  useEffect(() => {
+    const onKey = e => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      e.preventDefault();
+      stepVersion(e.shiftKey ? 1 : -1);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
   const saveConfig = async cfg => {
     setConfig(cfg);
     try { await storage.set("cit-v4-config", JSON.stringify(cfg)) } catch {}
@@ -907,45 +1535,33 @@ export default function CITScheduler() {
     setShowSettings(false);
   };
 
+  // Cycle: all tours → each single tour → off
   const cycleAvailability = (ds, actor) => {
     setAvailability(p => {
-      const current = p[ds]?.[actor];
-      const norm = normalizeAvail(current);
-      let next;
-      if (!norm) next = "both";
-      else if (norm === "both") next = "am";
-      else if (norm === "am") next = "pm";
-      else next = false;
-      const n = { ...p, [ds]: { ...p[ds], [actor]: next } };
-      save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors);
+      const norm = normalizeAvail(p[ds]?.[actor], shifts);
+      const steps = [shiftIds, ...(shiftIds.length > 1 ? shiftIds.map(id => [id]) : []), []];
+      const idx = steps.findIndex(st => st.length === norm.length && st.every(id => norm.includes(id)));
+      const next = steps[(idx + 1) % steps.length];
+      const n = { ...p, [ds]: { ...p[ds], [actor]: next.length ? next : false } };
+      save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors, "Edited availability");
       return n;
     });
   };
   const setAllAvail = ds => {
-    setAvailability(p => { const n = { ...p, [ds]: {} }; config.actors.forEach(a => n[ds][a] = "both"); save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors); return n });
-  };
-  const setAllAM = ds => {
-    setAvailability(p => { const n = { ...p, [ds]: {} }; config.actors.forEach(a => n[ds][a] = "am"); save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors); return n });
+    setAvailability(p => { const n = { ...p, [ds]: {} }; config.actors.forEach(a => n[ds][a] = [...shiftIds]); save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors, "Edited availability"); return n });
   };
-  const setAllPM = ds => {
-    setAvailability(p => { const n = { ...p, [ds]: {} }; config.actors.forEach(a => n[ds][a] = "pm"); save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors); return n });
+  const setAllShift = (ds, shift) => {
+    setAvailability(p => { const n = { ...p, [ds]: {} }; config.actors.forEach(a => n[ds][a] = [shift]); save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors, "Edited availability"); return n });
   };
   const clearDay = ds => {
-    setAvailability(p => { const n = { ...p, [ds]: {} }; save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors); return n });
+    setAvailability(p => { const n = { ...p, [ds]: {} }; save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors, "Edited availability"); return n });
   };
   const setShiftAvailability = (ds, actor, shift, enabled) => {
     setAvailability(p => {
-      const current = normalizeAvail(p[ds]?.[actor]);
-      let next;
-      if (shift === 'AM') {
-        const pmOn = current === 'both' || current === 'pm';
-        next = enabled ? (pmOn ? 'both' : 'am') : (pmOn ? 'pm' : false);
-      } else {
-        const amOn = current === 'both' || current === 'am';
-        next = enabled ? (amOn ? 'both' : 'pm') : (amOn ? 'am' : false);
-      }
-      const n = { ...p, [ds]: { ...p[ds], [actor]: next } };
-      save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors);
+      const current = normalizeAvail(p[ds]?.[actor], shifts);
+      const next = shiftIds.filter(id => id === shift ? enabled : current.includes(id));
+      const n = { ...p, [ds]: { ...p[ds], [actor]: next.length ? next : false } };
+      save(n, weekPlans, schedule, errors, overrides, fairnessReport, activeActors, "Edited availability");
       return n;
     });
   };
@@ -971,8 +1587,8 @@ export default function CITScheduler() {
       const newAvail = { ...availability };
       const activeDates = [];
       weeks.forEach((wd, wi) => {
-        const plan = weekPlans[`week${wi}`] || getDefaultWeekPlan(wd, config);
-        SLOT_KEYS.forEach(sk => { if (plan[sk]) activeDates.push(plan[sk]) });
+        const plan = plans[`week${wi}`];
+        slotKeys.forEach(sk => { if (plan[sk]) activeDates.push(plan[sk]) });
       });
       activeDates.forEach(ds => {
         const [y, m, day] = ds.split('-').map(Number);
@@ -980,7 +1596,7 @@ export default function CITScheduler() {
         if (prevByDow[dow]) newAvail[ds] = { ...prevByDow[dow] };
       });
       setAvailability(newAvail);
-      save(newAvail, weekPlans, schedule, errors, overrides, fairnessReport, activeActors);
+      save(newAvail, weekPlans, schedule, errors, overrides, fairnessReport, activeActors, "Copied last month's availability");
       showT("Copied from last month ✓", "success");
     } catch {
       showT("Could not load last month", "error");
@@ -988,54 +1604,230 @@ export default function CITScheduler() {
   };
 
   const updateWeekPlan = (wi, plan) => {
-    setWeekPlans(p => { const n = { ...p, [`week${wi}`]: plan }; save(availability, n, schedule, errors, overrides, fairnessReport, activeActors); return n });
+    setWeekPlans(p => { const n = { ...p, [`week${wi}`]: plan }; save(availability, n, schedule, errors, overrides, fairnessReport, activeActors, "Changed week plan"); return n });
+  };
+
+  // ── Locks ──
+  // Locked cells (keyed like overrides) keep their current actor across regenerates.
+  // A lock only applies while its day is still on the same date in the week plan.
+  const getFixedCells = () => {
+    const fixed = {};
+    if (!schedule) return fixed;
+    for (const key of Object.keys(locks)) {
+      const [wk, sk, shift, sc] = key.split("|");
+      const day = schedule[wk]?.[sk];
+      const plan = plans[wk];
+      if (!day || !plan || day.date !== plan[sk] || !day[shift] || !(sc in day[shift])) continue;
+      fixed[key] = day[shift][sc] || null;
+    }
+    return fixed;
   };
 
-  const handleGenerate = () => {
-    const active = config.actors.filter(a => activeActors[a]);
-    if (active.length === 0) { showT("No active actors — toggle at least one on", "error"); return; }
+  const dayCellKeys = (wk, sk) => shiftIds.flatMap(shift => (config.slotScenarios[sk] || []).map(sc => cellKey(wk, sk, shift, sc)));
+
+  const updateLocks = fn => {
+    setLocks(p => { const n = { ...p }; fn(n); saveMeta({ locks: n }); return n });
+  };
+
+  const toggleLock = key => updateLocks(n => { if (n[key]) delete n[key]; else n[key] = true });
+
+  const toggleDayLock = (wk, sk) => {
+    const keys = dayCellKeys(wk, sk);
+    const allLocked = keys.every(k => locks[k]);
+    updateLocks(n => keys.forEach(k => { if (allLocked) delete n[k]; else n[k] = true }));
+    showT(allLocked ? "Day unlocked" : "Day locked — kept on regenerate", "success");
+  };
+
+  // ── Generation runs in a worker so large rosters don't freeze the page ──
+  // genRef holds { worker, best, candidates, seed, lockedCount } for the run in flight
+  const applyGenerated = (result, lockedCount, canceled, label = "Generated schedule") => {
+    const { schedule: s, errors: e, fairnessReport: fr } = result;
+    // Other fields come from the latest record — they may have been edited while the worker ran.
+    // The seed rides along in the record (and its versions) so the schedule can be reproduced.
+    const rec = recordRef.current = { ...recordRef.current, seed: result.seed, standby: result.standby || {} };
+    setScheduleReveal(n => n + 1);
+    setSchedule(s); setErrors(e); setFairnessReport(fr); setSeed(result.seed); setStandby(result.standby || {}); setWhyCell(null); setOpenGap(null); setWhatIfs({}); switchView("schedule");
+    saveProvenance(result.provenance || {});
+    save(rec.availability || {}, rec.weekPlans || {}, s, e, rec.overrides || {}, fr, rec.activeActors || {}, label);
+    const kept = lockedCount ? ` · ${lockedCount} locked kept` : "";
+    const short = fr.minShortfalls?.length ? ` · ${fr.minShortfalls.length} below minimum` : "";
+    const solved = fr.solver?.status === "optimal" ? " · optimal" : fr.solver?.status === "bounded" ? ` · within ${fr.solver.gap}% of optimal` : "";
+    const cooled = fr.solver?.cooldownRelaxed ? ` · heavy-role cooldown relaxed for ${fr.solver.cooldownBreaks}` : "";
+    if (canceled) showT(`Canceled — kept the best schedule so far${solved}${cooled}${kept}`, "warning");
+    else if (!e.length && !short && !cooled) showT(`All slots filled${solved}${kept}`, "success");
+    else if (!e.length) showT(`All slots filled${short}${cooled}${solved}${kept}`, "warning");
+    else showT(`${e.length} gap${e.length > 1 ? "s" : ""}—check schedule${short}${cooled}${kept}`, "warning");
+  };
+
+  const stopGenerating = () => {
+    genRef.current?.worker?.terminate();
+    genRef.current = null;
+    setGenerating(false); setGenProgress(null);
+  };
+
+  // The config the generator sees: only actors active this month
+  const activeConfig = () => ({
+    ...config,
+    actors: config.actors.filter(a => activeActors[a]),
+    scenarioActors: Object.fromEntries(
+      Object.entries(config.scenarioActors).map(([sc, actors]) => [sc, actors.filter(a => activeActors[a])])
+    ),
+  });
+
+  // Earlier stored months: totals over the look-back window for the generator to balance against,
+  // and when each actor last played each scenario for heavy-role cooldowns
+  const pastLedger = useMemo(() => buildLedger(pastSchedules, config), [pastSchedules, config]);
+  const priorTotals = () => windowTotals(pastLedger, thisMonth, lookbackMonths);
+  const priorLastPlayed = useMemo(() => lastPlayed(pastLedger, monthId(year, month)), [pastLedger, year, month]);
+  // Trailing quarter for Stats: this month and the two before it
+  const quarterTotals = useMemo(() => {
+    const id = monthId(year, month);
+    return windowTotals({ ...pastLedger, ...buildLedger(schedule ? { [id]: schedule } : {}, config) }, id, 3, true);
+  }, [pastLedger, schedule, year, month, config]);
+
+  // count > 1 builds that many distinct options to compare instead of applying one directly;
+  // reshuffle draws a new seed instead of reusing the month's
+  const handleGenerate = (count = 1, reshuffle = false) => {
+    const filteredConfig = activeConfig();
+    if (filteredConfig.actors.length === 0) { showT("No active actors — toggle at least one on", "error"); return; }
+    const fixed = getFixedCells();
+    const lockedCount = Object.keys(fixed).length;
+    const runSeed = reshuffle || recordRef.current.seed == null ? drawSeed() : recordRef.current.seed;
+    const options = { fixed, mode: solverMode, count, seed: runSeed, history: priorTotals(), lastPlayed: priorLastPlayed };
+    const finish = data => {
+      if (count > 1) showCandidates(data.candidates, lockedCount);
+      else applyGenerated({ ...data.result, seed: runSeed }, lockedCount, false, reshuffle ? "Reshuffled schedule" : undefined);
+      stopGenerating();
+    };
     setGenerating(true);
-    setTimeout(() => {
-      // Build a filtered config that only includes active actors
-      const filteredConfig = {
-        ...config,
-        actors: active,
-        scenarioActors: Object.fromEntries(
-          Object.entries(config.scenarioActors).map(([sc, actors]) => [sc, actors.filter(a => activeActors[a])])
-        ),
-      };
-      const { schedule: s, errors: e, fairnessReport: fr } = generateSchedule(weeks, weekPlans, availability, filteredConfig);
-      setScheduleReveal(Date.now());
-      setSchedule(s); setErrors(e); setFairnessReport(fr); switchView("schedule");
-      save(availability, weekPlans, s, e, overrides, fr, activeActors);
-      setGenerating(false);
-      if (!e.length) showT("All slots filled", "success");
-      else showT(`${e.length} gap${e.length > 1 ? "s" : ""}—check schedule`, "warning");
-    }, 150);
+    if (typeof Worker === "undefined") {
+      setTimeout(() => finish(count > 1
+        ? { candidates: generateCandidates(weeks, plans, availability, filteredConfig, options) }
+        : { result: generateSchedule(weeks, plans, availability, filteredConfig, options) }), 150);
+      return;
+    }
+    const worker = new Worker(new URL("./generate.worker.js", import.meta.url), { type: "module" });
+    genRef.current = { worker, best: null, candidates: [], seed: runSeed, lockedCount };
+    worker.onmessage = ({ data }) => {
+      if (genRef.current?.worker !== worker) return;
+      if (data.type === "progress") setGenProgress(data.progress);
+      else if (data.type === "best") genRef.current.best = data.result;
+      else if (data.type === "candidate") genRef.current.candidates.push(data.candidate);
+      else if (data.type === "done") finish(data);
+    };
+    worker.onerror = err => { showT(`Generation failed: ${err.message || "unknown error"}`, "error"); stopGenerating(); };
+    worker.postMessage({ weeks, weekPlans: plans, availability, config: filteredConfig, options });
+  };
+
+  const cancelGenerate = () => {
+    const run = genRef.current;
+    stopGenerating();
+    if (run?.candidates.length) showCandidates([...run.candidates].sort(compareCandidates), run.lockedCount, true);
+    else if (run?.best) applyGenerated({ ...run.best, seed: run.seed }, run.lockedCount, true);
+    else showT("Generation canceled — schedule unchanged", "warning");
+  };
+
+  const showCandidates = (list, lockedCount, canceled) => {
+    if (!list.length) { showT("No schedule could be generated", "error"); return; }
+    setCandidates({ list, lockedCount });
+    if (canceled) showT(`Canceled — comparing the ${list.length} option${list.length !== 1 ? "s" : ""} found so far`, "warning");
+    else if (list.length < CANDIDATE_COUNT) showT(`Only ${list.length} distinct option${list.length !== 1 ? "s" : ""} — the rules leave little room to vary`, "warning");
   };
 
+  const adoptCandidate = (candidate, n) => {
+    const { lockedCount } = candidates;
+    setCandidates(null);
+    applyGenerated(candidate, lockedCount, false, `Adopted option ${n}`);
+  };
+
+  // ── Gap assistant — re-runs the solver with one fix applied to see if it closes the gap ──
+  const gapId = g => cellKey(g.weekKey, g.slotKey, g.shift, g.scenario);
+  const fixId = (g, fix) => `${gapId(g)}|${fix.kind}|${fix.actor || fix.date}`;
+
+  const runWhatIf = async (gap, fix) => {
+    const id = fixId(gap, fix);
+    setWhatIfs(p => ({ ...p, [id]: "running" }));
+    const inputs = applyGapFix(weeks, plans, availability, activeConfig(), gap, fix);
+    try {
+      const result = await solveOffThread({ weeks, ...inputs, options: { fixed: getFixedCells(), seed: recordRef.current.seed ?? undefined, history: priorTotals(), lastPlayed: priorLastPlayed } });
+      const closed = !result.errors.some(e => typeof e !== "string" && gapId(e) === gapId(gap));
+      setWhatIfs(p => ({ ...p, [id]: { closed, gaps: result.errors.length } }));
+    } catch (err) {
+      setWhatIfs(p => { const n = { ...p }; delete n[id]; return n });
+      showT(`What-if failed: ${err.message || "unknown error"}`, "error");
+    }
+  };
+
+  const copyFixMessage = async fix => {
+    const ok = await copyToClipboard(fix.message);
+    showT(ok ? `Message for ${fix.actor} copied` : "Copy failed — try again", ok ? "success" : "error");
+  };
+
+  const genProgressText = p => !p ? "Generating…"
+    : p.candidate ? `Option ${p.candidate} of ${p.of} · ${genProgressText({ ...p, candidate: null })}`
+    : p.phase === "optimal" ? `Optimizing · ${p.nodes.toLocaleString()} nodes${p.bestFairness != null ? ` · best ${p.bestFairness}%` : ""}`
+    : p.phase === "fallback" ? "Filling what fits…"
+    : `${p.relaxLevel ? "Relaxed rules" : "Searching"} · ${p.backtrackCount.toLocaleString()} steps${p.bestFairness != null ? ` · best ${p.bestFairness}%` : ""}`;
+
   const handleOverride = (wk, sk, shift, sc, actor) => {
-    const key = `${wk}|${sk}|${shift}|${sc}`;
+    const key = cellKey(wk, sk, shift, sc);
+    // A manual pick is a deliberate choice, so lock it against the next regenerate
+    if (!locks[key]) updateLocks(n => { n[key] = true });
     setOverrides(p => {
       const n = { ...p, [key]: actor };
       if (schedule) {
         const ns = JSON.parse(JSON.stringify(schedule));
         if (ns[wk]?.[sk]?.[shift]) ns[wk][sk][shift][sc] = actor || null;
-        setSchedule(ns); save(availability, weekPlans, ns, errors, n, fairnessReport, activeActors);
+        setSchedule(ns); save(availability, weekPlans, ns, errors, n, fairnessReport, activeActors, `${sc} → ${actor || "empty"}`);
       }
       return n;
     });
-    showT(actor ? `${actor} → ${sc} saved` : `${sc} cleared`, "success");
+    if (!actor) { showT(`${sc} cleared · locked`, "success"); return; }
+    // Warn right away if the pick breaks a rule; the card shows the details
+    const ns = JSON.parse(JSON.stringify(schedule || {}));
+    if (ns[wk]?.[sk]?.[shift]) ns[wk][sk][shift][sc] = actor;
+    const issue = validateSchedule(weeks, plans, ns, availability, config, priorLastPlayed).find(v => cellKey(v.weekKey, v.slotKey, v.shift, v.scenario) === key);
+    showT(issue ? `${actor} → ${sc} saved · ${issue.message}` : `${actor} → ${sc} saved · locked`, issue ? "warning" : "success");
   };
 
+  // A call-out vacates the cell and writes the chosen replacement(s) as locked overrides; the
+  // actor is marked unavailable for that tour so a regenerate won't put them back
+  const applyCallout = (cell, moves, out) => {
+    const { weekKey: wk, slotKey: sk, shift } = cell;
+    const ns = JSON.parse(JSON.stringify(schedule));
+    const no = { ...overrides };
+    for (const m of moves) { ns[wk][sk][shift][m.scenario] = m.actor; no[cellKey(wk, sk, shift, m.scenario)] = m.actor; }
+    const date = ns[wk][sk].date;
+    const left = normalizeAvail(availability[date]?.[out], shifts).filter(id => id !== shift);
+    const na = { ...availability, [date]: { ...availability[date], [out]: left.length ? left : false } };
+    updateLocks(n => moves.forEach(m => { n[cellKey(wk, sk, shift, m.scenario)] = true }));
+    setSchedule(ns); setOverrides(no); setAvailability(na);
+    save(na, weekPlans, ns, errors, no, fairnessReport, activeActors, `${out} out — ${moves.map(m => `${m.scenario} → ${m.actor || "empty"}`).join(", ")}`);
+  };
+
+  // Snapshot of what actors were last told; the Changes tab diffs against it
+  const markPublished = () => {
+    if (!schedule) return;
+    const p = { schedule: JSON.parse(JSON.stringify(schedule)), at: new Date().toISOString() };
+    setPublished(p);
+    saveMeta({ published: p });
+    showT("Marked as sent — later edits show under Changes", "success");
+  };
+
+  // Per-actor calendar export logs, kept like icsExport so re-imports update and cancel events
+  const actorExportLogs = () => recordRef.current.actorIcsExport || {};
+  const saveActorExports = logs => saveMeta({ actorIcsExport: { ...actorExportLogs(), ...logs } });
+
   const exportICSFile = () => {
     if (!schedule) return;
     setExporting(true);
     setTimeout(() => {
-      const ics = generateICS(weeks, weekPlans, schedule, year, month, config);
+      const { ics, exportLog } = generateICS(weeks, plans, schedule, year, month, config, recordRef.current.icsExport || {});
       downloadICS(ics, monthName, year);
+      saveMeta({ icsExport: exportLog });
       setExporting(false);
-      showT("Calendar downloaded", "success");
+      const canceled = Object.values(exportLog).filter(ev => ev.cancelled).length;
+      showT(canceled ? `Calendar downloaded · ${canceled} canceled event${canceled !== 1 ? "s" : ""}` : "Calendar downloaded", "success");
     }, 150);
   };
 
@@ -1045,16 +1837,30 @@ export default function CITScheduler() {
     if (m < 0) { m = 11; y-- }
     setMonth(m); setYear(y);
   };
+  const openMonth = id => chgMonth(id < thisMonth ? -1 : 1);
 
   if (loading) return <div style={{ fontFamily: font, background: T.bg, minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center" }}><div style={{ textAlign: "center" }}><div style={{ fontSize: `${T.fontHero}px`, marginBottom: `${T.sp12}px` }}>🎭</div><p style={{ color: T.textMuted, fontSize: `${T.fontSmall}px`, fontWeight: "600", letterSpacing: "0.05em" }}>LOADING</p></div></div>;
 
   const activeDates = [];
-  weeks.forEach((wd, wi) => { const plan = weekPlans[`week${wi}`] || getDefaultWeekPlan(wd, config); SLOT_KEYS.forEach(sk => { if (plan[sk]) activeDates.push(plan[sk]) }) });
-  const totalSlots = activeDates.length * 2;
-  const filledSlots = schedule ? Object.values(schedule).reduce((s, wk) => s + SLOT_KEYS.reduce((s2, sk) => s2 + (wk[sk] ? SHIFTS.reduce((s3, sh) => s3 + Object.values(wk[sk][sh] || {}).filter(Boolean).length, 0) : 0), 0), 0) : 0;
-  const actorStats = getActorStats(weeks, weekPlans, schedule, config);
+  weeks.forEach((wd, wi) => { const plan = plans[`week${wi}`]; slotKeys.forEach(sk => { if (plan[sk]) activeDates.push(plan[sk]) }) });
+  const totalSlots = activeDates.length * shiftIds.length;
+  const filledSlots = schedule ? Object.values(schedule).reduce((s, wk) => s + slotKeys.reduce((s2, sk) => s2 + (wk?.[sk] ? shiftIds.reduce((s3, sh) => s3 + Object.values(wk[sk][sh] || {}).filter(Boolean).length, 0) : 0), 0), 0) : 0;
+  const actorStats = getActorStats(weeks, plans, schedule, config);
+  const quarterLabel = [2, 0].map(i => new Date(year, month - i).toLocaleString('default', { month: 'short', year: 'numeric' })).join("–");
+  const violations = validateSchedule(weeks, plans, schedule, availability, config, priorLastPlayed);
+  const changes = published && schedule ? diffSchedules(published.schedule, schedule) : {};
+  const changedActors = Object.keys(changes).sort((a, b) => (config.actorSortOrder?.[a] ?? 999) - (config.actorSortOrder?.[b] ?? 999) || a.localeCompare(b));
+  const violationsByCell = {};
+  violations.forEach(v => { const k = cellKey(v.weekKey, v.slotKey, v.shift, v.scenario); (violationsByCell[k] = violationsByCell[k] || []).push(v) });
+
+  const canUndo = history.index > 0, canRedo = history.index < history.entries.length - 1;
+  const historyControls = <div style={{ display: "flex", alignItems: "center" }}>
+    <button onClick={() => stepVersion(-1)} disabled={!canUndo} aria-label="Undo" title={canUndo ? `Undo: ${history.entries[history.index].label}` : "Nothing to undo"} style={{ ...btnBase, background: "none", fontSize: "18px", padding: `${T.sp4}px`, color: canUndo ? T.textMuted : T.textFaint, opacity: canUndo ? 1 : 0.4, minHeight: "44px", minWidth: "36px" }}>↶</button>
+    <button onClick={() => stepVersion(1)} disabled={!canRedo} aria-label="Redo" title={canRedo ? `Redo: ${history.entries[history.index + 1].label}` : "Nothing to redo"} style={{ ...btnBase, background: "none", fontSize: "18px", padding: `${T.sp4}px`, color: canRedo ? T.textMuted : T.textFaint, opacity: canRedo ? 1 : 0.4, minHeight: "44px", minWidth: "36px" }}>↷</button>
+    <button onClick={() => setShowHistory(true)} aria-label="Version history" style={{ ...btnBase, background: "none", fontSize: `${T.fontMono}px`, padding: `${T.sp4}px`, color: T.textMuted, minHeight: "44px", minWidth: "36px" }}>🕘</button>
+  </div>;
 
-  const navItems = [{ key: "plan", icon: "🗓", label: "Plan" }, { key: "availability", icon: "📋", label: "Actors" }, { key: "schedule", icon: "📅", label: "Schedule" }, { key: "dashboard", icon: "📊", label: "Stats" }, { key: "reference", icon: "📖", label: "Guide" }];
+  const navItems = [{ key: "plan", icon: "🗓", label: "Plan" }, { key: "availability", icon: "📋", label: "Actors" }, { key: "schedule", icon: "📅", label: "Schedule" }, { key: "changes", icon: "🔔", label: changedActors.length ? `Changes (${changedActors.length})` : "Changes" }, { key: "dashboard", icon: "📊", label: "Stats" }, { key: "reference", icon: "📖", label: "Guide" }];
 
   return (
     <div style={{ fontFamily: font, background: T.bg, minHeight: "100vh", paddingBottom: "100px", color: T.text }}>
@@ -1062,9 +1868,13 @@ export default function CITScheduler() {
       <a href="#main-content" style={{ position: "absolute", top: "-40px", left: 0, background: T.accent, color: "#fff", padding: `${T.sp8}px ${T.sp16}px`, zIndex: 200, fontSize: `${T.fontBody}px`, fontWeight: "600", borderRadius: `0 0 ${T.radiusSm}px ${T.radiusSm}px`, transition: `top ${T.dFast} ${T.easeProductive}` }} onFocus={e => e.target.style.top = "0"} onBlur={e => e.target.style.top = "-40px"}>Skip to content</a>
 
       {showWelcome && <WelcomeModal onClose={() => setShowWelcome(false)} />}
-      {showShare && schedule && <ShareModal weeks={weeks} weekPlans={weekPlans} schedule={schedule} monthName={monthName} year={year} config={config} onClose={() => setShowShare(false)} showToast={showT} />}
+      {showShare && schedule && <ShareModal weeks={weeks} weekPlans={plans} schedule={schedule} standby={standby} month={month} monthName={monthName} year={year} config={config} exportLogs={actorExportLogs} onExported={saveActorExports} onClose={() => setShowShare(false)} onMarkSent={markPublished} showToast={showT} />}
+      {callout && schedule && <CalloutPanel cell={callout} schedule={schedule} availability={availability} config={activeConfig()} standby={standby} recent={priorLastPlayed} seed={seed} onApply={applyCallout} onClose={() => setCallout(null)} showToast={showT} />}
+      {candidates && <CandidatesPanel candidates={candidates.list} current={schedule} config={config} onAdopt={adoptCandidate} onClose={() => setCandidates(null)} />}
+      {showHistory && <HistoryPanel history={history} current={{ availability, weekPlans, schedule }} onRestore={restoreVersion} onClose={() => setShowHistory(false)} />}
       {showSettings && <SettingsPanel config={config} onSave={saveConfig} onClose={() => setShowSettings(false)} showToast={showT} />}
-      {showPasteMsg && <PasteMessagePanel config={config} availability={availability} activeDates={activeDates} onApply={newAvail => { setAvailability(newAvail); save(newAvail, weekPlans, schedule, errors, overrides, fairnessReport, activeActors); showT("Availability updated ✓", "success"); }} onClose={() => setShowPasteMsg(false)} />}
+      {showPasteMsg && <PasteMessagePanel config={config} availability={availability} activeDates={activeDates} onApply={newAvail => { setAvailability(newAvail); save(newAvail, weekPlans, schedule, errors, overrides, fairnessReport, activeActors, "Pasted availability message"); showT("Availability updated ✓", "success"); }} onClose={() => setShowPasteMsg(false)} />}
+      {showCalImport && <CalendarImportPanel config={config} availability={availability} activeDates={activeDates} onApply={newAvail => { setAvailability(newAvail); save(newAvail, weekPlans, schedule, errors, overrides, fairnessReport, activeActors, "Imported calendar"); showT("Availability updated ✓", "success"); }} onClose={() => setShowCalImport(false)} />}
       {toast && <div role="alert" aria-live="assertive" style={{ position: "fixed", top: `${T.sp16}px`, left: "50%", transform: "translateX(-50%)", zIndex: 999, padding: `${T.sp12}px ${T.sp20}px`, borderRadius: `${T.radiusMd}px`, fontFamily: font, fontSize: `${T.fontBody}px`, fontWeight: "500", background: T.text, color: T.bg, boxShadow: "0 8px 32px rgba(26,20,18,0.2)", animation: toastExiting ? `toastOut ${T.dFast} ${T.easeProductive} forwards` : `toastIn ${T.dNormal} ${T.easeExpressive}` }}>{toast.msg}</div>}
 
       {/* HEADER — frosted glass sticky */}
@@ -1093,6 +1903,7 @@ export default function CITScheduler() {
                   <div style={{ fontFamily: font, fontSize: `${T.fontCaption}px`, fontWeight: "600", color: T.accent, textTransform: "uppercase", letterSpacing: "0.12em" }}>CIT SCHEDULER</div>
                   <div title={syncStatus === 'synced' ? 'Synced to cloud' : syncStatus === 'syncing' ? 'Syncing...' : syncStatus === 'offline' ? 'Offline — local only' : syncStatus === 'error' ? 'Sync error' : 'Connecting...'} style={{ width: "8px", height: "8px", borderRadius: "50%", background: syncStatus === 'synced' ? T.green : syncStatus === 'syncing' ? T.amber : syncStatus === 'offline' ? T.textFaint : syncStatus === 'error' ? T.red : T.textFaint, boxShadow: syncStatus === 'synced' ? `0 0 6px ${T.green}40` : 'none', transition: `background ${T.dNormal} ${T.easeProductive}` }} />
                 </div>
+                {historyControls}
                 <button onClick={() => setShowSettings(true)} aria-label="Settings" style={{ ...btnBase, background: "none", fontSize: `${T.fontCardTitle}px`, padding: `${T.sp4}px ${T.sp8}px`, color: T.textMuted, minHeight: "44px", minWidth: "44px" }}>⚙️</button>
               </div>
             </div>
@@ -1105,7 +1916,7 @@ export default function CITScheduler() {
                   <div style={{ fontFamily: font, fontSize: `${T.fontCaption}px`, fontWeight: "600", color: T.accent, textTransform: "uppercase", letterSpacing: "0.12em" }}>CIT SCHEDULER</div>
                   <div title={syncStatus === 'synced' ? 'Synced to cloud' : syncStatus === 'syncing' ? 'Syncing...' : syncStatus === 'offline' ? 'Offline — local only' : syncStatus === 'error' ? 'Sync error' : 'Connecting...'} style={{ width: "7px", height: "7px", borderRadius: "50%", background: syncStatus === 'synced' ? T.green : syncStatus === 'syncing' ? T.amber : syncStatus === 'offline' ? T.textFaint : syncStatus === 'error' ? T.red : T.textFaint, boxShadow: syncStatus === 'synced' ? `0 0 6px ${T.green}40` : 'none', transition: `background ${T.dNormal} ${T.easeProductive}` }} />
                 </div>
-                <button onClick={() => setShowSettings(true)} aria-label="Settings" style={{ ...btnBase, background: "none", fontSize: `${T.fontCardTitle}px`, padding: `${T.sp4}px ${T.sp8}px`, color: T.textMuted, minHeight: "44px", minWidth: "44px" }}>⚙️</button>
+                <div style={{ display: "flex", alignItems: "center" }}>{historyControls}<button onClick={() => setShowSettings(true)} aria-label="Settings" style={{ ...btnBase, background: "none", fontSize: `${T.fontCardTitle}px`, padding: `${T.sp4}px ${T.sp8}px`, color: T.textMuted, minHeight: "44px", minWidth: "44px" }}>⚙️</button></div>
               </div>
               <div style={{ display: "flex", alignItems: "center", justifyContent: "center", gap: `${T.sp20}px`, marginBottom: `${T.sp12}px` }}>
                 <button onClick={() => chgMonth(-1)} aria-label="Previous month" style={{ ...btnBase, background: "none", fontSize: "22px", color: T.textMuted, padding: `${T.sp4}px ${T.sp8}px`, minHeight: "44px", minWidth: "44px" }}>‹</button>
@@ -1137,11 +1948,11 @@ export default function CITScheduler() {
           <SectionHead icon="🗓" title="Week Planner" sub="Set which days training runs each week. Shift, cancel, or reschedule." />
           <Card style={{ marginBottom: "16px", padding: "14px", border: `1px solid ${T.accent}20`, background: T.accentSoft }}>
             <p style={{ fontSize: "13px", color: T.accent, margin: 0, lineHeight: 1.5, fontWeight: "500" }}>
-              <strong>◀ ▶</strong> shifts all 3 days forward/back by one day. Use dropdowns for individual day changes. <strong>Cancel</strong> removes the entire week.
+              <strong>◀ ▶</strong> shifts all {slotKeys.length} training days forward/back by one day. Use dropdowns for individual day changes. <strong>Cancel</strong> removes the entire week. Days in a week shared with the month before or after are planned in the month they fall in.
             </p>
           </Card>
           <div style={{ display: "grid", gridTemplateColumns: bp.isWide ? "1fr 1fr" : "1fr", gap: `${T.sp12}px` }}>
-            {weeks.map((wd, wi) => <WeekPlanner key={wi} weekIndex={wi} weekDays={wd} plan={weekPlans[`week${wi}`]} config={config} onChange={plan => updateWeekPlan(wi, plan)} isMobile={bp.isMobile} />)}
+            {weeks.map((wd, wi) => <WeekPlanner key={wi} weekIndex={wi} weekDays={wd} plan={plans[`week${wi}`]} month={thisMonth} borrowed={borrowed[`week${wi}`]} config={config} onChange={plan => updateWeekPlan(wi, plan)} onOpenMonth={openMonth} isMobile={bp.isMobile} />)}
           </div>
           <div style={{ marginTop: "20px", textAlign: "center" }}>
             <p style={{ fontSize: "13px", color: T.textMuted, marginBottom: "12px" }}>Once your days are set, go to <strong style={{ color: T.text }}>Actors</strong> to mark availability.</p>
@@ -1151,7 +1962,7 @@ export default function CITScheduler() {
 
         {/* ═══ AVAILABILITY TAB ═══ */}
         {view === "availability" && <div id="panel-availability" role="tabpanel" aria-labelledby="tab-availability">
-          <SectionHead icon="📋" title="Actor Availability" sub="Tap names to cycle: Both shifts → AM only → PM only → Off" right={<div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}><Btn variant="small" onClick={() => setShowPasteMsg(true)} style={{ fontSize: "11px" }}>📩 Paste Message</Btn><Btn variant="small" onClick={copyFromLastMonth} style={{ fontSize: "11px" }}>📋 Copy Last Month</Btn><Btn variant="small" onClick={() => { const cleared = {}; activeDates.forEach(ds => { cleared[ds] = {} }); setAvailability(cleared); save(cleared, weekPlans, schedule, errors, overrides, fairnessReport, activeActors); showT("All availability cleared", "success"); }} style={{ fontSize: "11px" }}>✕ Clear All</Btn></div>} />
+          <SectionHead icon="📋" title="Actor Availability" sub={`Tap names to cycle: All tours → ${shiftIds.map(id => `${id} only`).join(" → ")} → Off`} right={<div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}><Btn variant="small" onClick={() => setShowPasteMsg(true)} style={{ fontSize: "11px" }}>📩 Paste Message</Btn><Btn variant="small" onClick={() => setShowCalImport(true)} style={{ fontSize: "11px" }}>📅 Import Calendar</Btn><Btn variant="small" onClick={copyFromLastMonth} style={{ fontSize: "11px" }}>📋 Copy Last Month</Btn><Btn variant="small" onClick={() => { const cleared = {}; activeDates.forEach(ds => { cleared[ds] = {} }); setAvailability(cleared); save(cleared, weekPlans, schedule, errors, overrides, fairnessReport, activeActors, "Cleared availability"); showT("All availability cleared", "success"); }} style={{ fontSize: "11px" }}>✕ Clear All</Btn></div>} />
 
           {/* ── Active Actors Toggle ── */}
           <Card style={{ marginBottom: "16px", padding: "16px" }} accent={T.accent}>
@@ -1171,7 +1982,7 @@ export default function CITScheduler() {
                 return <button key={actor} onClick={() => {
                   setActiveActors(p => {
                     const n = { ...p, [actor]: !p[actor] };
-                    save(availability, weekPlans, schedule, errors, overrides, fairnessReport, n);
+                    save(availability, weekPlans, schedule, errors, overrides, fairnessReport, n, "Changed active actors");
                     return n;
                   });
                 }} style={{
@@ -1194,14 +2005,14 @@ export default function CITScheduler() {
               <Btn variant="small" onClick={() => {
                 setActiveActors(() => {
                   const n = Object.fromEntries(config.actors.map(a => [a, true]));
-                  save(availability, weekPlans, schedule, errors, overrides, fairnessReport, n);
+                  save(availability, weekPlans, schedule, errors, overrides, fairnessReport, n, "Changed active actors");
                   return n;
                 });
               }} style={{ minHeight: "36px" }}>All On</Btn>
               <Btn variant="small" onClick={() => {
                 setActiveActors(() => {
                   const n = {};
-                  save(availability, weekPlans, schedule, errors, overrides, fairnessReport, n);
+                  save(availability, weekPlans, schedule, errors, overrides, fairnessReport, n, "Changed active actors");
                   return n;
                 });
               }} style={{ minHeight: "36px" }}>All Off</Btn>
@@ -1215,23 +2026,24 @@ export default function CITScheduler() {
           </div>
 
           {availView === "matrix" && <Card style={{ marginBottom: "16px", padding: bp.isMobile ? "8px" : "14px" }}>
-            <SupervisorMatrix actors={sortedActors} activeDates={activeDates} availability={availability} weekPlans={weekPlans} weeks={weeks} config={config} activeActors={activeActors} onCellChange={setShiftAvailability} isMobile={bp.isMobile} />
+            <SupervisorMatrix actors={sortedActors} activeDates={activeDates} availability={availability} weekPlans={plans} weeks={weeks} config={config} activeActors={activeActors} onCellChange={setShiftAvailability} isMobile={bp.isMobile} />
           </Card>}
 
           {availView === "compact" && weeks.map((wd, wi) => {
-            const plan = weekPlans[`week${wi}`] || getDefaultWeekPlan(wd, config);
-            const activeSlots = SLOT_KEYS.filter(sk => plan[sk]);
+            const plan = plans[`week${wi}`], lent = borrowed[`week${wi}`] || {};
+            const activeSlots = slotKeys.filter(sk => plan[sk] || lent[sk]);
             if (!activeSlots.length) return <Card key={wi} style={{ marginBottom: "10px", opacity: 0.5 }}><span style={{ fontFamily: fontMono, fontSize: "11px", color: T.textMuted }}>WK{wi + 1}</span> <Badge type="error">CANCELED</Badge></Card>;
             return <div key={wi} style={{ marginBottom: bp.isWide ? "32px" : "20px" }}>
               <div style={{ fontFamily: fontMono, fontSize: "11px", fontWeight: "700", color: T.textMuted, letterSpacing: "1.5px", marginBottom: "8px" }}>WEEK {wi + 1}</div>
               <div style={{ display: "grid", gridTemplateColumns: bp.isWide ? "1fr 1fr 1fr" : bp.isDesktop ? "1fr 1fr" : "1fr", gap: `${T.sp8}px` }}>
               {activeSlots.map(sk => {
+                if (lent[sk]) return <BorrowedDay key={sk} slotKey={sk} info={lent[sk]} config={config} onOpen={() => openMonth(lent[sk].month)} />;
                 const ds = plan[sk]; if (!ds) return null;
                 const dayInfo = wd.find(w => w.date === ds);
                 const scenarios = config.slotScenarios[sk] || [];
                 const approvedSet = new Set(scenarios.flatMap(s => config.scenarioActors[s] || []));
-                const approvedAvail = [...approvedSet].filter(a => normalizeAvail(availability[ds]?.[a])).length;
-                const cl = slotColors[sk];
+                const approvedAvail = [...approvedSet].filter(a => normalizeAvail(availability[ds]?.[a], shifts).length > 0).length;
+                const cl = slotColor(sk);
                 return <Card key={sk} style={{ marginBottom: "8px" }} accent={cl}>
                   <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px", flexWrap: "wrap", gap: "8px" }}>
                     <div style={{ display: "flex", alignItems: "center", gap: "10px" }}><SlotBar slotKey={sk} /><div><div style={{ fontWeight: "700", fontSize: "15px", color: T.text }}>{dayInfo?.dayName} <span style={{ fontFamily: fontMono, fontSize: "12px", color: T.textMuted, fontWeight: "500" }}>{fmtDate(ds)}</span></div><div style={{ fontSize: "11px", color: T.textFaint }}>{config.slotNames[sk]} · {scenarios.map(s => config.scenarioIcons[s]).join(" ")}</div></div></div>
@@ -1239,11 +2051,12 @@ export default function CITScheduler() {
                   </div>
                   <div style={{ display: "flex", flexWrap: "wrap", gap: "5px", marginBottom: "8px" }}>
                     {sortedActors.map(actor => {
-                      const norm = normalizeAvail(availability[ds]?.[actor]);
-                      const isAvail = !!norm;
+                      const norm = normalizeAvail(availability[ds]?.[actor], shifts);
+                      const isAvail = norm.length > 0;
                       const isActorActive = !!activeActors[actor];
-                      const chipColor = norm === "am" ? T.sunGold : norm === "pm" ? T.nightIndigo : config.actorColors[actor];
-                      const shiftLabel = norm === "am" ? "AM" : norm === "pm" ? "PM" : null;
+                      const partial = isAvail && norm.length < shiftIds.length;
+                      const chipColor = partial && norm.length === 1 ? shiftColors[shiftIds.indexOf(norm[0]) % shiftColors.length] : config.actorColors[actor];
+                      const shiftLabel = partial ? norm.join("+") : null;
                       return <span key={actor} style={{ position: "relative", display: "inline-flex" }}>
                         <Chip active={isAvail} dimmed={!approvedSet.has(actor) || !isActorActive} color={chipColor} onClick={() => cycleAvailability(ds, actor)}>{!isActorActive && <span style={{ fontSize: "10px", opacity: 0.6 }}>⊘</span>}{actor}</Chip>
                         {shiftLabel && <span style={{ position: "absolute", top: "-4px", right: "-2px", background: chipColor, color: "#fff", fontSize: "9px", fontWeight: "700", padding: "2px 6px", borderRadius: "6px", textTransform: "uppercase", letterSpacing: "0.05em", lineHeight: 1, pointerEvents: "none", animation: `chipPop ${T.dFast} ${T.easeExpressive}` }}>{shiftLabel}</span>}
@@ -1252,23 +2065,23 @@ export default function CITScheduler() {
                   </div>
                   <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
                     <Btn variant="small" onClick={() => setAllAvail(ds)} style={{ minHeight: "36px" }}>✓ All</Btn>
-                    <Btn variant="small" onClick={() => setAllAM(ds)} style={{ minHeight: "36px" }}>☀️ AM</Btn>
-                    <Btn variant="small" onClick={() => setAllPM(ds)} style={{ minHeight: "36px" }}>🌙 PM</Btn>
+                    {shifts.map(sh => <Btn key={sh.id} variant="small" onClick={() => setAllShift(ds, sh.id)} style={{ minHeight: "36px" }}>{sh.icon} {sh.id}</Btn>)}
                     <Btn variant="small" onClick={() => clearDay(ds)} style={{ minHeight: "36px" }}>✕ Clear</Btn>
                   </div>
-                  <div style={{ fontSize: "10px", color: T.textFaint, marginTop: "4px" }}>Tap actor to cycle: Both → ☀️ AM → 🌙 PM → Off</div>
+                  <div style={{ fontSize: "10px", color: T.textFaint, marginTop: "4px" }}>Tap actor to cycle: All → {shifts.map(sh => `${sh.icon} ${sh.id}`).join(" → ")} → Off</div>
                 </Card>;
               })}
               </div>
             </div>;
           })}
           <div style={{ height: `${T.sp64}px` }} />
-          <div style={{ position: "sticky", bottom: `${T.sp16}px`, textAlign: "center", padding: `${T.sp12}px ${T.sp8}px`, background: "rgba(250,246,241,0.85)", backdropFilter: "blur(16px)", WebkitBackdropFilter: "blur(16px)", borderRadius: `${T.radiusLg}px`, border: "1px solid rgba(26,20,18,0.06)" }}><Btn data-generate="" onClick={handleGenerate} disabled={generating} style={{ width: "100%", maxWidth: "400px", padding: `${T.sp16}px`, fontSize: `${T.fontCardTitle}px`, borderRadius: `${T.radiusMd}px`, boxShadow: T.shadowAccent }}>{generating ? <span style={{ display: "inline-flex", alignItems: "center", gap: "8px" }}><span style={{ width: "16px", height: "16px", border: "2px solid rgba(255,255,255,0.3)", borderTopColor: "#fff", borderRadius: "50%", animation: "spin 600ms linear infinite", display: "inline-block" }} />Generating…</span> : "⚡ Generate Schedule"}</Btn></div>
+          <div style={{ position: "sticky", bottom: `${T.sp16}px`, textAlign: "center", padding: `${T.sp12}px ${T.sp8}px`, background: "rgba(250,246,241,0.85)", backdropFilter: "blur(16px)", WebkitBackdropFilter: "blur(16px)", borderRadius: `${T.radiusLg}px`, border: "1px solid rgba(26,20,18,0.06)" }}><div style={{ display: "flex", justifyContent: "center", gap: "6px", marginBottom: `${T.sp8}px` }}>{[["heuristic", "⚡ Fast"], ["optimal", "🎯 Optimal (~3s)"]].map(([m, label]) => <Chip key={m} active={solverMode === m} onClick={() => setSolverMode(m)} small>{label}</Chip>)}</div><Btn data-generate="" onClick={() => handleGenerate()} disabled={generating} style={{ width: "100%", maxWidth: "400px", padding: `${T.sp16}px`, fontSize: `${T.fontCardTitle}px`, borderRadius: `${T.radiusMd}px`, boxShadow: T.shadowAccent }}>{generating ? <span style={{ display: "inline-flex", alignItems: "center", gap: "8px" }}><span style={{ width: "16px", height: "16px", border: "2px solid rgba(255,255,255,0.3)", borderTopColor: "#fff", borderRadius: "50%", animation: "spin 600ms linear infinite", display: "inline-block" }} /><span aria-live="polite">{genProgressText(genProgress)}</span></span> : "⚡ Generate Schedule"}</Btn>{generating ? typeof Worker !== "undefined" && <div style={{ marginTop: `${T.sp8}px` }}><Btn variant="secondary" onClick={cancelGenerate}>✕ Cancel — keep best so far</Btn></div> : <div style={{ marginTop: `${T.sp8}px`, display: "flex", justifyContent: "center", alignItems: "center", gap: "6px", flexWrap: "wrap" }}><Btn variant="secondary" onClick={() => handleGenerate(CANDIDATE_COUNT)}>🔀 Compare {CANDIDATE_COUNT} options</Btn>{schedule && <Btn variant="secondary" onClick={() => handleGenerate(1, true)} aria-label="Reshuffle — generate again with a new seed">🎲 Reshuffle</Btn>}{seed != null && <span title="Generating again with the same availability and rules reproduces this schedule" style={{ fontFamily: fontMono, fontSize: "11px", color: T.textMuted }}>seed {seed}</span>}</div>}</div>
         </div>}
 
         {/* ═══ SCHEDULE TAB ═══ */}
         {view === "schedule" && <div id="panel-schedule" role="tabpanel" aria-labelledby="tab-schedule">
           {!schedule ? <Card style={{ textAlign: "center", padding: "48px 20px" }}><div style={{ fontSize: "44px", marginBottom: "10px" }}>📅</div><h3 style={{ fontSize: "17px", fontWeight: "800", color: T.text, margin: "0 0 8px" }}>No schedule yet</h3><p style={{ fontSize: "14px", color: T.textMuted, margin: "0 0 16px" }}>Set your plan and availability first.</p><Btn onClick={() => switchView("plan")}>🗓 Go to Plan →</Btn></Card> : <>
+            {fairnessReport?.solver?.cooldownRelaxed && config.heavyCooldownWeeks > 0 && <Card style={{ marginBottom: "14px", border: `1px solid ${T.amber}30`, background: T.amberSoft }} role="status"><p style={{ fontWeight: "700", fontSize: "13px", color: T.amber, margin: "0 0 4px" }}>🔄 Heavy-role cooldown relaxed</p><p style={{ fontSize: "12px", color: T.textSoft, margin: 0 }}>No schedule kept everyone {config.heavyCooldownWeeks} week{config.heavyCooldownWeeks !== 1 ? "s" : ""} off a heavy role after playing it, so the rotation couldn't be fully honored — {fairnessReport.solver.cooldownBreaks} assignment{fairnessReport.solver.cooldownBreaks !== 1 ? "s" : ""} break{fairnessReport.solver.cooldownBreaks === 1 ? "s" : ""} it (listed under rule violations).</p></Card>}
             {errors.length > 0 && <Card style={{ marginBottom: "14px", border: `1px solid ${T.red}30`, background: T.redSoft }}>
               <p style={{ fontWeight: "700", fontSize: "13px", color: T.red, margin: "0 0 8px" }}>⚠️ {errors.length} unfilled slot{errors.length > 1 ? "s" : ""}</p>
               {errors.map((e, i) => {
@@ -1277,46 +2090,80 @@ export default function CITScheduler() {
                   <div style={{ fontWeight: "700", fontSize: "12px", color: T.red, marginBottom: "5px" }}>{e.slot} — {e.scenario}</div>
                   {e.eliminations.map((el, j) => <div key={j} style={{ fontSize: "11px", color: T.textMuted, marginBottom: "2px" }}><span style={{ fontWeight: "600", color: T.textSoft }}>{el.actor}:</span> {el.reason}</div>)}
                   {e.suggestion && <div style={{ marginTop: "6px", fontSize: "11px", color: T.amber, fontStyle: "italic" }}>💡 {e.suggestion}</div>}
+                  {e.weekKey && <Btn variant="small" onClick={() => setOpenGap(openGap === gapId(e) ? null : gapId(e))} aria-expanded={openGap === gapId(e)} style={{ marginTop: "8px", fontSize: "11px" }}>{openGap === gapId(e) ? "Hide fixes" : "🛠 Find fixes"}</Btn>}
+                  {openGap === gapId(e) && (() => {
+                    const fixes = suggestGapFixes(weeks, plans, availability, activeConfig(), e, schedule);
+                    if (!fixes.length) return <div style={{ marginTop: "8px", fontSize: "11px", color: T.textMuted }}>No quick fixes — nobody else is approved, free, or free on another day this week.</div>;
+                    return <div style={{ marginTop: "8px" }}>{fixes.map(fix => { const w = whatIfs[fixId(e, fix)]; return <div key={fixId(e, fix)} style={{ padding: "8px 10px", borderRadius: "8px", background: T.bgCard, border: `1px solid ${T.border}`, marginBottom: "4px" }}>
+                      <div style={{ fontSize: "12px", fontWeight: "600", color: T.text }}>{{ ask: "📩", approve: "✅", move: "📆" }[fix.kind]} {fix.label}</div>
+                      {fix.detail && <div style={{ fontSize: "11px", color: T.textMuted }}>{fix.detail}</div>}
+                      <div style={{ display: "flex", alignItems: "center", gap: "6px", flexWrap: "wrap", marginTop: "6px" }}>
+                        <Btn variant="small" onClick={() => runWhatIf(e, fix)} disabled={w === "running"} style={{ fontSize: "11px" }}>{w === "running" ? "Checking…" : "🔁 What if?"}</Btn>
+                        {fix.message && <Btn variant="small" onClick={() => copyFixMessage(fix)} style={{ fontSize: "11px" }}>📋 Copy request</Btn>}
+                        {w && w !== "running" && <span role="status" style={{ fontSize: "11px", fontWeight: "600", color: w.closed ? T.green : T.red }}>{w.closed ? "✓ Closes this gap" : "✗ Still unfilled"} · {w.gaps} gap{w.gaps !== 1 ? "s" : ""} left (now {errors.length})</span>}
+                      </div>
+                    </div> })}</div>;
+                  })()}
                 </div>;
               })}
             </Card>}
-            <p style={{ fontSize: "12px", color: T.textMuted, marginBottom: "14px" }}>Dropdowns let you swap any actor. Saves automatically.</p>
+            {fairnessReport?.minShortfalls?.length > 0 && <Card style={{ marginBottom: "14px", border: `1px solid ${T.amber}30`, background: T.amberSoft }}>
+              <p style={{ fontWeight: "700", fontSize: "13px", color: T.amber, margin: "0 0 6px" }}>⚠️ {fairnessReport.minShortfalls.length} actor{fairnessReport.minShortfalls.length > 1 ? "s" : ""} below their monthly minimum</p>
+              {fairnessReport.minShortfalls.map(m => <div key={m.actor} style={{ fontSize: "11px", color: T.textMuted, marginBottom: "2px" }}><span style={{ fontWeight: "600", color: T.textSoft }}>{m.actor}:</span> {m.assigned} of {m.min} shifts — not enough availability or eligible cells</div>)}
+            </Card>}
+            {violations.length > 0 && (() => { const hard = violations.filter(v => v.severity === "error").length; const vc = hard ? T.red : T.amber; const counts = {}; violations.forEach(v => { counts[v.type] = (counts[v.type] || 0) + 1 }); const typeLabels = { double_booked: "double-booked", conflict: "conflict rule", limit: "over limit", heavy: "heavy cap", cooldown: "heavy cooldown", unavailable: "marked off", day_restricted: "restricted day", shift_restricted: "restricted tour", no_double: "no-doubles", over_cap: "over actor max", not_approved: "not approved" }; return <Card style={{ marginBottom: "14px", border: `1px solid ${vc}30`, background: hard ? T.redSoft : T.amberSoft }} role="alert">
+              <p style={{ fontWeight: "700", fontSize: "13px", color: vc, margin: "0 0 6px" }}>⚠️ {violations.length} rule violation{violations.length > 1 ? "s" : ""} in this schedule</p>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}>{Object.entries(counts).map(([type, n]) => <Badge key={type} type={["double_booked", "conflict"].includes(type) ? "error" : "warning"}>{n} {typeLabels[type] || type}</Badge>)}</div>
+              <p style={{ fontSize: "11px", color: T.textMuted, margin: "6px 0 0" }}>Flagged cells are outlined below. Regenerating or picking another actor clears them.</p>
+            </Card> })()}
+            <p style={{ fontSize: "12px", color: T.textMuted, marginBottom: "14px" }}>Dropdowns let you swap any actor. Saves automatically. 🔒 Locked cells are kept when you regenerate. ⓘ shows why an actor got a cell; 🚫 marks a call-out and finds a replacement.</p>
             {weeks.map((wd, wi) => {
-              const wk = `week${wi}`, plan = weekPlans[wk] || getDefaultWeekPlan(wd, config);
-              const activeSlots = SLOT_KEYS.filter(sk => plan[sk] && schedule[wk]?.[sk]);
+              const wk = `week${wi}`, plan = plans[wk], lent = borrowed[wk] || {};
+              const activeSlots = slotKeys.filter(sk => (plan[sk] && schedule[wk]?.[sk]) || lent[sk]);
               if (!activeSlots.length) return <Card key={wi} style={{ marginBottom: "8px", opacity: 0.5 }}><span style={{ fontFamily: fontMono, fontSize: "11px", color: T.textMuted }}>WK{wi + 1}</span> <Badge type="error">CANCELED</Badge></Card>;
               return <div key={`${wi}-${scheduleReveal}`} style={{ marginBottom: bp.isWide ? "32px" : "20px", animation: scheduleReveal ? `cardStagger ${T.dNormal} ${T.easeExpressive} both` : "none", animationDelay: scheduleReveal ? `${wi * 50}ms` : "0ms" }}>
                 <div style={{ fontFamily: fontMono, fontSize: "11px", fontWeight: "700", color: T.textMuted, letterSpacing: "1.5px", marginBottom: "8px" }}>WEEK {wi + 1}</div>
                 <div style={{ display: "grid", gridTemplateColumns: bp.isWide ? "1fr 1fr 1fr" : bp.isDesktop ? "1fr 1fr" : "1fr", gap: `${T.sp8}px` }}>
                 {activeSlots.map(sk => {
+                  if (lent[sk]) return <BorrowedDay key={sk} slotKey={sk} info={lent[sk]} config={config} onOpen={() => openMonth(lent[sk].month)} showSchedule />;
                   const ds = plan[sk], di = wd.find(w => w.date === ds);
                   const scenarios = config.slotScenarios[sk] || [];
-                  const cl = slotColors[sk];
+                  const cl = slotColor(sk);
+                  const dayLocked = dayCellKeys(wk, sk).every(k => locks[k]);
                   return <Card key={sk} style={{ marginBottom: 0 }} accent={cl}>
-                    <div style={{ display: "flex", alignItems: "center", gap: "10px", marginBottom: "14px", flexWrap: "wrap" }}><SlotBar slotKey={sk} /><span style={{ fontWeight: "700", fontSize: "15px" }}>{di?.dayName}</span><span style={{ fontFamily: fontMono, fontSize: "12px", color: T.textMuted }}>{fmtDate(ds)}</span><Badge type="accent">{config.slotNames[sk]}</Badge></div>
-                    <div style={bp.isDesktop ? { display: "grid", gridTemplateColumns: "1fr 1fr", gap: `${T.sp16}px` } : {}}>
-                    {SHIFTS.map(shift => <div key={shift} style={{ marginBottom: bp.isDesktop ? 0 : (shift === "AM" ? "14px" : 0) }}>
-                      <div style={{ fontFamily: fontMono, fontSize: "10px", fontWeight: "700", color: T.textMuted, letterSpacing: "1px", marginBottom: "6px" }}>{shift === "AM" ? "☀️ NOON TOUR" : "🌙 8 PM TOUR"}</div>
+                    <div style={{ display: "flex", alignItems: "center", gap: "10px", marginBottom: "14px", flexWrap: "wrap" }}><SlotBar slotKey={sk} /><span style={{ fontWeight: "700", fontSize: "15px" }}>{di?.dayName}</span><span style={{ fontFamily: fontMono, fontSize: "12px", color: T.textMuted }}>{fmtDate(ds)}</span><Badge type="accent">{config.slotNames[sk]}</Badge><Btn variant="small" onClick={() => toggleDayLock(wk, sk)} aria-label={dayLocked ? `Unlock ${di?.dayName}` : `Lock ${di?.dayName}`} style={{ marginLeft: "auto", fontSize: "11px", color: dayLocked ? T.accent : T.textMuted }}>{dayLocked ? "🔒 Locked" : "🔓 Lock day"}</Btn></div>
+                    <div style={bp.isDesktop ? { display: "grid", gridTemplateColumns: `repeat(${Math.min(shifts.length, 3)}, 1fr)`, gap: `${T.sp16}px` } : {}}>
+                    {shifts.map(({ id: shift, icon: shiftIcon, label: shiftLabel }, shi) => <div key={shift} style={{ marginBottom: bp.isDesktop || shi === shifts.length - 1 ? 0 : "14px" }}>
+                      <div style={{ fontFamily: fontMono, fontSize: "10px", fontWeight: "700", color: T.textMuted, letterSpacing: "1px", marginBottom: "6px" }}>{shiftIcon} {shiftLabel.toUpperCase()} TOUR</div>
                       {scenarios.map(sc => {
                         const actor = schedule[wk]?.[sk]?.[shift]?.[sc];
                         const approved = config.scenarioActors[sc] || [];
-                        const availPick = approved.filter(a => {
-                          const norm = normalizeAvail(availability[ds]?.[a]);
-                          if (!norm) return false;
-                          if (norm === "both") return true;
-                          return (norm === "am" && shift === "AM") || (norm === "pm" && shift === "PM");
-                        });
+                        const availPick = approved.filter(a => normalizeAvail(availability[ds]?.[a], shifts).includes(shift));
                         const acColor = actor ? (config.actorColors[actor] || T.textSoft) : null;
-                        return <div key={sc} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", padding: "8px 12px", borderRadius: "10px", marginBottom: "4px", background: actor ? `${acColor}08` : T.redSoft, border: `1px solid ${actor ? `${acColor}20` : `${T.red}20`}`, transition: `background ${T.dFast} ${T.easeProductive}` }}>
+                        const lockKey = cellKey(wk, sk, shift, sc), locked = !!locks[lockKey];
+                        const cellIssues = violationsByCell[lockKey] || [];
+                        const issueColor = cellIssues.some(v => v.severity === "error") ? T.red : T.amber;
+                        const whyOpen = whyCell === lockKey;
+                        return <div key={sc} style={{ marginBottom: "4px" }}><div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", padding: "8px 12px", borderRadius: "10px", background: actor ? `${acColor}08` : T.redSoft, border: `1px solid ${cellIssues.length ? issueColor : locked ? T.accent : actor ? `${acColor}20` : `${T.red}20`}`, transition: `background ${T.dFast} ${T.easeProductive}` }}>
                           <div style={{ display: "flex", alignItems: "center", gap: "8px" }}><span style={{ fontSize: "15px" }}>{config.scenarioIcons[sc] || "🎭"}</span><span style={{ fontSize: "13px", fontWeight: "600" }}>{sc}</span></div>
+                          <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+                          <button onClick={() => setWhyCell(whyOpen ? null : lockKey)} aria-label={`Why ${actor || "empty"} for ${sc}`} aria-expanded={whyOpen} style={{ ...btnBase, background: "none", fontSize: "13px", minHeight: "36px", minWidth: "28px", color: whyOpen ? T.accent : T.textMuted, opacity: whyOpen ? 1 : 0.6 }}>ⓘ</button>
+                          {actor && <button onClick={() => setCallout({ weekKey: wk, slotKey: sk, shift, scenario: sc })} aria-label={`Mark ${actor} out of ${sc}`} title="Mark out — find a replacement" style={{ ...btnBase, background: "none", fontSize: "13px", minHeight: "36px", minWidth: "28px", opacity: 0.5 }}>🚫</button>}
+                          <button onClick={() => toggleLock(lockKey)} aria-label={locked ? `Unlock ${sc}` : `Lock ${sc}`} aria-pressed={locked} style={{ ...btnBase, background: "none", fontSize: "14px", minHeight: "36px", minWidth: "32px", opacity: locked ? 1 : 0.35 }}>{locked ? "🔒" : "🔓"}</button>
                           <StyledSelect value={actor || ""} onChange={e => handleOverride(wk, sk, shift, sc, e.target.value || null)} style={{ minWidth: "110px" }}>
                             <option value="">— pick —</option>
                             {availPick.map(a => <option key={a}>{a}</option>)}
                             {approved.filter(a => !availPick.includes(a)).length > 0 && <option disabled>──────</option>}
                             {approved.filter(a => !availPick.includes(a)).map(a => <option key={a} value={a}>{a} (off)</option>)}
                           </StyledSelect>
+                          </div>
+                        </div>
+                        {cellIssues.map((v, vi) => <div key={vi} style={{ fontSize: "11px", color: v.severity === "error" ? T.red : T.amber, padding: "3px 12px 0" }}>⚠ {v.message}</div>)}
+                        {standby[lockKey] && <div style={{ fontSize: "11px", color: T.textMuted, padding: "3px 12px 0" }}>🛟 On call: {standby[lockKey].join(" · ")}</div>}
+                        {whyOpen && <WhyPopover entry={provenance[lockKey]} actor={actor} scenario={sc} manual={lockKey in overrides} onClose={() => setWhyCell(null)} />}
                         </div>;
                       })}
+                      {standby[standbyKey(wk, sk, shift)] && <div style={{ fontSize: "12px", color: T.textSoft, padding: "6px 12px", borderRadius: "10px", border: `1px dashed ${T.border}` }}>🛟 On call: {standby[standbyKey(wk, sk, shift)].map((a, i) => `${i + 1}. ${a}`).join(" · ")}</div>}
                     </div>)}
                     </div>
                   </Card>;
@@ -1329,6 +2176,18 @@ export default function CITScheduler() {
           </>}
         </div>}
 
+        {/* ═══ CHANGES TAB ═══ */}
+        {view === "changes" && <div id="panel-changes" role="tabpanel" aria-labelledby="tab-changes">
+          <SectionHead icon="🔔" title="Change Notices" sub={published ? `Compared with the schedule sent ${new Date(published.at).toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" })}` : "Who to tell after the schedule has gone out"} right={schedule && <Btn variant="small" onClick={markPublished} style={{ fontSize: "11px" }}>📌 {published ? "Mark current as sent" : "Mark as sent"}</Btn>} />
+          {!schedule ? <Card style={{ textAlign: "center", padding: "32px 20px" }}><p style={{ fontSize: "14px", color: T.textMuted, margin: 0 }}>Generate a schedule first.</p></Card>
+            : !published ? <Card style={{ textAlign: "center", padding: "32px 20px" }}><div style={{ fontSize: "36px", marginBottom: "8px" }}>📌</div><p style={{ fontSize: "14px", color: T.text, fontWeight: "600", margin: "0 0 6px" }}>Nothing sent yet</p><p style={{ fontSize: "13px", color: T.textMuted, margin: "0 0 14px" }}>After you text the schedule out, mark it as sent. Any regenerate or dropdown change after that is listed here per actor, with a ready-to-send notice.</p><Btn onClick={markPublished}>📌 Mark as Sent</Btn></Card>
+            : changedActors.length === 0 ? <Card style={{ textAlign: "center", padding: "32px 20px", border: `1px solid ${T.green}25`, background: `${T.green}08` }}><p style={{ fontSize: "14px", color: T.green, fontWeight: "600", margin: 0 }}>✓ No changes since it was sent</p></Card>
+            : <>
+              <p style={{ fontSize: "12px", color: T.textMuted, margin: "0 0 12px" }}>{changedActors.length} actor{changedActors.length !== 1 ? "s" : ""} affected. Send each their notice, then mark the current schedule as sent.</p>
+              {changedActors.map(a => <ChangeNoticeCard key={a} actor={a} changes={changes[a]} monthName={monthName} year={year} config={config} showToast={showT} />)}
+            </>}
+        </div>}
+
         {/* ═══ DASHBOARD TAB ═══ */}
         {view === "dashboard" && <div id="panel-dashboard" role="tabpanel" aria-labelledby="tab-dashboard">
           <SectionHead icon="📊" title="Actor Stats" sub="Shift counts and workload distribution" />
@@ -1336,30 +2195,33 @@ export default function CITScheduler() {
           {fairnessReport && schedule && (() => { const fr = fairnessReport; const fc = fr.overallFairness >= 85 ? T.green : fr.overallFairness >= 70 ? T.amber : T.coral; return <Card style={{ marginBottom: "14px", textAlign: "center", padding: "20px", border: `1px solid ${fc}25`, background: `${fc}08` }}>
             <div style={{ fontFamily: fontMono, fontSize: "32px", fontWeight: "700", color: fc }}>{fr.overallFairness}%</div>
             <div style={{ fontSize: "11px", color: T.textMuted, fontWeight: "700", textTransform: "uppercase", letterSpacing: "0.5px" }}>Distribution Evenness</div>
-            <div style={{ fontSize: "12px", color: T.textSoft, marginTop: "4px" }}>Target: ~{Math.round(fr.fairTarget)} shifts per actor</div>
+            <div style={{ fontSize: "12px", color: T.textSoft, marginTop: "4px" }}>Target: ~{Math.round(fr.fairTarget)} shifts{fr.loadTarget != null && ` · ~${fr.loadTarget} weighted load`} per actor</div>
+            {fr.solver && <div style={{ fontSize: "12px", color: T.textSoft, marginTop: "2px" }}>{fr.solver.status === "optimal" ? "🎯 Proven optimal" : fr.solver.status === "bounded" ? `🎯 Within ${fr.solver.gap}% of optimal` : fr.solver.mode === "optimal" ? "🎯 No strict schedule found — fast result kept" : "⚡ Fast solver"} · {(fr.solver.solveMs / 1000).toFixed(1)}s</div>}
+            {fr.preferences?.total > 0 && <div style={{ fontSize: "12px", color: T.textSoft, marginTop: "2px" }}>💛 {fr.preferences.honored}/{fr.preferences.total} preferences honored</div>}
             <Btn variant="secondary" onClick={async () => { const text = genStatsReport(actorStats, fairnessReport, monthName, year, config); const ok = await copyToClipboard(text); showT(ok ? "Stats copied to clipboard" : "Copy failed", ok ? "success" : "error"); }} style={{ marginTop: "12px" }}>📋 Share Stats Report</Btn>
           </Card>; })()}
           <div style={{ display: "grid", gridTemplateColumns: bp.isWide ? "1fr 1fr" : "1fr", gap: `${T.sp8}px` }}>
-          {sortedActors.map(actor => { const s = actorStats[actor] || { total: 0, scenarios: {} }; const cl = config.actorColors[actor] || T.textSoft; const approvedFor = Object.entries(config.scenarioActors).filter(([, a]) => a.includes(actor)).map(([sc]) => sc); const ad = activeDates.filter(d => normalizeAvail(availability[d]?.[actor])).length; const fi = fairnessReport?.actors?.[actor]; const badgeColor = !fi ? null : fi.gapCategory === 'fair' ? T.green : fi.gapCategory === 'under_structural' ? T.amber : fi.gapCategory === 'under_algorithmic' ? T.coral : fi.gapCategory === 'over' ? T.accent : null;
+          {sortedActors.map(actor => { const s = actorStats[actor] || { total: 0, scenarios: {} }; const cl = config.actorColors[actor] || T.textSoft; const approvedFor = Object.entries(config.scenarioActors).filter(([, a]) => a.includes(actor)).map(([sc]) => sc); const ad = activeDates.filter(d => normalizeAvail(availability[d]?.[actor], shifts).length > 0).length; const fi = fairnessReport?.actors?.[actor]; const badgeColor = !fi ? null : fi.gapCategory === 'fair' ? T.green : fi.gapCategory === 'under_structural' ? T.amber : fi.gapCategory === 'under_algorithmic' ? T.coral : fi.gapCategory === 'over' ? T.accent : null;
             const phone = config.actorPhones?.[actor];
             return <Card key={actor} style={{ marginBottom: 0 }} accent={s.total > 0 ? cl : null}>
-              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}><div style={{ display: "flex", alignItems: "center", gap: "12px" }}><div style={{ width: "38px", height: "38px", borderRadius: "10px", background: `${cl}20`, display: "flex", alignItems: "center", justifyContent: "center", fontWeight: "800", fontSize: "15px", color: cl, border: `1.5px solid ${cl}30` }}>{actor[0]}</div><div><div style={{ fontWeight: "700", fontSize: "14px" }}>{actor}{fi && badgeColor && <span style={{ fontSize: "10px", padding: "2px 6px", borderRadius: "4px", marginLeft: "8px", background: `${badgeColor}15`, color: badgeColor, fontWeight: "600", border: `1px solid ${badgeColor}25` }}>{s.total}/{Math.round(fi.target)}</span>}</div><div style={{ fontSize: "11px", color: T.textMuted }}>Avail {ad}/{activeDates.length} · {s.total} shift{s.total !== 1 ? "s" : ""}{phone && <span style={{ marginLeft: "6px" }}>📱 {phone}</span>}</div></div></div>{s.total > 0 && <div style={{ fontFamily: fontMono, fontSize: "20px", fontWeight: "700", color: cl, textShadow: `0 0 12px ${cl}30` }}>{s.total}</div>}</div>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}><div style={{ display: "flex", alignItems: "center", gap: "12px" }}><div style={{ width: "38px", height: "38px", borderRadius: "10px", background: `${cl}20`, display: "flex", alignItems: "center", justifyContent: "center", fontWeight: "800", fontSize: "15px", color: cl, border: `1.5px solid ${cl}30` }}>{actor[0]}</div><div><div style={{ fontWeight: "700", fontSize: "14px" }}>{actor}{fi && badgeColor && <span style={{ fontSize: "10px", padding: "2px 6px", borderRadius: "4px", marginLeft: "8px", background: `${badgeColor}15`, color: badgeColor, fontWeight: "600", border: `1px solid ${badgeColor}25` }}>{s.load ?? s.total}/{fi.target} load</span>}</div><div style={{ fontSize: "11px", color: T.textMuted }}>Avail {ad}/{activeDates.length} · {s.total} shift{s.total !== 1 ? "s" : ""}{s.load !== s.total && <span> · load {s.load}</span>}{fi?.preferences?.total > 0 && <span style={{ marginLeft: "6px" }}>💛 {fi.preferences.honored}/{fi.preferences.total}</span>}{phone && <span style={{ marginLeft: "6px" }}>📱 {phone}</span>}</div></div></div>{s.total > 0 && <div style={{ fontFamily: fontMono, fontSize: "20px", fontWeight: "700", color: cl, textShadow: `0 0 12px ${cl}30` }}>{s.total}</div>}</div>
               <div style={{ display: "flex", flexWrap: "wrap", gap: "4px", marginTop: "8px" }}>{approvedFor.map(sc => <span key={sc} style={{ fontSize: "11px", padding: "3px 8px", borderRadius: "6px", background: s.scenarios[sc] ? `${cl}15` : T.bgRaised, color: s.scenarios[sc] ? cl : T.textFaint, fontWeight: s.scenarios[sc] ? "600" : "400", border: `1px solid ${s.scenarios[sc] ? `${cl}25` : T.border}` }}>{config.scenarioIcons[sc] || ""} {sc}{s.scenarios[sc] ? ` ×${s.scenarios[sc]}` : ""}</span>)}</div>
               {fi?.gapExplanation && <div style={{ fontSize: "11px", color: badgeColor, marginTop: "6px", padding: "4px 8px", borderRadius: "6px", background: `${badgeColor}08`, border: `1px solid ${badgeColor}15` }}>{fi.gapCategory === 'under_structural' ? '📌' : fi.gapCategory === 'over' ? '📈' : '⚠️'} {fi.gapExplanation}</div>}
             </Card>;
           })}
           </div>
-          {schedule && (() => { const mx = Math.max(...config.actors.map(a => (actorStats[a] || { total: 0 }).total), 1); const targetPct = fairnessReport ? (fairnessReport.fairTarget / mx) * 100 : 0; return <Card style={{ marginTop: "14px", background: T.accentSoft }}><SectionHead icon="⚖️" title="Balance" /><div style={{ display: "flex", flexWrap: "wrap", gap: "10px" }}>{config.actors.filter(a => (actorStats[a] || { total: 0 }).total > 0).sort((a, b) => (actorStats[b]?.total || 0) - (actorStats[a]?.total || 0)).map(actor => { const s = actorStats[actor] || { total: 0 }; const pct = (s.total / mx) * 100; const cl = config.actorColors[actor] || T.accent; return <div key={actor} style={{ flex: "1 0 45%", minWidth: "140px" }}><div style={{ display: "flex", justifyContent: "space-between", fontSize: "12px", marginBottom: "4px" }}><span style={{ fontWeight: "600" }}>{actor}</span><span style={{ fontFamily: fontMono, color: T.textMuted, fontSize: "11px" }}>{s.total}</span></div><div style={{ position: "relative", height: "8px", borderRadius: "4px", background: T.border, overflow: "hidden" }}><div style={{ height: "100%", width: `${pct}%`, borderRadius: "4px", background: `linear-gradient(90deg,${cl},${cl}BB)`, boxShadow: `0 0 8px ${cl}30`, transition: `width ${T.dSlow} ${T.easeExpressive}` }} />{fairnessReport && <div style={{ position: "absolute", left: `${targetPct}%`, top: "-2px", bottom: "-2px", width: "2px", background: T.textMuted, opacity: 0.5, borderRadius: "1px" }} />}</div></div> })}</div>{fairnessReport && <div style={{ fontSize: "11px", color: T.textMuted, marginTop: "8px", textAlign: "center" }}>Target: ~{Math.round(fairnessReport.fairTarget)} shifts</div>}</Card>; })()}
+          {schedule && (() => { const loadOf = a => actorStats[a]?.load ?? actorStats[a]?.total ?? 0; const mx = Math.max(...config.actors.map(loadOf), 1); const target = fairnessReport ? fairnessReport.loadTarget ?? fairnessReport.fairTarget : 0; const targetPct = (target / mx) * 100; return <Card style={{ marginTop: "14px", background: T.accentSoft }}><SectionHead icon="⚖️" title="Balance" sub="Emotional load — heavy roles count extra" /><div style={{ display: "flex", flexWrap: "wrap", gap: "10px" }}>{config.actors.filter(a => loadOf(a) > 0).sort((a, b) => loadOf(b) - loadOf(a)).map(actor => { const load = loadOf(actor); const pct = (load / mx) * 100; const cl = config.actorColors[actor] || T.accent; return <div key={actor} style={{ flex: "1 0 45%", minWidth: "140px" }}><div style={{ display: "flex", justifyContent: "space-between", fontSize: "12px", marginBottom: "4px" }}><span style={{ fontWeight: "600" }}>{actor}</span><span style={{ fontFamily: fontMono, color: T.textMuted, fontSize: "11px" }}>{load}</span></div><div style={{ position: "relative", height: "8px", borderRadius: "4px", background: T.border, overflow: "hidden" }}><div style={{ height: "100%", width: `${pct}%`, borderRadius: "4px", background: `linear-gradient(90deg,${cl},${cl}BB)`, boxShadow: `0 0 8px ${cl}30`, transition: `width ${T.dSlow} ${T.easeExpressive}` }} />{fairnessReport && <div style={{ position: "absolute", left: `${targetPct}%`, top: "-2px", bottom: "-2px", width: "2px", background: T.textMuted, opacity: 0.5, borderRadius: "1px" }} />}</div></div> })}</div>{fairnessReport && <div style={{ fontSize: "11px", color: T.textMuted, marginTop: "8px", textAlign: "center" }}>Target: ~{Math.round(target * 10) / 10} weighted load</div>}</Card>; })()}
+          {Object.keys(quarterTotals).length > 0 && (() => { const rows = Object.entries(quarterTotals).sort(([a, x], [b, y]) => y.load - x.load || a.localeCompare(b)); const cols = `1fr repeat(${2 + shifts.length}, 56px)`; const cell = { fontFamily: fontMono, fontSize: "12px", textAlign: "right" }; return <Card style={{ marginTop: "14px" }}><SectionHead icon="📆" title="Trailing Quarter" sub={`${quarterLabel}${lookbackMonths > 0 ? ` · generating balances against the last ${lookbackMonths}` : ""}`} /><div role="table" aria-label="Trailing quarter totals"><div role="row" style={{ display: "grid", gridTemplateColumns: cols, gap: "6px", fontSize: "11px", color: T.textMuted, fontWeight: "700", textTransform: "uppercase", letterSpacing: "0.5px", paddingBottom: "6px", borderBottom: `1px solid ${T.border}` }}><span role="columnheader">Actor</span><span role="columnheader" style={{ textAlign: "right" }}>Shifts</span><span role="columnheader" style={{ textAlign: "right" }}>Load</span>{shifts.map(sh => <span key={sh.id} role="columnheader" style={{ textAlign: "right" }} title={`${sh.label} tours`}>{sh.icon} {sh.id}</span>)}</div>{rows.map(([actor, t]) => <div key={actor} role="row" style={{ display: "grid", gridTemplateColumns: cols, gap: "6px", alignItems: "center", padding: "6px 0", borderBottom: `1px solid ${T.border}` }}><span role="cell" style={{ fontSize: "13px", fontWeight: "600", color: config.actorColors[actor] || T.text }}>{actor}</span><span role="cell" style={cell}>{t.shifts}</span><span role="cell" style={cell}>{Math.round(t.load * 10) / 10}</span>{shifts.map(sh => <span key={sh.id} role="cell" style={{ ...cell, color: T.textSoft }}>{t.tours[sh.id] || 0}</span>)}</div>)}</div></Card>; })()}
         </div>}
 
         {/* ═══ REFERENCE TAB ═══ */}
         {view === "reference" && <div id="panel-reference" role="tabpanel" aria-labelledby="tab-reference">
           <SectionHead icon="📖" title="Quick Guide" />
-          <Card style={{ marginBottom: "10px" }}><h3 style={{ fontSize: "15px", fontWeight: "700", margin: "0 0 10px" }}>🗓 Training Slots</h3>{SLOT_KEYS.map(sk => <div key={sk} style={{ display: "flex", alignItems: "center", gap: "10px", marginBottom: "8px" }}><SlotBar slotKey={sk} /><div><span style={{ fontWeight: "700", fontSize: "13px" }}>{config.slotNames[sk]}</span><span style={{ fontSize: "12px", color: T.textMuted, marginLeft: "8px" }}>Default: {config.defaultDays[sk]}</span><div style={{ fontSize: "11px", color: T.textFaint, marginTop: "1px" }}>{(config.slotScenarios[sk] || []).map(s => `${config.scenarioIcons[s] || ""} ${s}`).join("  ·  ")}</div></div></div>)}</Card>
+          <Card style={{ marginBottom: "10px" }}><h3 style={{ fontSize: "15px", fontWeight: "700", margin: "0 0 10px" }}>🗓 Training Slots</h3>{slotKeys.map(sk => <div key={sk} style={{ display: "flex", alignItems: "center", gap: "10px", marginBottom: "8px" }}><SlotBar slotKey={sk} /><div><span style={{ fontWeight: "700", fontSize: "13px" }}>{config.slotNames[sk]}</span><span style={{ fontSize: "12px", color: T.textMuted, marginLeft: "8px" }}>Default: {config.defaultDays[sk]}</span><div style={{ fontSize: "11px", color: T.textFaint, marginTop: "1px" }}>{(config.slotScenarios[sk] || []).map(s => `${config.scenarioIcons[s] || ""} ${s}`).join("  ·  ")}</div></div></div>)}</Card>
           <Card style={{ marginBottom: "10px" }}><h3 style={{ fontSize: "15px", fontWeight: "700", margin: "0 0 10px" }}>🎭 Approved Actors</h3>{Object.entries(config.scenarioActors).map(([sc, actors]) => <div key={sc} style={{ marginBottom: "8px" }}><div style={{ fontWeight: "600", fontSize: "13px", marginBottom: "4px" }}>{config.scenarioIcons[sc] || "🎭"} {sc}</div><div style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}>{actors.map(a => <span key={a} style={{ fontSize: "11px", padding: "2px 8px", borderRadius: "6px", background: `${config.actorColors[a] || T.textSoft}15`, color: config.actorColors[a] || T.textSoft, fontWeight: "500" }}>{a}</span>)}</div></div>)}</Card>
-          <Card style={{ marginBottom: "10px" }}><h3 style={{ fontSize: "15px", fontWeight: "700", margin: "0 0 10px" }}>⚠️ Rules</h3><div style={{ fontSize: "13px", color: T.textSoft, lineHeight: 1.7 }}><p style={{ margin: "0 0 4px" }}>1 actor per scenario · 1 scenario per actor per shift · same actor CAN do AM + PM on the same day</p>{(config.conflicts || []).map((r, i) => <p key={i} style={{ margin: "0 0 4px" }}>Can't play {r.actor_cannot_play.filter(Boolean).join(" + ")} same shift</p>)}<p style={{ margin: 0 }}>AM = {config.shiftTimes.AM} · PM = {config.shiftTimes.PM}</p></div></Card>
+          <Card style={{ marginBottom: "10px" }}><h3 style={{ fontSize: "15px", fontWeight: "700", margin: "0 0 10px" }}>⚠️ Rules</h3><div style={{ fontSize: "13px", color: T.textSoft, lineHeight: 1.7 }}><p style={{ margin: "0 0 4px" }}>1 actor per scenario · 1 scenario per actor per shift · same actor CAN do more than one tour on the same day</p>{(config.conflicts || []).filter(r => r.actor_cannot_play.some(Boolean)).map((r, i) => { const set = r.actor_cannot_play.filter(Boolean); return <p key={i} style={{ margin: "0 0 4px" }}>{set.length === 1 ? `No repeat ${set[0]}` : `Can't mix ${set.join(" + ")}`} · {scopeLabel(r.scope)}</p> })}{(config.scenarioLimits || []).filter(l => l.scenario).map((l, i) => <p key={`l${i}`} style={{ margin: "0 0 4px" }}>Max {l.max}× {l.scenario} per actor per {l.per}</p>)}{Object.keys(config.scenarioActors).some(sc => isHeavy(config, sc)) && <p style={{ margin: "0 0 4px" }}>Heavy roles: {Object.keys(config.scenarioActors).filter(sc => isHeavy(config, sc)).map(sc => `${sc} ×${scenarioWeight(config, sc)}`).join(", ")}{config.heavyPerWeek != null ? ` · max ${config.heavyPerWeek} per actor per week` : ""}{config.heavyCooldownWeeks > 0 ? ` · ${config.heavyCooldownWeeks} week${config.heavyCooldownWeeks !== 1 ? "s" : ""} off the same one after playing it` : ""}</p>}{Object.keys(config.actorConstraints || {}).length > 0 && <p style={{ margin: "0 0 4px" }}>Personal limits set for {Object.keys(config.actorConstraints).join(", ")} (Settings → Actor Limits)</p>}{config.standbyCount > 0 && <p style={{ margin: "0 0 4px" }}>{config.standbyCount} standby actor{config.standbyCount !== 1 ? "s" : ""} on call per {config.standbyPer === "scenario" ? "scenario" : "tour"}</p>}<p style={{ margin: 0 }}>{shifts.map(sh => `${sh.icon} ${sh.label} (${sh.start}–${sh.end})`).join(" · ")}</p></div></Card>
           <Card style={{ marginBottom: "10px" }}><h3 style={{ fontSize: "15px", fontWeight: "700", margin: "0 0 10px" }}>📝 Monthly Flow</h3><div style={{ fontSize: "13px", color: T.textSoft, lineHeight: 1.9 }}>{["By 15th — get actor availability", "Set up week plans (adjust for cancellations)", "Enter availability", "Generate schedule", "Review & adjust swaps", "Export to Google Calendar", "Share with actors"].map((s, i) => <p key={i} style={{ margin: "0 0 2px" }}>☐ {s}</p>)}</div></Card>
-          <Card><h3 style={{ fontSize: "15px", fontWeight: "700", margin: "0 0 10px" }}>💡 Tips</h3><div style={{ fontSize: "13px", color: T.textSoft, lineHeight: 1.7 }}><p style={{ margin: "0 0 4px" }}><strong style={{ color: T.text }}>Snowstorm?</strong> Use the Plan tab to shift all days forward with ▶, or cancel the whole week.</p><p style={{ margin: "0 0 4px" }}><strong style={{ color: T.text }}>New actor?</strong> ⚙️ Settings → Actors → add them, then assign to scenarios.</p><p style={{ margin: "0 0 4px" }}><strong style={{ color: T.text }}>Scenario change?</strong> ⚙️ Settings → Scenarios to update who's approved.</p><p style={{ margin: 0 }}><strong style={{ color: T.text }}>Text actors</strong> via Share → pick Individual → select actor → copy.</p></div></Card>
+          <Card><h3 style={{ fontSize: "15px", fontWeight: "700", margin: "0 0 10px" }}>💡 Tips</h3><div style={{ fontSize: "13px", color: T.textSoft, lineHeight: 1.7 }}><p style={{ margin: "0 0 4px" }}><strong style={{ color: T.text }}>Snowstorm?</strong> Use the Plan tab to shift all days forward with ▶, or cancel the whole week.</p><p style={{ margin: "0 0 4px" }}><strong style={{ color: T.text }}>New actor?</strong> ⚙️ Settings → Actors → add them, then assign to scenarios.</p><p style={{ margin: "0 0 4px" }}><strong style={{ color: T.text }}>Scenario change?</strong> ⚙️ Settings → Scenarios to update who's approved.</p><p style={{ margin: "0 0 4px" }}><strong style={{ color: T.text }}>Text actors</strong> via Share → pick Individual → select actor → copy.</p><p style={{ margin: 0 }}><strong style={{ color: T.text }}>Personal calendars</strong> with reminders: Share → Individual → 📅 for one actor, or 🗂 for a zip of everyone.</p></div></Card>
         </div>}
       </main>
 
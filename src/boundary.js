@@ -0,0 +1,69 @@
+// Month boundaries — getWeeksInMonth pads the first and last weeks with days from the months on
+// either side, so those weeks are shared. Each date belongs to its calendar month: only that
+// month's record plans, collects availability for and schedules it. The other month shows it
+// read-only, and a slot the neighbour runs in a shared week can't be run a second time.
+
+import { getDefaultWeekPlan, getSlotKeys } from "./scheduler.js";
+
+/**
+ * "YYYY-MM" of the month that owns a date.
+ */
+export function ownerOf(dateStr) {
+  return dateStr.slice(0, 7);
+}
+
+// A month's own claim on a week: its saved plan (or the default), minus dates other months own
+function ownClaim(weekDays, plan, config, month) {
+  const base = plan || getDefaultWeekPlan(weekDays, config);
+  return Object.fromEntries(getSlotKeys(config).map(sk => [sk, base[sk] && ownerOf(base[sk]) === month ? base[sk] : null]));
+}
+
+/**
+ * Resolves every week's plan against the neighbouring months' plans for the weeks they share.
+ * When both months claim the same slot in a shared week (plans saved before dates had owners),
+ * the earlier month keeps it.
+ *
+ * @param {Array<Array>} weeks - This month's weeks
+ * @param {Object} weekPlans - This month's saved plans
+ * @param {Object} config
+ * @param {string} month - "YYYY-MM"
+ * @param {Object} neighbours - { "YYYY-MM": { weeks, weekPlans?, schedule? } } for the months before and after;
+ *   one never opened still claims its default plan
+ * @returns {{ plans: Object, borrowed: Object }}
+ *   plans = { weekKey: { slotKey: date|null } } for every week — what this month plans and schedules;
+ *   borrowed = { weekKey: { slotKey: { month, date, day } } } — slots a neighbour runs in a shared week,
+ *   with its schedule for that day (null until it's generated)
+ */
+export function resolvePlans(weeks, weekPlans, config, month, neighbours = {}) {
+  const plans = {}, borrowed = {};
+  weeks.forEach((weekDays, wi) => {
+    const wk = `week${wi}`;
+    const plan = ownClaim(weekDays, weekPlans[wk], config, month);
+    plans[wk] = plan;
+    const other = weekDays.map(d => ownerOf(d.date)).find(id => id !== month);
+    const nb = other && neighbours[other];
+    if (!nb) return;
+    const nwi = nb.weeks.findIndex(w => w[0]?.date === weekDays[0].date);
+    if (nwi < 0) return;
+    const nwk = `week${nwi}`;
+    const theirs = ownClaim(nb.weeks[nwi], nb.weekPlans?.[nwk], config, other);
+    for (const [sk, date] of Object.entries(theirs)) {
+      if (!date || (plan[sk] && month < other)) continue;
+      plan[sk] = null;
+      (borrowed[wk] = borrowed[wk] || {})[sk] = { month: other, date, day: nb.schedule?.[nwk]?.[sk] || null };
+    }
+  });
+  return { plans, borrowed };
+}
+
+/**
+ * A stored schedule with the days other months own left out — records saved before dates had
+ * owners can hold a boundary day twice.
+ */
+export function ownedSchedule(schedule, month) {
+  const owned = {};
+  for (const [wk, week] of Object.entries(schedule || {})) {
+    owned[wk] = week && Object.fromEntries(Object.entries(week).map(([sk, day]) => [sk, day && ownerOf(day.date) === month ? day : null]));
+  }
+  return owned;
+}
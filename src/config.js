@@ -21,6 +21,7 @@ export const DEFAULT_CONFIG = {
     "Mania":"⚡","Psychosis":"🌀","Depression":"🌧","PTSD":"🛡",
     "Jumper":"🚨","Borderline":"🔄","Suicidal MOS":"💙","Dementia":"🧠","Autism":"🧩"
   },
+  slotKeys: ["slot1","slot2","slot3"],
   slotScenarios: {
     "slot1":["Mania","Psychosis","Depression"],
     "slot2":["PTSD","Jumper","Borderline"],
@@ -29,8 +30,25 @@ export const DEFAULT_CONFIG = {
   slotNames: { "slot1":"Day 1", "slot2":"Day 2", "slot3":"Day 3" },
   defaultDays: { "slot1":"Tuesday", "slot2":"Wednesday", "slot3":"Thursday" },
   conflicts: [{ actor_cannot_play:["Jumper","Depression"], scope:"same_shift" }],
-  shiftTimes: { AM:"Noon", PM:"8 PM" },
+  scenarioLimits: [],
+  scenarioWeights: { "Jumper": 2, "Suicidal MOS": 2 },
+  heavyPerWeek: null,
+  // Weeks an actor sits out a heavy scenario after playing it, across months too; null = no cooldown
+  heavyCooldownWeeks: null,
+  // Ranked on-call actors per tour ("shift") or per scenario; 0 = none
+  standbyCount: 0,
+  standbyPer: "shift",
+  // Months of earlier schedules the generator balances load against; 0 = this month only
+  lookbackMonths: 3,
+  shifts: [
+    { id:"AM", label:"Noon", icon:"☀️", start:"12:00", end:"16:00" },
+    { id:"PM", label:"8 PM", icon:"🌙", start:"20:00", end:"23:00" },
+  ],
+  timezone: "America/New_York",
+  venue: { name: "NYPD CIT Training", address: "" },
+  slotLocations: {},
   actorConstraints: {},
+  actorPreferences: {},
   actorPhones: {},
   actorSortOrder: {
     "Decatur": 0, "Sat Charn": 1, "Mara": 2, "Rumi": 3, "Rich": 4,
@@ -41,6 +59,14 @@ export const DEFAULT_CONFIG = {
 // ─── CONSTANTS ──────────────────────────────────────────────────────────────
 export const ALL_WEEKDAYS = ["Monday","Tuesday","Wednesday","Thursday","Friday","Saturday","Sunday"];
 export const COLOR_PALETTE = ["#B84C3A","#3A7B6E","#4A7BA8","#B8862E","#4A8B5C","#C46B5A","#5A7FA0","#8B5A8B","#5AA088","#9B7340","#6B5A8B","#7B5A3A","#3A6B7B","#8B6B3A","#5A3A7B","#7B3A5A","#3A8B5A","#5A7B3A","#3A5A8B","#8B3A5A"];
+export const SHIFT_ICON_OPTIONS = ["☀️","🌤","🌆","🌙","⭐","🕛"];
+export const CONFLICT_SCOPES = ["same_shift","same_day","same_week","consecutive_days"];
+export const SCENARIO_WEIGHT_OPTIONS = [
+  { value: 1, label: "Standard" },
+  { value: 1.5, label: "Intense" },
+  { value: 2, label: "Heavy" },
+  { value: 3, label: "Very heavy" },
+];
 export const ICON_OPTIONS = ["⚡","🌀","🌧","🛡","🚨","🔄","💙","🧠","🧩","🎭","🔥","💊","🌊","🏥","🫂","🪞","⚠️","🌑","🎪","🩺"];
 
 // ─── THEME (Warm Frost UI + Premium Minimalism) ─────────────────────────────
@@ -123,6 +149,12 @@ export const T = {
   easeExpressive: "cubic-bezier(0.4, 0, 0.2, 1)",
 };
 
-export const slotColors = { slot1: T.coral, slot2: T.gold, slot3: T.mint };
+// Slot identity color — stable per slot key ("slot4" keeps its color if "slot2" is removed)
+const SLOT_PALETTE = [T.coral, T.gold, T.mint, T.info, T.purple, T.amber];
+export function slotColor(slotKey) {
+  const n = parseInt(String(slotKey).replace(/\D/g, ""), 10);
+  return Number.isFinite(n) && n > 0 ? SLOT_PALETTE[(n - 1) % SLOT_PALETTE.length] : T.accent;
+}
+export const shiftColors = [T.sunGold, T.nightIndigo, T.info, T.mint, T.coral];
 export const font = `'Outfit', 'Inter', -apple-system, sans-serif`;
 export const fontMono = `'JetBrains Mono', 'Fira Code', monospace`;
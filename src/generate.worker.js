@@ -0,0 +1,25 @@
+// Runs generateSchedule off the main thread. Posts { type: "progress" } while it works,
+// { type: "best" } with the best schedule so far (kept if the user cancels) and
+// { type: "done" } with the final result. With options.count > 1 it generates that many
+// distinct options instead, posting { type: "candidate" } as each one is found.
+import { generateSchedule, generateCandidates } from "./scheduler.js";
+
+self.onmessage = (e) => {
+  const { weeks, weekPlans, availability, config, options } = e.data;
+  const onProgress = progress => self.postMessage({ type: "progress", progress });
+  if (options.count > 1) {
+    const candidates = generateCandidates(weeks, weekPlans, availability, config, {
+      ...options,
+      onProgress,
+      onCandidate: candidate => self.postMessage({ type: "candidate", candidate }),
+    });
+    self.postMessage({ type: "done", candidates });
+    return;
+  }
+  const result = generateSchedule(weeks, weekPlans, availability, config, {
+    ...options,
+    onProgress,
+    onBest: best => self.postMessage({ type: "best", result: best }),
+  });
+  self.postMessage({ type: "done", result });
+};
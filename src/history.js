@@ -0,0 +1,79 @@
+// Month version history — a bounded list of snapshots of the month record so an accidental
+// "Clear All" or regenerate can be undone. Kept beside the record under cit-v4-history-YYYY-MM.
+
+export const HISTORY_LIMIT = 30;
+
+// Repeated edits of the same kind within this window collapse into one version
+// (e.g. tapping through availability cells)
+const COALESCE_MS = 5000;
+
+// Month record fields captured in each version
+const SNAPSHOT_FIELDS = ["availability", "weekPlans", "schedule", "errors", "overrides", "fairnessReport", "activeActors", "locks", "seed", "standby"];
+
+export function emptyHistory() {
+  return { entries: [], index: -1 };
+}
+
+/**
+ * Picks the versioned fields out of a month record (deep copy).
+ *
+ * @param {Object} record - Month record as stored under cit-v4-YYYY-MM
+ * @returns {Object}
+ */
+export function takeSnapshot(record) {
+  const snap = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (record[field] !== undefined) snap[field] = record[field];
+  }
+  return JSON.parse(JSON.stringify(snap));
+}
+
+/**
+ * Adds a version after the current one, dropping any redo branch and the oldest
+ * versions past HISTORY_LIMIT. Returns the same object when nothing changed.
+ *
+ * @param {{ entries: Array, index: number }} history
+ * @param {Object} data - From takeSnapshot
+ * @param {string} label - What the user did, e.g. "Generated schedule"
+ * @param {number} [now]
+ * @returns {{ entries: Array, index: number }}
+ */
+export function recordVersion(history, data, label, now = Date.now()) {
+  const current = history.entries[history.index];
+  if (current && JSON.stringify(current.data) === JSON.stringify(data)) return history;
+
+  const entries = history.entries.slice(0, history.index + 1);
+  const top = entries[entries.length - 1];
+  // Only coalesce into a version that hasn't been undone to — it must stay restorable
+  if (top && top.label === label && now - top.at < COALESCE_MS && history.index === history.entries.length - 1) {
+    entries[entries.length - 1] = { ...top, at: now, data };
+  } else {
+    entries.push({ id: `${now}-${entries.length}`, at: now, label, data });
+  }
+  const trimmed = entries.slice(-HISTORY_LIMIT);
+  return { entries: trimmed, index: trimmed.length - 1 };
+}
+
+/**
+ * Moves the current pointer for undo (-1) or redo (+1).
+ *
+ * @returns {{ history: Object, entry: Object } | null} null when there's nothing to step to
+ */
+export function stepHistory(history, delta) {
+  const index = history.index + delta;
+  if (index < 0 || index >= history.entries.length) return null;
+  return { history: { ...history, index }, entry: history.entries[index] };
+}
+
+/**
+ * Parses a stored history, tolerating missing or malformed values.
+ */
+export function parseHistory(raw) {
+  try {
+    const h = JSON.parse(raw);
+    if (Array.isArray(h?.entries)) return { entries: h.entries, index: Math.min(h.index ?? h.entries.length - 1, h.entries.length - 1) };
+  } catch {
+    // fall through to an empty history
+  }
+  return emptyHistory();
+}
@@ -1,20 +1,17 @@
 // ICS calendar export — RFC 5545 compliant .ics generation for Google Calendar
-// Generates VEVENT entries for each CIT training shift (AM/PM) per active training day.
+// Generates VEVENT entries for each configured CIT training shift per active training day.
 
-import { getDefaultWeekPlan, SLOT_KEYS, SHIFTS } from "./scheduler.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { getDefaultWeekPlan, getShifts, getSlotKeys } from "./scheduler.js";
+import { createZip } from "./zip.js";
 
 const CRLF = "\r\n";
 
-// Shift time boundaries (Eastern)
-const SHIFT_TIMES = {
-  AM: { start: "120000", end: "160000" },
-  PM: { start: "200000", end: "230000" },
-};
-
-const SHIFT_LABELS = {
-  AM: "\u2600\uFE0F Noon Tour:",
-  PM: "\uD83C\uDF19 Night Tour:",
-};
+// "HH:MM" (config.shifts start/end) -> "HHMMSS"
+function timeToICS(timeStr) {
+  const [h, m] = (timeStr || "00:00").split(":");
+  return `${h.padStart(2, "0")}${(m || "00").padStart(2, "0")}00`;
+}
 
 // ---- RFC 5545 Line Folding ----
 // Lines MUST NOT exceed 75 octets. Multi-byte characters must not be split.
@@ -68,6 +65,16 @@ function dateToICS(dateStr) {
   return dateStr.replace(/-/g, "");
 }
 
+// DTSTART/DTEND local date-times for a tour on a date; a tour that ends at or before its
+// start runs past midnight, so it ends the next day
+function shiftTimes(date, shiftDef) {
+  const endDate = shiftDef.end > shiftDef.start ? date : addDays(date, 1);
+  return {
+    start: `${dateToICS(date)}T${timeToICS(shiftDef.start)}`,
+    end: `${dateToICS(endDate)}T${timeToICS(shiftDef.end)}`,
+  };
+}
+
 // Short month name from date string
 function shortMonth(dateStr) {
   const d = new Date(dateStr + "T12:00:00");
@@ -79,32 +86,144 @@ function dayOfMonth(dateStr) {
   return parseInt(dateStr.split("-")[2], 10);
 }
 
-// ---- VTIMEZONE for America/New_York ----
-function vtimezone() {
-  return icsLines([
-    "BEGIN:VTIMEZONE",
-    "TZID:America/New_York",
-    "BEGIN:STANDARD",
-    "DTSTART:19701101T020000",
-    "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
-    "TZOFFSETFROM:-0400",
-    "TZOFFSETTO:-0500",
-    "TZNAME:EST",
-    "END:STANDARD",
-    "BEGIN:DAYLIGHT",
-    "DTSTART:19700308T020000",
-    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
-    "TZOFFSETFROM:-0500",
-    "TZOFFSETTO:-0400",
-    "TZNAME:EDT",
-    "END:DAYLIGHT",
-    "END:VTIMEZONE",
-  ]);
+// ---- VTIMEZONE ----
+
+const DEFAULT_TZID = DEFAULT_CONFIG.timezone;
+
+// Falls back to New York when the configured zone isn't a valid IANA name
+export function resolveTimezone(config) {
+  const tz = config?.timezone || DEFAULT_TZID;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return tz;
+  } catch {
+    return DEFAULT_TZID;
+  }
+}
+
+const tzFormatters = new Map();
+
+function tzFormatter(tzid) {
+  if (!tzFormatters.has(tzid)) {
+    tzFormatters.set(tzid, new Intl.DateTimeFormat("en-US", {
+      timeZone: tzid, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }));
+  }
+  return tzFormatters.get(tzid);
+}
+
+// UTC offset (minutes east of UTC) at the instant `utcMs`, given a tzFormatter()
+function tzOffset(fmt, utcMs) {
+  const p = Object.fromEntries(fmt.formatToParts(new Date(utcMs)).map((x) => [x.type, x.value]));
+  const asUTC = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour % 24, +p.minute, +p.second);
+  return Math.round((asUTC - Math.floor(utcMs / 1000) * 1000) / 60000);
+}
+
+function fmtOffset(min) {
+  const sign = min < 0 ? "-" : "+";
+  const abs = Math.abs(min);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(abs % 60).padStart(2, "0")}`;
+}
+
+// Local wall time "YYYYMMDDTHHMMSS" for a UTC instant at a fixed offset
+function localStamp(utcMs, offsetMin) {
+  return new Date(utcMs + offsetMin * 60000).toISOString().replace(/[-:]/g, "").slice(0, 15);
+}
+
+// UTC instant of a wall-clock time ("YYYY-MM-DD", "HH:MM[:SS]") in `tzid`
+function zonedToUTC(tzid, date, time = "00:00") {
+  const [y, mo, d] = date.split("-").map(Number);
+  const [h, mi, sec = 0] = time.split(":").map(Number);
+  const wall = Date.UTC(y, mo - 1, d, h, mi, sec);
+  const fmt = tzFormatter(tzid);
+  // Second pass settles times near a DST transition
+  const guess = wall - tzOffset(fmt, wall) * 60000;
+  return wall - tzOffset(fmt, guess) * 60000;
+}
+
+function tzAbbrev(tzid, utcMs) {
+  const part = new Intl.DateTimeFormat("en-US", { timeZone: tzid, timeZoneName: "short" })
+    .formatToParts(new Date(utcMs))
+    .find((x) => x.type === "timeZoneName");
+  return part ? part.value : "";
+}
+
+/**
+ * Builds a VTIMEZONE for any IANA zone from the runtime's tz database.
+ * Emits the actual UTC-offset transitions in the years around `year` (no RRULEs),
+ * or a single STANDARD block for zones without daylight saving.
+ */
+function vtimezone(tzid, year) {
+  const fmt = tzFormatter(tzid);
+  const DAY = 86400000;
+  const from = Date.UTC(year - 1, 0, 1);
+  const to = Date.UTC(year + 2, 0, 1);
+
+  const transitions = [];
+  let prevOffset = tzOffset(fmt, from);
+  for (let t = from + DAY; t <= to; t += DAY) {
+    const offset = tzOffset(fmt, t);
+    if (offset === prevOffset) continue;
+    // Binary search to the minute where the offset flips
+    let lo = t - DAY, hi = t;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (tzOffset(fmt, mid) === prevOffset) lo = mid; else hi = mid;
+    }
+    transitions.push({ at: hi, fromOffset: prevOffset, toOffset: offset });
+    prevOffset = offset;
+  }
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${tzid}`];
+  if (transitions.length === 0) {
+    lines.push(
+      "BEGIN:STANDARD",
+      "DTSTART:19700101T000000",
+      `TZOFFSETFROM:${fmtOffset(prevOffset)}`,
+      `TZOFFSETTO:${fmtOffset(prevOffset)}`,
+    );
+    const name = tzAbbrev(tzid, from);
+    if (name) lines.push(`TZNAME:${name}`);
+    lines.push("END:STANDARD");
+  }
+  for (const tr of transitions) {
+    const kind = tr.toOffset > tr.fromOffset ? "DAYLIGHT" : "STANDARD";
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${localStamp(tr.at, tr.fromOffset)}`,
+      `TZOFFSETFROM:${fmtOffset(tr.fromOffset)}`,
+      `TZOFFSETTO:${fmtOffset(tr.toOffset)}`,
+    );
+    const name = tzAbbrev(tzid, tr.at);
+    if (name) lines.push(`TZNAME:${name}`);
+    lines.push(`END:${kind}`);
+  }
+  lines.push("END:VTIMEZONE");
+  return icsLines(lines);
+}
+
+// ---- Location ----
+
+// RFC 5545 TEXT escaping for values that may contain commas/semicolons (addresses, names)
+function escapeText(str) {
+  return str.replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * LOCATION value for a slot: the slot's own site when set, else the default venue.
+ */
+function slotLocation(slotKey, config) {
+  const own = config.slotLocations?.[slotKey];
+  const loc = own && (own.name || own.address) ? own : config.venue || DEFAULT_CONFIG.venue;
+  return [loc.name, loc.address].filter(Boolean).join(", ");
 }
 
 // Build DESCRIPTION field value for a shift.
 // Uses literal \n (backslash-n) for newlines inside the value — required by RFC 5545.
 function buildDescription(slotKey, date, dayName, shift, assignments, config) {
+  const tourLabel = `${shift.icon ? `${shift.icon} ` : ""}${shift.label} Tour:`;
   const slotName = config.slotNames[slotKey] || slotKey;
   const mon = shortMonth(date);
   const day = dayOfMonth(date);
@@ -113,7 +232,7 @@ function buildDescription(slotKey, date, dayName, shift, assignments, config) {
   const parts = [];
   parts.push(`${slotName} (${dayName} ${mon} ${day})`);
   parts.push("");
-  parts.push(SHIFT_LABELS[shift]);
+  parts.push(tourLabel);
 
   for (const scenario of scenarios) {
     const icon = (config.scenarioIcons && config.scenarioIcons[scenario]) || "";
@@ -123,21 +242,120 @@ function buildDescription(slotKey, date, dayName, shift, assignments, config) {
     parts.push(`${prefix}${scenario}: ${actor}`);
   }
 
-  // Join with literal \n — NOT real newlines
-  return parts.join("\\n");
+  // Escape each line, then join with literal \n — NOT real newlines
+  return parts.map(escapeText).join("\\n");
 }
 
-// Build SUMMARY line: "CIT AM — Mania/Psychosis/Depression"
+// Build SUMMARY line: "CIT AM — Mania/Psychosis/Depression" (shift = shift id)
 function buildSummary(shift, slotKey, config) {
   const scenarios = config.slotScenarios[slotKey] || [];
   return `CIT ${shift} \u2014 ${scenarios.join("/")}`;
 }
 
+// Current UTC time as an ICS DATE-TIME, e.g. "20260310T154500Z" (DTSTAMP / LAST-MODIFIED)
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Small stable string hash (djb2) — detects content changes between exports
+function hashString(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
+
+// UID is deterministic per date/shift/slot so re-importing updates events in place
+function eventUID(date, shift, slotKey) {
+  return `cit-${date}-${shift}-${slotKey}@citscheduler`;
+}
+
+// Reminder block: trigger is an RFC 5545 duration before the start, e.g. "-P1D", "-PT2H"
+function valarm(trigger, description) {
+  return [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${escapeText(description)}`,
+    `TRIGGER:${trigger}`,
+    "END:VALARM",
+  ];
+}
+
+function buildVEvent({ uid, tzid, start, end, summary, description, location, status, sequence, stamp, modified, alarms = [] }) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${modified}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;TZID=${tzid}:${start}`,
+    `DTEND;TZID=${tzid}:${end}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${description}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  lines.push(`STATUS:${status}`);
+  for (const alarm of alarms) lines.push(...alarm);
+  lines.push("END:VEVENT");
+  return icsLines(lines);
+}
+
+// ---- Export Log ----
+
+// Log entry for an exported event: SEQUENCE+1 and a new LAST-MODIFIED only when its content changed
+function logEntry(prev, hash, stamp, { start, end, summary }) {
+  const unchanged = prev && !prev.cancelled && prev.hash === hash;
+  return {
+    seq: !prev ? 0 : unchanged ? prev.seq : prev.seq + 1,
+    hash,
+    modified: unchanged ? prev.modified : stamp,
+    start,
+    end,
+    summary,
+  };
+}
+
+// STATUS:CANCELLED events for logged UIDs this export no longer has; adds them to nextLog
+function cancelledEvents(exportLog, nextLog, tzid, stamp) {
+  const events = [];
+  for (const [uid, prev] of Object.entries(exportLog)) {
+    if (nextLog[uid]) continue;
+    const entry = prev.cancelled
+      ? prev
+      : { ...prev, seq: prev.seq + 1, modified: stamp, cancelled: true };
+    nextLog[uid] = entry;
+    events.push(buildVEvent({
+      uid,
+      tzid,
+      start: entry.start,
+      end: entry.end,
+      summary: entry.summary,
+      status: "CANCELLED",
+      sequence: entry.seq,
+      stamp,
+      modified: entry.modified,
+    }));
+  }
+  return events;
+}
+
 // ---- Main Generator ----
 
-export function generateICS(weeks, weekPlans, schedule, year, month, config) {
-  const now = Date.now();
+/**
+ * Builds the master calendar for the month.
+ *
+ * `exportLog` is the log returned by the previous export of this month (stored with
+ * the month record): { [uid]: { seq, hash, modified, start, end, summary, cancelled } }.
+ * Events whose content changed get SEQUENCE+1 and a new LAST-MODIFIED; events that
+ * were exported before but are no longer scheduled (slot canceled or moved) are
+ * emitted as STATUS:CANCELLED so calendar clients remove them.
+ *
+ * @returns {{ ics: string, exportLog: Object }} - exportLog to persist for the next export
+ */
+export function generateICS(weeks, weekPlans, schedule, year, month, config, exportLog = {}) {
+  const stamp = utcStamp(new Date());
+  const tzid = resolveTimezone(config);
   const events = [];
+  const nextLog = {};
 
   for (let wi = 0; wi < weeks.length; wi++) {
     const weekKey = `week${wi}`;
@@ -148,9 +366,9 @@ export function generateICS(weeks, weekPlans, schedule, year, month, config) {
     const plan = weekPlans[weekKey] || getDefaultWeekPlan(weeks[wi], config);
     if (!plan) continue;
 
-    for (const slotKey of SLOT_KEYS) {
+    for (const slotKey of getSlotKeys(config)) {
       const date = plan[slotKey];
-      // Canceled slot — no event
+      // Canceled slot — no event (a previously exported one is canceled below)
       if (!date) continue;
 
       const slotSchedule = weekSchedule[slotKey];
@@ -161,71 +379,375 @@ export function generateICS(weeks, weekPlans, schedule, year, month, config) {
       const matchedDay = weekDays.find((d) => d.date === date);
       const dayName = matchedDay ? matchedDay.dayName : "";
 
-      for (const shift of SHIFTS) {
+      for (const shiftDef of getShifts(config)) {
+        const shift = shiftDef.id;
         const assignments = slotSchedule[shift]; // { scenarioName: actorName | null }
-        const times = SHIFT_TIMES[shift];
-        const icsDate = dateToICS(date);
 
         const summary = buildSummary(shift, slotKey, config);
         const description = buildDescription(
           slotKey,
           date,
           dayName,
-          shift,
+          shiftDef,
           assignments,
           config
         );
-
-        // UID: globally unique per event
-        const uid = `cit-${date}-${shift}-${slotKey}-${now}@citscheduler`;
-
-        const vevent = icsLines([
-          "BEGIN:VEVENT",
-          `DTSTART;TZID=America/New_York:${icsDate}T${times.start}`,
-          `DTEND;TZID=America/New_York:${icsDate}T${times.end}`,
-          `SUMMARY:${summary}`,
-          `DESCRIPTION:${description}`,
-          "LOCATION:NYPD CIT Training",
-          `UID:${uid}`,
-          "STATUS:CONFIRMED",
-          "END:VEVENT",
-        ]);
-
-        events.push(vevent);
+        const { start, end } = shiftTimes(date, shiftDef);
+        const location = slotLocation(slotKey, config);
+
+        const uid = eventUID(date, shift, slotKey);
+        const hash = hashString([tzid, start, end, summary, description, location].join("|"));
+        const entry = logEntry(exportLog[uid], hash, stamp, { start, end, summary });
+        nextLog[uid] = entry;
+
+        events.push(buildVEvent({
+          uid, tzid, start, end, summary, description, location,
+          status: "CONFIRMED",
+          sequence: entry.seq,
+          stamp,
+          modified: entry.modified,
+        }));
       }
     }
   }
 
-  // Month name for calendar title
-  const monthName = new Date(year, month, 1).toLocaleString("en-US", {
-    month: "long",
-  });
+  // Previously exported events that are no longer on the schedule
+  events.push(...cancelledEvents(exportLog, nextLog, tzid, stamp));
 
-  const cal = [
+  return { ics: wrapCalendar(`CIT Training ${calendarMonth(year, month)} ${year}`, events, tzid, year), exportLog: nextLog };
+}
+
+// Month name for calendar titles
+function calendarMonth(year, month) {
+  return new Date(year, month, 1).toLocaleString("en-US", { month: "long" });
+}
+
+function wrapCalendar(calName, events, tzid, year) {
+  return [
     icsLines([
       "BEGIN:VCALENDAR",
       "VERSION:2.0",
       "PRODID:-//CIT Scheduler//citscheduler//EN",
-      `X-WR-CALNAME:CIT Training ${monthName} ${year}`,
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${calName}`,
+      `X-WR-TIMEZONE:${tzid}`,
     ]),
-    vtimezone(),
+    vtimezone(tzid, year),
     ...events,
     "END:VCALENDAR",
   ].join(CRLF);
+}
+
+// ---- Per-Actor Calendar ----
+
+/**
+ * Builds a calendar containing only one actor's assignments, with reminders
+ * the day before and 2 hours before each shift.
+ *
+ * `exportLog` is this actor's log from their previous export, kept the same way as the
+ * master calendar's (see generateICS): changed events get SEQUENCE+1, and assignments
+ * the actor has lost since are emitted as STATUS:CANCELLED.
+ *
+ * @returns {{ ics: string, count: number, cancelled: number, exportLog: Object }} - count = number of
+ *   assignments, cancelled = number of assignments this export cancels; exportLog to persist for the actor's next export
+ */
+export function generateActorICS(actor, weeks, weekPlans, schedule, year, month, config, exportLog = {}) {
+  const stamp = utcStamp(new Date());
+  const tzid = resolveTimezone(config);
+  const slug = actor.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  const events = [];
+  const nextLog = {};
 
-  return cal;
+  for (let wi = 0; wi < weeks.length; wi++) {
+    const weekKey = `week${wi}`;
+    const weekSchedule = schedule[weekKey];
+    const plan = weekPlans[weekKey] || getDefaultWeekPlan(weeks[wi], config);
+    if (!weekSchedule || !plan) continue;
+
+    for (const slotKey of getSlotKeys(config)) {
+      const date = plan[slotKey];
+      const slotSchedule = weekSchedule[slotKey];
+      if (!date || !slotSchedule) continue;
+      const matchedDay = weeks[wi].find((d) => d.date === date);
+      const slotName = config.slotNames[slotKey] || slotKey;
+
+      for (const shiftDef of getShifts(config)) {
+        const assignments = slotSchedule[shiftDef.id] || {};
+        for (const [scenario, assigned] of Object.entries(assignments)) {
+          if (assigned !== actor) continue;
+          const icon = config.scenarioIcons?.[scenario];
+          const summary = `CIT \u2013 Playing ${scenario}`;
+          const description = [
+            `${slotName} (${matchedDay ? matchedDay.dayName : ""} ${shortMonth(date)} ${dayOfMonth(date)})`,
+            `${shiftDef.icon ? `${shiftDef.icon} ` : ""}${shiftDef.label} Tour`,
+            `${icon ? `${icon} ` : ""}Playing: ${scenario}`,
+          ].map(escapeText).join("\\n");
+          const { start, end } = shiftTimes(date, shiftDef);
+          const location = slotLocation(slotKey, config);
+          const uid = `cit-${date}-${shiftDef.id}-${slotKey}-${slug}@citscheduler`;
+          const hash = hashString([tzid, start, end, summary, description, location].join("|"));
+          const entry = logEntry(exportLog[uid], hash, stamp, { start, end, summary });
+          nextLog[uid] = entry;
+          events.push(buildVEvent({
+            uid,
+            tzid,
+            start,
+            end,
+            summary,
+            description,
+            location,
+            status: "CONFIRMED",
+            sequence: entry.seq,
+            stamp,
+            modified: entry.modified,
+            alarms: [
+              valarm("-P1D", `Tomorrow: ${summary}`),
+              valarm("-PT2H", `In 2 hours: ${summary}`),
+            ],
+          }));
+        }
+      }
+    }
+  }
+
+  const count = events.length;
+  // Assignments exported to this actor before that they no longer have
+  events.push(...cancelledEvents(exportLog, nextLog, tzid, stamp));
+  const cancelled = Object.keys(exportLog).filter(uid => !exportLog[uid].cancelled && nextLog[uid].cancelled).length;
+
+  const cal = wrapCalendar(`CIT \u2013 ${actor} \u2013 ${calendarMonth(year, month)} ${year}`, events, tzid, year);
+  return { ics: cal, count, cancelled, exportLog: nextLog };
+}
+
+// ---- Availability Import ----
+
+// Splits an unfolded content line into { name, params, value }, honouring quoted params
+function parseContentLine(line) {
+  let inQuote = false;
+  let i = 0;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') inQuote = !inQuote;
+    else if (line[i] === ":" && !inQuote) break;
+  }
+  const [name, ...paramParts] = line.slice(0, i).split(";");
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf("=");
+    if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+function unescapeText(str) {
+  return str.replace(/\\n/gi, " ").replace(/\\([,;\\])/g, "$1");
+}
+
+function addDays(dateStr, n) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+}
+
+function weekday(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Parses a DATE or DATE-TIME value. `tz` is "UTC" for Z-suffixed times, the event's TZID
+ * when the runtime knows it, else the training timezone (floating times, Windows zone names).
+ */
+function parseICSTime(value, params, fallbackTz) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/);
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4]) return { date, time: null, tz: null };
+  let tz = m[7] ? "UTC" : fallbackTz;
+  if (!m[7] && params.TZID) tz = resolveTimezone({ timezone: params.TZID }) === params.TZID ? params.TZID : fallbackTz;
+  return { date, time: `${m[4]}:${m[5]}:${m[6]}`, tz };
+}
+
+function icsTimeToUTC({ date, time, tz }) {
+  return zonedToUTC(tz, date, time);
+}
+
+// "PT1H30M", "P1D", "-PT15M" -> milliseconds
+function parseDuration(value) {
+  const m = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return 0;
+  const [, sign, w = 0, d = 0, h = 0, min = 0, sec = 0] = m;
+  const ms = ((((+w * 7 + +d) * 24 + +h) * 60 + +min) * 60 + +sec) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+const BYDAY_INDEX = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+/**
+ * Occurrence dates (in the event's own zone) of a DAILY/WEEKLY rule up to `lastDate`.
+ * Returns null for frequencies we don't expand.
+ */
+function expandRule(startDate, rule, lastDate) {
+  if (rule.FREQ !== "DAILY" && rule.FREQ !== "WEEKLY") return null;
+  const interval = Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const until = rule.UNTIL ? `${rule.UNTIL.slice(0, 4)}-${rule.UNTIL.slice(4, 6)}-${rule.UNTIL.slice(6, 8)}` : null;
+  const byDay = rule.BYDAY ? rule.BYDAY.split(",").map((d) => BYDAY_INDEX[d.slice(-2)]).filter((d) => d !== undefined) : null;
+  const weekOrigin = addDays(startDate, -((weekday(startDate) + 6) % 7));
+
+  const dates = [];
+  let n = 0;
+  for (let ds = startDate; ds <= lastDate; ds = addDays(ds, 1)) {
+    if (until && ds > until) break;
+    const hit = rule.FREQ === "DAILY"
+      ? daysBetween(startDate, ds) % interval === 0 && (!byDay || byDay.includes(weekday(ds)))
+      : (byDay || [weekday(startDate)]).includes(weekday(ds)) && Math.floor(daysBetween(weekOrigin, ds) / 7) % interval === 0;
+    if (!hit) continue;
+    if (++n > count) break;
+    dates.push(ds);
+  }
+  return dates;
+}
+
+/**
+ * Parses busy blocks out of an .ics file such as an actor's exported personal calendar.
+ * Cancelled and transparent ("show as free") events are ignored. DAILY/WEEKLY recurrences
+ * are expanded through `lastDate`; any other rule only contributes its first occurrence.
+ *
+ * @param {string} text - .ics file contents
+ * @param {Object} config - Scheduler config (timezone for floating times)
+ * @param {string} lastDate - "YYYY-MM-DD" horizon for recurrence expansion
+ * @returns {{ blocks: Array<{ summary: string, allDay: boolean, startDate?: string, endDate?: string, start?: number, end?: number }>, eventCount: number, unsupportedRules: number }}
+ */
+export function parseBusyBlocks(text, config, lastDate) {
+  if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error("Not a calendar file (.ics)");
+  const tz = resolveTimezone(config);
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const blocks = [];
+  let eventCount = 0;
+  let unsupportedRules = 0;
+  let ev = null;
+  let depth = 0; // nested components inside a VEVENT (VALARM)
+
+  for (const raw of lines) {
+    if (!raw) continue;
+    const { name, params, value } = parseContentLine(raw);
+    if (name === "BEGIN" && value.toUpperCase() === "VEVENT") { ev = { exdates: new Set() }; continue; }
+    if (!ev) continue;
+    if (name === "BEGIN") { depth++; continue; }
+    if (name === "END" && depth > 0) { depth--; continue; }
+    if (depth > 0) continue;
+
+    if (name === "DTSTART") ev.start = parseICSTime(value, params, tz);
+    else if (name === "DTEND") ev.end = parseICSTime(value, params, tz);
+    else if (name === "DURATION") ev.duration = parseDuration(value);
+    else if (name === "SUMMARY") ev.summary = unescapeText(value);
+    else if (name === "STATUS") ev.status = value.toUpperCase();
+    else if (name === "TRANSP") ev.transp = value.toUpperCase();
+    else if (name === "RRULE") ev.rule = Object.fromEntries(value.split(";").map((p) => p.split("=")).map(([k, v]) => [k.toUpperCase(), v]));
+    else if (name === "EXDATE") value.split(",").forEach((v) => { const t = parseICSTime(v, params, tz); if (t) ev.exdates.add(t.date); });
+    else if (name === "END" && value.toUpperCase() === "VEVENT") {
+      const e = ev;
+      ev = null;
+      if (!e.start || e.status === "CANCELLED" || e.transp === "TRANSPARENT") continue;
+      eventCount++;
+
+      let dates = [e.start.date];
+      if (e.rule) {
+        const expanded = expandRule(e.start.date, e.rule, lastDate);
+        if (expanded) dates = expanded;
+        else unsupportedRules++;
+      }
+
+      const summary = e.summary || "Busy";
+      const allDay = !e.start.time;
+      for (const date of dates) {
+        if (e.exdates.has(date)) continue;
+        if (allDay) {
+          const days = e.end ? Math.max(1, daysBetween(e.start.date, e.end.date)) : Math.max(1, Math.round((e.duration || 0) / 86400000));
+          blocks.push({ summary, allDay, startDate: date, endDate: addDays(date, days) });
+        } else {
+          const first = icsTimeToUTC(e.start);
+          const length = e.end ? icsTimeToUTC(e.end) - first : e.duration || 0;
+          const start = icsTimeToUTC({ ...e.start, date });
+          blocks.push({ summary, allDay, start, end: start + Math.max(length, 0) });
+        }
+      }
+    }
+  }
+  return { blocks, eventCount, unsupportedRules };
+}
+
+/**
+ * Maps busy blocks onto training dates and tours. A tour is busy when a block overlaps its
+ * start–end window in the configured timezone; all-day blocks take out every tour that day.
+ *
+ * @param {Array} blocks - From parseBusyBlocks
+ * @param {string[]} dates - Active training dates ("YYYY-MM-DD")
+ * @param {Object} config - Scheduler config
+ * @returns {Object<string, { free: string[], busy: Object<string, string[]> }>} Keyed by date; busy maps shift id -> event summaries
+ */
+export function availabilityFromBusy(blocks, dates, config) {
+  const tz = resolveTimezone(config);
+  const shifts = getShifts(config);
+  const result = {};
+  for (const date of dates) {
+    const busy = {};
+    for (const sh of shifts) {
+      const start = zonedToUTC(tz, date, sh.start);
+      // A tour that ends at or before its start runs past midnight
+      const end = zonedToUTC(tz, sh.end > sh.start ? date : addDays(date, 1), sh.end);
+      const hits = blocks.filter((b) => (b.allDay ? b.startDate <= date && date < b.endDate : b.start < end && b.end > start));
+      if (hits.length) busy[sh.id] = [...new Set(hits.map((b) => b.summary))];
+    }
+    result[date] = { free: shifts.map((sh) => sh.id).filter((id) => !busy[id]), busy };
+  }
+  return result;
 }
 
 // ---- Download Helper ----
 
-export function downloadICS(icsString, monthName, year) {
-  const blob = new Blob([icsString], { type: "text/calendar;charset=utf-8" });
+function fileSafe(name) {
+  return name.replace(/[^A-Za-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const link = document.createElement("a");
   link.href = url;
-  link.download = `CIT_${monthName}_${year}.ics`;
+  link.download = filename;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
 }
+
+export function downloadICS(icsString, monthName, year) {
+  downloadBlob(new Blob([icsString], { type: "text/calendar;charset=utf-8" }), `CIT_${monthName}_${year}.ics`);
+}
+
+export function downloadActorICS(icsString, actor, monthName, year) {
+  downloadBlob(new Blob([icsString], { type: "text/calendar;charset=utf-8" }), `CIT_${monthName}_${year}_${fileSafe(actor)}.ics`);
+}
+
+/**
+ * Downloads one .ics per actor in a single zip. Actors with no assignments
+ * and nothing to cancel are skipped.
+ * @param {Object} [exportLogs] - { actor: exportLog } from the previous per-actor exports
+ * @returns {{ files: number, exportLogs: Object }} - number of calendars in the zip, and the
+ *   logs of the actors in it to persist
+ */
+export function downloadActorsZip(actors, weeks, weekPlans, schedule, year, month, monthName, config, exportLogs = {}) {
+  const files = [];
+  const nextLogs = {};
+  for (const actor of actors) {
+    const { ics, count, cancelled, exportLog } = generateActorICS(actor, weeks, weekPlans, schedule, year, month, config, exportLogs[actor]);
+    if (count + cancelled === 0) continue;
+    files.push({ name: `CIT_${monthName}_${year}_${fileSafe(actor)}.ics`, content: ics });
+    nextLogs[actor] = exportLog;
+  }
+  if (files.length === 0) return { files: 0, exportLogs: nextLogs };
+  downloadBlob(new Blob([createZip(files)], { type: "application/zip" }), `CIT_${monthName}_${year}_actors.zip`);
+  return { files: files.length, exportLogs: nextLogs };
+}
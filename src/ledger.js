@@ -0,0 +1,89 @@
+// Multi-month fairness ledger — per-actor totals from every stored month, so the generator can
+// balance against recent months instead of starting each month level, and Stats can show
+// trailing totals. Built from the schedules in the month records under cit-v4-YYYY-MM.
+
+import { scheduleMetrics, scenarioWeight } from "./scheduler.js";
+import { ownedSchedule } from "./boundary.js";
+
+// Month records only — not history (cit-v4-history-…), explanations (cit-v4-why-…) or config
+export const MONTH_KEY = /^cit-v4-(\d{4}-\d{2})$/;
+
+/**
+ * "YYYY-MM" id for a 0-based month.
+ */
+export function monthId(year, month) {
+  return `${year}-${String(month + 1).padStart(2, "0")}`;
+}
+
+/**
+ * The month id `delta` months before (negative) or after a month id.
+ */
+export function shiftMonth(id, delta) {
+  const [y, m] = id.split("-").map(Number);
+  const total = y * 12 + (m - 1) + delta;
+  return monthId(Math.floor(total / 12), total % 12);
+}
+
+/**
+ * Per-month, per-actor totals: shifts, weighted load, scenario counts, tours ({ shiftId: n }) and
+ * the last date each scenario was played.
+ * Loads use the current scenario weights so old months compare on today's scale; boundary days
+ * count toward the month that owns them only.
+ *
+ * @param {Object} schedules - { "2026-03": schedule, ... }
+ * @param {Object} config
+ * @returns {Object} { "2026-03": { actor: { shifts, load, scenarios, tours, last } }, ... }
+ */
+export function buildLedger(schedules, config) {
+  const ledger = {};
+  for (const [id, schedule] of Object.entries(schedules)) {
+    ledger[id] = {};
+    for (const [actor, a] of Object.entries(scheduleMetrics(ownedSchedule(schedule, id), config).perActor)) {
+      const load = Object.entries(a.scenarios).reduce((sum, [sc, n]) => sum + n * scenarioWeight(config, sc), 0);
+      ledger[id][actor] = { shifts: a.total, load, scenarios: a.scenarios, tours: a.shifts, last: a.last };
+    }
+  }
+  return ledger;
+}
+
+/**
+ * Sums the ledger over a window of months ending at `month`.
+ *
+ * @param {Object} ledger - From buildLedger
+ * @param {string} month - "YYYY-MM"
+ * @param {number} months - Window length
+ * @param {boolean} [inclusive] - Count `month` itself (trailing totals) rather than only the months before it
+ *   (what the generator balances against)
+ * @returns {Object} { actor: { shifts, load, scenarios, tours } } — actors with no shifts in the window are left out
+ */
+export function windowTotals(ledger, month, months, inclusive = false) {
+  const totals = {};
+  for (let i = inclusive ? 0 : 1; i < months + (inclusive ? 0 : 1); i++) {
+    for (const [actor, t] of Object.entries(ledger[shiftMonth(month, -i)] || {})) {
+      const sum = (totals[actor] = totals[actor] || { shifts: 0, load: 0, scenarios: {}, tours: {} });
+      sum.shifts += t.shifts;
+      sum.load += t.load;
+      for (const [sc, n] of Object.entries(t.scenarios)) sum.scenarios[sc] = (sum.scenarios[sc] || 0) + n;
+      for (const [id, n] of Object.entries(t.tours)) sum.tours[id] = (sum.tours[id] || 0) + n;
+    }
+  }
+  return totals;
+}
+
+/**
+ * The last time each actor played each scenario in any stored month before `month` — heavy-role
+ * cooldowns and scenario rotation look past the look-back window.
+ *
+ * @returns {Object} { actor: { scenario: "YYYY-MM-DD" } }
+ */
+export function lastPlayed(ledger, month) {
+  const last = {};
+  for (const [id, actors] of Object.entries(ledger)) {
+    if (id >= month) continue;
+    for (const [actor, t] of Object.entries(actors)) {
+      const mine = (last[actor] = last[actor] || {});
+      for (const [sc, date] of Object.entries(t.last || {})) if (!(mine[sc] >= date)) mine[sc] = date;
+    }
+  }
+  return last;
+}
@@ -1,31 +1,73 @@
 // CIT Actor Scheduler — scheduling algorithm, stats, and text generation
 
-export const SLOT_KEYS = ["slot1", "slot2", "slot3"];
-export const SHIFTS = ["AM", "PM"];
+import { DEFAULT_CONFIG } from "./config.js";
 
 // ---------------------------------------------------------------------------
-// Availability Helpers (AM/PM support)
+// Slot Helpers
 // ---------------------------------------------------------------------------
 
 /**
- * Normalize availability value. Handles backward compat: boolean true → "both".
- * @returns {"both"|"am"|"pm"|false}
+ * Returns the configured training slot keys in week order, e.g. ["slot1", "slot2", "slot3"].
+ * Older saved configs have no `slotKeys` — derive them from `slotNames`.
+ * @returns {string[]}
  */
-export function normalizeAvail(val) {
-  if (val === true || val === "both") return "both";
-  if (val === "am") return "am";
-  if (val === "pm") return "pm";
-  return false;
+export function getSlotKeys(config) {
+  if (Array.isArray(config?.slotKeys)) return config.slotKeys;
+  const slotNum = (sk) => parseInt(sk.replace(/\D/g, ""), 10) || 0;
+  return Object.keys(config?.slotNames || DEFAULT_CONFIG.slotNames).sort((a, b) => slotNum(a) - slotNum(b));
+}
+
+// ---------------------------------------------------------------------------
+// Shift Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the configured shift (tour) list.
+ * Older saved configs only have `shiftTimes: { AM, PM }` — those fall back to the
+ * default AM/PM tours, keeping any custom labels.
+ * @returns {Array<{ id: string, label: string, icon: string, start: string, end: string }>}
+ */
+export function getShifts(config) {
+  if (Array.isArray(config?.shifts) && config.shifts.length > 0) return config.shifts;
+  return DEFAULT_CONFIG.shifts.map((sh) => ({
+    ...sh,
+    label: config?.shiftTimes?.[sh.id] || sh.label,
+  }));
+}
+
+/**
+ * Shift ids in display order, e.g. ["AM", "PM"].
+ */
+export function getShiftIds(config) {
+  return getShifts(config).map((sh) => sh.id);
+}
+
+// ---------------------------------------------------------------------------
+// Availability Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize an availability value to the list of shift ids it covers.
+ * Stored values are arrays of shift ids; older records use true / "both" (every
+ * shift), "am" (the AM tour, else the first) and "pm" (the PM tour, else the last).
+ * @param {*} val
+ * @param {Array} shifts - from getShifts(config)
+ * @returns {string[]} empty when unavailable
+ */
+export function normalizeAvail(val, shifts) {
+  const ids = shifts.map((sh) => sh.id);
+  if (val === true || val === "both") return ids;
+  if (val === "am") return ids.includes("AM") ? ["AM"] : ids.slice(0, 1);
+  if (val === "pm") return ids.includes("PM") ? ["PM"] : ids.slice(-1);
+  if (Array.isArray(val)) return ids.filter((id) => val.includes(id));
+  return [];
 }
 
 /**
  * Check if an availability value covers the given shift.
  */
-function isAvailableForShift(availValue, shift) {
-  const norm = normalizeAvail(availValue);
-  if (!norm) return false;
-  if (norm === "both") return true;
-  return (norm === "am" && shift === "AM") || (norm === "pm" && shift === "PM");
+function isAvailableForShift(availValue, shift, shifts) {
+  return normalizeAvail(availValue, shifts).includes(shift);
 }
 
 // ---------------------------------------------------------------------------
@@ -76,11 +118,11 @@ function fmtDateLong(dateStr) {
  *
  * @param {Array} weekDays - array of { date, dayName, dow }
  * @param {Object} config - must have config.defaultDays = { slot1: "Tuesday", ... }
- * @returns {{ slot1: string|null, slot2: string|null, slot3: string|null }}
+ * @returns {Object} - { slot1: string|null, ... } with one entry per configured slot
  */
 export function getDefaultWeekPlan(weekDays, config) {
   const plan = {};
-  for (const slotKey of SLOT_KEYS) {
+  for (const slotKey of getSlotKeys(config)) {
     const targetDay = config.defaultDays[slotKey];
     const match = weekDays.find((wd) => wd.dayName === targetDay);
     plan[slotKey] = match ? match.date : null;
@@ -98,13 +140,58 @@ export function getDefaultWeekPlan(weekDays, config) {
  * @param {Array<Array>} weeks - array of week arrays. Each week = [{ date, dayName, dow }, ...]
  * @param {Object} weekPlans - { week0: { slot1: "2026-03-10", slot2: null, ... }, ... }
  * @param {Object} availability - { "2026-03-10": { "Decatur": true, "Rumi": false, ... }, ... }
- * @param {Object} config - { actors, scenarioActors, slotScenarios, conflicts }
- * @returns {{ schedule: Object, errors: string[] }}
+ * @param {Object} config - { actors, scenarioActors, slotScenarios, conflicts, scenarioLimits, actorConstraints, actorPreferences,
+ *   scenarioWeights, heavyPerWeek, heavyCooldownWeeks, standbyCount, standbyPer }
+ * @param {Object} [options]
+ * @param {Object} [options.fixed] - Locked cells, { "week0|slot1|AM|Jumper": "Rumi" | null }. These are
+ *   kept as-is (null = intentionally left empty) and count toward conflicts and fairness; only the
+ *   remaining cells are solved.
+ * @param {"heuristic"|"optimal"} [options.mode] - "optimal" follows the heuristic with a branch-and-bound
+ *   search that minimizes load deviation and scenario repeats under every strict rule
+ * @param {number} [options.timeLimitMs] - Budget for the optimal search, counted from when it starts after
+ *   the heuristic (default 3000); solver.solveMs still covers the whole run
+ * @param {Function} [options.onProgress] - Called every ~100ms with { phase, relaxLevel?, backtrackCount?, nodes?,
+ *   bestFairness?, elapsedMs }; phase is "search", "fallback" or "optimal"
+ * @param {number} [options.seed] - Controls every tie-break: the order open cells are filled in and the
+ *   order among equally ranked actors. The same seed and inputs always give the same schedule (the
+ *   optimal search can still stop at a different point when it runs out of time); without a seed
+ *   cells go in calendar order and ties alphabetically
+ * @param {Object} [options.history] - Per-actor totals from earlier months ({ actor: { load, scenarios, tours } },
+ *   see windowTotals in ledger.js); the search and fairness swaps balance load against them. The optimal
+ *   search still balances within the month only
+ * @param {Object} [options.lastPlayed] - { actor: { scenario: "YYYY-MM-DD" } }, the last time each actor played
+ *   each scenario in earlier months (see lastPlayed in ledger.js); heavy-role cooldowns and scenario rotation
+ *   carry across the month boundary with it
+ * @param {Function} [options.onBest] - Called with a full result for the best schedule so far — first a
+ *   one-pass greedy fill (gaps and all), then each better complete schedule — so a caller that cancels can keep it
+ * @returns {{ schedule: Object, errors: string[], fairnessReport: Object, solver: Object, provenance: Object, standby: Object }}
+ *   solver (also at fairnessReport.solver) = { mode, status, objective, lowerBound, gap, solveMs, nodes, cooldownRelaxed?, cooldownBreaks? };
+ *   cooldownRelaxed = config.heavyCooldownWeeks had to be given up, cooldownBreaks = how many cells break it
+ *   (validateSchedule lists them);
+ *   provenance = { cellKey: { actor, step, relaxed, ranked, excluded, changes } } — why each cell got its actor;
+ *   standby = { standbyKey: [actor, ...] } — ranked on-call actors per tour or per cell (config.standbyCount)
  */
-export function generateSchedule(weeks, weekPlans, availability, config) {
+export function generateSchedule(weeks, weekPlans, availability, config, options = {}) {
+  const startedAt = Date.now();
   const { scenarioActors, slotScenarios, conflicts } = config;
+  const limits = config.scenarioLimits || [];
+  const slotKeys = getSlotKeys(config);
+  const shifts = getShifts(config);
+  const shiftIds = shifts.map(sh => sh.id);
+  const emptyShiftMap = () => Object.fromEntries(shiftIds.map(id => [id, {}]));
+  const fixed = options.fixed || {};
+
+  // Progress for the generation worker, throttled; phase changes always go through
+  let lastProgressAt = 0;
+  function reportProgress(progress, force) {
+    if (!options.onProgress) return;
+    const now = Date.now();
+    if (!force && now - lastProgressAt < 100) return;
+    lastProgressAt = now;
+    options.onProgress({ ...progress, elapsedMs: now - startedAt });
+  }
 
-  // ── Actor constraints (day-of-week restrictions) ──────────────────────────
+  // ── Actor constraints (days, tours, per-week/month caps, minimums) ────────
   const actorConstraints = config.actorConstraints || {};
   const DAYS_LOOKUP = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
   function getDayName(dateStr) {
@@ -119,18 +206,19 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
     const ewk = `week${ewi}`;
     const ewp = weekPlans[ewk] || getDefaultWeekPlan(weeks[ewi], config);
     if (!ewp) continue;
-    for (const esk of SLOT_KEYS) {
+    for (const esk of slotKeys) {
       const edate = ewp[esk];
       if (!edate) continue;
       const eda = availability[edate] || {};
       const edayName = getDayName(edate);
-      for (const eshift of SHIFTS) {
+      for (const eshift of shiftIds) {
         for (const escenario of slotScenarios[esk] || []) {
           for (const actor of scenarioActors[escenario] || []) {
-            if (!isAvailableForShift(eda[actor], eshift)) continue;
-            // Day-of-week constraint
+            if (!isAvailableForShift(eda[actor], eshift, shifts)) continue;
+            // Day-of-week and tour constraints
             const c = actorConstraints[actor];
             if (c?.allowedDays && !c.allowedDays.includes(edayName)) continue;
+            if (c?.allowedShifts && !c.allowedShifts.includes(eshift)) continue;
             eligibleCount[actor]++;
           }
         }
@@ -146,22 +234,59 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
     const wp = weekPlans[weekKey] || getDefaultWeekPlan(weeks[wi], config);
     if (!wp) continue;
     skeleton[weekKey] = {};
-    for (const slotKey of SLOT_KEYS) {
+    for (const slotKey of slotKeys) {
       const date = wp[slotKey];
       if (!date) { skeleton[weekKey][slotKey] = null; continue; }
-      skeleton[weekKey][slotKey] = { date, AM: {}, PM: {} };
-      for (const shift of SHIFTS) {
+      skeleton[weekKey][slotKey] = { date, ...emptyShiftMap() };
+      for (const shift of shiftIds) {
         for (const scenario of slotScenarios[slotKey] || []) {
           skeleton[weekKey][slotKey][shift][scenario] = null;
-          allSlots.push({ wi, weekKey, slotKey, shift, scenario, date });
+          const key = cellKey(weekKey, slotKey, shift, scenario);
+          const slot = { wi, weekKey, slotKey, shift, scenario, date };
+          if (key in fixed) { slot.locked = true; slot.fixedActor = fixed[key] || null; }
+          allSlots.push(slot);
         }
       }
     }
   }
 
+  // Seeded runs shuffle the cell order and break ties between equally ranked actors by a
+  // shuffled order instead of by name
+  const random = options.seed == null ? null : seededRandom(options.seed);
+  // Only unlocked cells are searched or swapped; locked ones are seeded into every fresh state
+  const unlockedSlots = allSlots.filter(slot => !slot.locked);
+  const openSlots = random ? shuffle(unlockedSlots, random) : unlockedSlots;
+  const lockedSlots = allSlots.filter(slot => slot.locked && slot.fixedActor);
+  // Locked actors may have since been deactivated — still track their usage
+  const trackedActors = [...new Set([...config.actors, ...lockedSlots.map(slot => slot.fixedActor)])];
+  const tieRank = random && Object.fromEntries(shuffle(trackedActors, random).map((a, i) => [a, i]));
+  const tieBreak = (a, b) => (tieRank ? tieRank[a] - tieRank[b] : a.localeCompare(b));
+
   // ── Pre-compute fairness metrics ──────────────────────────────────────────
   const activeActors = config.actors.filter(a => eligibleCount[a] > 0);
   const fairTarget = activeActors.length > 0 ? allSlots.length / activeActors.length : 0;
+  // Balance runs on emotional load (heavy scenarios weigh more than one shift)
+  const weightOf = scenario => scenarioWeight(config, scenario);
+  const totalLoad = allSlots.reduce((sum, slot) => sum + weightOf(slot.scenario), 0);
+  const loadTarget = activeActors.length > 0 ? totalLoad / activeActors.length : 0;
+  const actorPreferences = config.actorPreferences || {};
+  const prefScore = (actor, slot) => (actorPreferences[actor] ? preferenceMatch(slot, actorPreferences[actor]).score : 0);
+  const minShifts = actor => (isCount(actorConstraints[actor]?.minPerMonth) ? actorConstraints[actor].minPerMonth : 0);
+
+  // ── Earlier months (options.history, see ledger.js) ───────────────────────
+  // carry = how far each actor ran above (+) or below (−) the average over the look-back window.
+  // Only half of it is made up this month so one heavy month doesn't flip the next one around.
+  const history = options.history || {};
+  const HISTORY_WEIGHT = 0.5;
+  const priorLoad = actor => history[actor]?.load || 0;
+  const meanPriorLoad = activeActors.length ? activeActors.reduce((sum, a) => sum + priorLoad(a), 0) / activeActors.length : 0;
+  const carry = Object.fromEntries(trackedActors.map(a => [a, HISTORY_WEIGHT * (priorLoad(a) - meanPriorLoad)]));
+  // Load as balanced against everyone else — this month's plus the carry
+  const balanceLoad = (state, actor) => state.load[actor] + carry[actor];
+  const priorScenario = (actor, scenario) => HISTORY_WEIGHT * (history[actor]?.scenarios?.[scenario] || 0);
+  const priorTours = (actor, shift) => history[actor]?.tours?.[shift] || 0;
+  const lastPlayed = options.lastPlayed || {};
+  const hasCooldown = isCount(config.heavyCooldownWeeks) && config.heavyCooldownWeeks > 0;
 
   // ── State management ───────────────────────────────────────────────────────
   function freshState() {
@@ -171,95 +296,180 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
       sched[wk] = {};
       for (const [sk, sv] of Object.entries(wv)) {
         if (!sv) { sched[wk][sk] = null; continue; }
-        sched[wk][sk] = { date: sv.date, AM: { ...sv.AM }, PM: { ...sv.PM } };
+        sched[wk][sk] = { date: sv.date };
+        for (const id of shiftIds) sched[wk][sk][id] = { ...sv[id] };
       }
     }
-    return {
+    const state = {
       schedule: sched,
-      wa: {},  // wa[weekKey][shift][actor] = Set<scenario> — week-level, for conflict rules
+      ac: Object.fromEntries(trackedActors.map(a => [a, []])), // actor → assigned slots, for conflict rules and limits
       da: {},  // da[date][shift][actor] = true — day-level, for "already used in shift" check
-      usageCount: Object.fromEntries(config.actors.map(a => [a, 0])),
-      pmCount: Object.fromEntries(config.actors.map(a => [a, 0])),
-      scenarioUsage: Object.fromEntries(config.actors.map(a => [a, {}])), // actor → { scenario: count }
+      usageCount: Object.fromEntries(trackedActors.map(a => [a, 0])),
+      load: Object.fromEntries(trackedActors.map(a => [a, 0])), // actor → weighted emotional load
+      shiftUsage: Object.fromEntries(trackedActors.map(a => [a, {}])), // actor → { shiftId: count }
+      scenarioUsage: Object.fromEntries(trackedActors.map(a => [a, {}])), // actor → { scenario: count }
+      why: {}, // cellKey → provenance entry (see explainChoice)
       backtrackCount: 0,
     };
+    for (const slot of lockedSlots) {
+      applyAssign(state, slot, slot.fixedActor);
+      state.why[keyOf(slot)] = { actor: slot.fixedActor, step: "locked", relaxed: false, ranked: [], excluded: [], changes: [] };
+    }
+    return state;
   }
 
   function applyAssign(state, slot, actor) {
     const { weekKey, slotKey, shift, scenario, date } = slot;
     state.schedule[weekKey][slotKey][shift][scenario] = actor;
-    // Week-level tracking (for conflict rules)
-    if (!state.wa[weekKey]) state.wa[weekKey] = { AM: {}, PM: {} };
-    const w = state.wa[weekKey];
-    if (!w[shift][actor]) w[shift][actor] = new Set();
-    w[shift][actor].add(scenario);
+    // Per-actor tracking (for conflict rules and limits)
+    state.ac[actor].push(slot);
     // Day-level tracking (for "already used in shift" check)
-    if (!state.da[date]) state.da[date] = { AM: {}, PM: {} };
+    if (!state.da[date]) state.da[date] = emptyShiftMap();
     state.da[date][shift][actor] = true;
     state.usageCount[actor]++;
-    if (shift === 'PM') state.pmCount[actor]++;
+    state.load[actor] += weightOf(scenario);
+    state.shiftUsage[actor][shift] = (state.shiftUsage[actor][shift] || 0) + 1;
     state.scenarioUsage[actor][scenario] = (state.scenarioUsage[actor][scenario] || 0) + 1;
   }
 
   function undoAssign(state, slot, actor) {
     const { weekKey, slotKey, shift, scenario, date } = slot;
     state.schedule[weekKey][slotKey][shift][scenario] = null;
-    // Week-level
-    const w = state.wa[weekKey];
-    w[shift][actor].delete(scenario);
-    if (w[shift][actor].size === 0) delete w[shift][actor];
+    // Per-actor
+    const cells = state.ac[actor];
+    const ci = cells.findIndex(c => c.weekKey === weekKey && c.slotKey === slotKey && c.shift === shift && c.scenario === scenario);
+    if (ci >= 0) cells.splice(ci, 1);
     // Day-level
     if (state.da[date]) delete state.da[date][shift][actor];
     state.usageCount[actor]--;
-    if (shift === 'PM') state.pmCount[actor]--;
+    state.load[actor] -= weightOf(scenario);
+    state.shiftUsage[actor][shift]--;
     state.scenarioUsage[actor][scenario]--;
   }
 
   // ── Candidate filter ────────────────────────────────────────────────────────
-  // relaxLevel: 0=strict (all rules), 1=ignore conflict rules
+  // relaxLevel: 0=strict (all rules), 1=ignore conflict rules, scenario limits and the heavy-role cap.
+  // The heavy-role cooldown is dropped on its own before relaxing anything else (see the search below).
+  let cooldownHolds = true;
   function getEligible(slot, state, relaxLevel) {
-    const { weekKey, shift, scenario, date } = slot;
+    const { shift, scenario, date } = slot;
     const approved = scenarioActors[scenario] || [];
     const dayAvail = availability[date] || {};
-    const d = state.da[date] || { AM: {}, PM: {} };
-    const w = state.wa[weekKey] || { AM: {}, PM: {} };
-    const dayName = getDayName(date);
+    const d = state.da[date] || emptyShiftMap();
     return approved.filter(actor => {
-      // Day-of-week constraint
-      const constraint = actorConstraints[actor];
-      if (constraint?.allowedDays && !constraint.allowedDays.includes(dayName)) return false;
+      // Personal limits (days, tours, no doubles, weekly/monthly caps) hold at every relax level
+      if (findActorLimit(slot, state.ac[actor], actorConstraints[actor])) return false;
       // Must be available for this shift on this date
-      if (!isAvailableForShift(dayAvail[actor], shift)) return false;
+      if (!isAvailableForShift(dayAvail[actor], shift, shifts)) return false;
       // Can't do 2 scenarios on the same day+shift (physically in one room)
       if (d[shift]?.[actor]) return false;
       // Conflict rules (e.g. Jumper+Depression same shift across the week)
-      if (relaxLevel < 1 && hasConflict(actor, scenario, shift, w, conflicts)) return false;
+      if (relaxLevel < 1 && findConflict(slot, state.ac[actor], conflicts)) return false;
+      // Scenario limits (e.g. max 1 Jumper per week)
+      if (relaxLevel < 1 && findLimit(slot, state.ac[actor], limits)) return false;
+      // Heavy-role cap across all heavy scenarios
+      if (relaxLevel < 1 && findHeavyLimit(slot, state.ac[actor], config)) return false;
+      // Weeks off a heavy scenario after playing it, this month or last
+      if (relaxLevel < 1 && cooldownHolds && findCooldown(slot, state.ac[actor], lastPlayed[actor], config)) return false;
       return true;
     });
   }
 
+  // Why an approved actor can't take a cell right now (null when they can)
+  function explainElim(actor, slot, state) {
+    const busy = !!state.da[slot.date]?.[slot.shift]?.[actor];
+    return blockReason(actor, slot, state.ac[actor], availability[slot.date] || {}, busy, config, lastPlayed[actor]);
+  }
+
+  // ── Provenance: why each cell went to its actor ─────────────────────────
+  // state.why[cellKey] = { actor, step, relaxed, ranked: [{ actor, load, carry, played, pref, short, cooling? }],
+  //   excluded: [{ actor, reason }], changes: [{ from, to, reason }] }
+  // step is "locked", "search", "fallback" or "optimal"; ranked is best first at the moment of the pick.
+  const keyOf = slot => cellKey(slot.weekKey, slot.slotKey, slot.shift, slot.scenario);
+
+  function explainChoice(slot, ranked, state, step, relaxLevel) {
+    return {
+      step,
+      relaxed: relaxLevel > 0,
+      ranked: ranked.map(actor => ({
+        actor,
+        load: Math.round(state.load[actor] * 10) / 10,
+        carry: Math.round(carry[actor] * 10) / 10,
+        played: state.scenarioUsage[actor][slot.scenario] || 0,
+        pref: prefScore(actor, slot),
+        short: state.usageCount[actor] < minShifts(actor),
+        ...(hasCooldown && { cooling: !!findCooldown(slot, state.ac[actor], lastPlayed[actor], config) }),
+      })),
+      excluded: (scenarioActors[slot.scenario] || []).filter(actor => !ranked.includes(actor))
+        .map(actor => ({ actor, reason: explainElim(actor, slot, state) || "Not eligible" })),
+      changes: [],
+    };
+  }
+
+  // A post-optimization move or trade; the entry keeps how the cell was first filled
+  function recordChange(state, slot, from, to, reason) {
+    const entry = state.why[keyOf(slot)];
+    if (!entry) return;
+    entry.changes.push({ from, to, reason });
+    entry.actor = to;
+  }
+
+  // For schedules the search didn't build cell by cell (optimal mode): who else could have
+  // taken each cell given the rest of the schedule
+  function explainFinal(state) {
+    for (const slot of openSlots) {
+      const actor = state.schedule[slot.weekKey]?.[slot.slotKey]?.[slot.shift]?.[slot.scenario];
+      if (!actor) continue;
+      undoAssign(state, slot, actor);
+      const entry = explainChoice(slot, rankCandidates(getEligible(slot, state, 0), slot, state), state, "optimal", 0);
+      applyAssign(state, slot, actor);
+      state.why[keyOf(slot)] = { actor, ...entry };
+    }
+    return state.why;
+  }
+
   // Diversity-aware ranking: balances workload AND spreads scenarios for emotional well-being
   // Soft cap: actors above this are deprioritized (not blocked)
-  const softCap = Math.ceil(fairTarget) + 1;
-
-  function rankCandidates(candidates, shift, state, scenario) {
+  const softCap = Math.ceil(loadTarget) + 1;
+  // How many shifts of workload one point of preference is worth when ranking
+  const PREFERENCE_WEIGHT = 0.5;
+
+  function rankCandidates(candidates, slot, state) {
+    const { scenario, shift } = slot;
+    // Once the cooldown has been given up as a rule it still steers who's picked
+    const cooling = new Set(hasCooldown ? candidates.filter(actor => findCooldown(slot, state.ac[actor], lastPlayed[actor], config)) : []);
     return [...candidates].sort((a, b) => {
+      // 0. Actors still short of their monthly minimum come first
+      const aShort = state.usageCount[a] < minShifts(a) ? 0 : 1;
+      const bShort = state.usageCount[b] < minShifts(b) ? 0 : 1;
+      if (aShort !== bShort) return aShort - bShort;
+      // 0b. Actors inside a heavy-role cooldown go last
+      const coolDiff = cooling.has(a) - cooling.has(b);
+      if (coolDiff !== 0) return coolDiff;
       // 1. Strongly prefer actors under the soft cap over those above it
-      const aOver = state.usageCount[a] >= softCap ? 1 : 0;
-      const bOver = state.usageCount[b] >= softCap ? 1 : 0;
+      const aOver = balanceLoad(state, a) >= softCap ? 1 : 0;
+      const bOver = balanceLoad(state, b) >= softCap ? 1 : 0;
       if (aOver !== bOver) return aOver - bOver;
-      // 2. Fewer current assignments → first (primary balance driver)
-      const usageDiff = state.usageCount[a] - state.usageCount[b];
+      // 2. Lower emotional load (including carry from earlier months) → first (primary balance
+      //    driver), nudged by soft preferences
+      const usageDiff = (balanceLoad(state, a) - PREFERENCE_WEIGHT * prefScore(a, slot)) - (balanceLoad(state, b) - PREFERENCE_WEIGHT * prefScore(b, slot));
       if (usageDiff !== 0) return usageDiff;
-      // 3. Scenario rotation: fewer times playing THIS scenario → first
-      const aScen = state.scenarioUsage[a]?.[scenario] || 0;
-      const bScen = state.scenarioUsage[b]?.[scenario] || 0;
+      // 3. Scenario rotation: fewer times playing THIS scenario (this month and, half-weighted, earlier) → first
+      const aScen = (state.scenarioUsage[a]?.[scenario] || 0) + priorScenario(a, scenario);
+      const bScen = (state.scenarioUsage[b]?.[scenario] || 0) + priorScenario(b, scenario);
       if (aScen !== bScen) return aScen - bScen;
+      // 3b. Fewer of this tour (e.g. PM) in earlier months → first
+      const tourDiff = priorTours(a, shift) - priorTours(b, shift);
+      if (tourDiff !== 0) return tourDiff;
+      // 3c. Rotation: longer since last playing this scenario in an earlier month (or never) → first
+      const aLast = lastPlayed[a]?.[scenario] || "";
+      const bLast = lastPlayed[b]?.[scenario] || "";
+      if (aLast !== bLast) return aLast.localeCompare(bLast);
       // 4. Fewer eligible slots → first (structural fairness for constrained actors)
       const oppDiff = eligibleCount[a] - eligibleCount[b];
       if (oppDiff !== 0) return oppDiff;
-      // 5. Stable tie-break
-      return a.localeCompare(b);
+      // 5. Stable tie-break (seeded when options.seed is set)
+      return tieBreak(a, b);
     });
   }
 
@@ -267,6 +477,7 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
   function backtrack(slots, idx, state, relaxLevel) {
     if (idx === slots.length) return true;
     if (++state.backtrackCount > 50000) return false;
+    if (state.backtrackCount % 500 === 0) reportProgress({ phase: "search", relaxLevel, backtrackCount: state.backtrackCount, bestFairness: fillFairness });
 
     // MRV: swap the slot with the fewest eligible candidates to current position
     // Tie-break: prefer slots whose eligible actors have lower avg opportunity score
@@ -283,14 +494,16 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
     [slots[idx], slots[mrvIdx]] = [slots[mrvIdx], slots[idx]];
     const slot = slots[idx];
 
-    const candidates = rankCandidates(getEligible(slot, state, relaxLevel), slot.shift, state, slot.scenario);
+    const candidates = rankCandidates(getEligible(slot, state, relaxLevel), slot, state);
     if (candidates.length === 0) {
       [slots[idx], slots[mrvIdx]] = [slots[mrvIdx], slots[idx]]; // swap back
       return false;
     }
 
+    const why = explainChoice(slot, candidates, state, "search", relaxLevel);
     for (const actor of candidates) {
       applyAssign(state, slot, actor);
+      state.why[keyOf(slot)] = { actor, ...why, changes: [] };
       // Forward check: no remaining slot should drop to 0 eligible candidates
       let ok = true;
       for (let i = idx + 1; i < slots.length; i++) {
@@ -309,14 +522,27 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
     const totalScenarios = Object.keys(scenarioActors).length;
     const report = {
       fairTarget: Math.round(fairTarget * 10) / 10,
+      loadTarget: Math.round(loadTarget * 10) / 10,
       totalSlots: allSlots.length,
       actors: {},
       overallFairness: 0,
     };
     let totalDev = 0;
+    const honoredTotal = { honored: 0, total: 0 };
     for (const actor of config.actors) {
       const usage = state.usageCount[actor];
-      const gap = Math.round((usage - fairTarget) * 10) / 10;
+      const preferences = { honored: 0, total: 0 };
+      if (actorPreferences[actor]) {
+        for (const cell of state.ac[actor]) {
+          const m = preferenceMatch(cell, actorPreferences[actor]);
+          preferences.honored += m.honored;
+          preferences.total += m.total;
+        }
+        honoredTotal.honored += preferences.honored;
+        honoredTotal.total += preferences.total;
+      }
+      const load = Math.round(state.load[actor] * 10) / 10;
+      const gap = Math.round((state.load[actor] - loadTarget) * 10) / 10;
       const absGap = Math.abs(gap);
       totalDev += absGap;
       let gapCategory = 'fair';
@@ -341,33 +567,83 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
         gapCategory = 'over';
         gapExplanation = 'Above target to cover scenario needs';
       }
+      // A deliberate catch-up against earlier months rather than a scheduling gap
+      const earlier = Math.round((priorLoad(actor) - meanPriorLoad) * 10) / 10;
+      if (Math.abs(gap) > 1.5 && gap * earlier < 0) {
+        gapExplanation = earlier > 0
+          ? `Lighter month — ${earlier} above average over earlier months`
+          : `Heavier month — ${-earlier} below average over earlier months`;
+      }
       report.actors[actor] = {
         assigned: usage,
-        target: report.fairTarget,
+        load,
+        target: report.loadTarget, // weighted load, the same units as gap
         gap,
         gapCategory,
         gapExplanation,
+        carry: Math.round(carry[actor] * 10) / 10,
         scenarioCount: Object.entries(scenarioActors)
           .filter(([, a]) => a.includes(actor)).length,
         eligibleSlots: eligibleCount[actor],
+        preferences,
       };
     }
-    const maxDev = allSlots.length || 1;
+    const maxDev = totalLoad || 1;
     report.overallFairness = Math.round((1 - totalDev / maxDev) * 100);
+    report.preferences = honoredTotal;
+    // Monthly minimums that couldn't be met (not enough availability or eligible cells)
+    report.minShortfalls = trackedActors
+      .filter(actor => state.usageCount[actor] < minShifts(actor))
+      .map(actor => ({ actor, min: minShifts(actor), assigned: state.usageCount[actor] }));
     return report;
   }
 
+  // A two-way trade moves load between the actors when the scenarios weigh differently;
+  // allow it only if their loads don't drift further apart
+  function tradeKeepsBalance(state, actorA, slotA, actorB, slotB) {
+    const shift = weightOf(slotB.scenario) - weightOf(slotA.scenario);
+    const before = balanceLoad(state, actorA) - balanceLoad(state, actorB);
+    return Math.abs(before + 2 * shift) <= Math.abs(before);
+  }
+
   // ── Post-optimization: fairness + scenario diversity ────────────────────
   function optimizeFairness(state, relaxLevel) {
+    // Pass 0: move cells to actors below their monthly minimum from anyone above theirs
+    for (let iter = 0; iter < 200; iter++) {
+      let moved = false;
+      for (const shortActor of trackedActors) {
+        if (state.usageCount[shortActor] >= minShifts(shortActor)) continue;
+        for (const slot of openSlots) {
+          const cur = state.schedule[slot.weekKey]?.[slot.slotKey]?.[slot.shift]?.[slot.scenario];
+          if (!cur || cur === shortActor || state.usageCount[cur] <= minShifts(cur)) continue;
+          undoAssign(state, slot, cur);
+          if (getEligible(slot, state, relaxLevel).includes(shortActor)) {
+            applyAssign(state, slot, shortActor);
+            recordChange(state, slot, cur, shortActor, `Moved to ${shortActor} to reach their monthly minimum`);
+            moved = true;
+            break;
+          }
+          applyAssign(state, slot, cur);
+        }
+        if (moved) break;
+      }
+      if (!moved) break;
+    }
+
     // Pass 1: fairness swaps with diversity guard
     for (let iter = 0; iter < 200; iter++) {
       let swapped = false;
-      const sorted = [...config.actors].sort((a, b) => state.usageCount[a] - state.usageCount[b]);
+      // Balances on the same carried-over load as rankCandidates, so it doesn't undo it
+      const sorted = [...config.actors].sort((a, b) => balanceLoad(state, a) - balanceLoad(state, b) || tieBreak(a, b));
       for (const underActor of sorted) {
-        if (state.usageCount[underActor] >= fairTarget) break;
-        for (const slot of allSlots) {
+        if (balanceLoad(state, underActor) >= loadTarget) break;
+        for (const slot of openSlots) {
           const cur = state.schedule[slot.weekKey]?.[slot.slotKey]?.[slot.shift]?.[slot.scenario];
-          if (!cur || state.usageCount[cur] <= state.usageCount[underActor] + 1) continue;
+          // Only move a cell when it narrows the load gap between the two actors
+          if (!cur || balanceLoad(state, cur) - balanceLoad(state, underActor) <= weightOf(slot.scenario)) continue;
+          if (state.usageCount[cur] <= minShifts(cur)) continue;
+          // Don't even out counts by handing someone a scenario they asked to avoid
+          if (prefScore(underActor, slot) < 0 && prefScore(cur, slot) >= 0) continue;
           const curScenBefore = state.scenarioUsage[cur]?.[slot.scenario] || 0;
           undoAssign(state, slot, cur);
           if (getEligible(slot, state, relaxLevel).includes(underActor)) {
@@ -379,6 +655,7 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
               continue;
             }
             applyAssign(state, slot, underActor);
+            recordChange(state, slot, cur, underActor, `Moved to ${underActor} to even out load`);
             swapped = true;
             break;
           }
@@ -393,51 +670,96 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
     // If actor A is stuck playing the same scenario repeatedly, find actor B on a
     // different scenario where A and B can trade. Both keep their total count but
     // gain variety. This matters because these are emotionally heavy roles.
+    // Concentration counts earlier months too (half-weighted, as in rankCandidates), so
+    // someone who played a scenario all last month hands it on this month.
+    const concentration = (actor, sc) => (state.scenarioUsage[actor]?.[sc] || 0) + priorScenario(actor, sc);
     for (let iter = 0; iter < 300; iter++) {
       let swapped = false;
 
-      // Find the actor with highest scenario concentration
-      let worstActor = null, worstScenario = null, worstCount = 1;
+      // Most concentrated first; an actor/scenario nobody can trade out of doesn't stop the rest
+      const concentrated = [];
       for (const actor of config.actors) {
-        for (const [sc, c] of Object.entries(state.scenarioUsage[actor] || {})) {
-          if (c > worstCount || (c === worstCount && (!worstActor || actor < worstActor))) {
-            worstCount = c; worstActor = actor; worstScenario = sc;
-          }
+        for (const sc of Object.keys(state.scenarioUsage[actor] || {})) {
+          const count = concentration(actor, sc);
+          if (count > 1 && state.scenarioUsage[actor][sc] > 0) concentrated.push({ actor, sc, count });
         }
       }
-      if (!worstActor) break; // all concentrations <= 1, nothing to improve
+      if (!concentrated.length) break; // all concentrations <= 1, nothing to improve
+      concentrated.sort((a, b) => b.count - a.count || tieBreak(a.actor, b.actor));
+
+      for (const { actor: worstActor, sc: worstScenario, count: worstCount } of concentrated) {
+        // Find a slot where worstActor plays their over-concentrated scenario
+        for (const slotA of openSlots) {
+          if (slotA.scenario !== worstScenario) continue;
+          if (state.schedule[slotA.weekKey]?.[slotA.slotKey]?.[slotA.shift]?.[slotA.scenario] !== worstActor) continue;
+
+          // Look for a two-way swap with another actor on a different scenario
+          for (const slotB of openSlots) {
+            if (slotB.scenario === worstScenario) continue;
+            const actorB = state.schedule[slotB.weekKey]?.[slotB.slotKey]?.[slotB.shift]?.[slotB.scenario];
+            if (!actorB || actorB === worstActor) continue;
+
+            // Don't just shift the concentration problem to actorB
+            if (concentration(actorB, worstScenario) >= worstCount - 1) continue;
+            if (!tradeKeepsBalance(state, worstActor, slotA, actorB, slotB)) continue;
+
+            // Try the swap: A takes B's scenario, B takes A's scenario
+            undoAssign(state, slotA, worstActor);
+            undoAssign(state, slotB, actorB);
+
+            const aCanDoB = getEligible(slotB, state, relaxLevel).includes(worstActor);
+            const bCanDoA = getEligible(slotA, state, relaxLevel).includes(actorB);
+
+            if (aCanDoB && bCanDoA) {
+              applyAssign(state, slotA, actorB);
+              applyAssign(state, slotB, worstActor);
+              recordChange(state, slotA, worstActor, actorB, `Traded so ${worstActor} plays ${worstScenario} less often`);
+              recordChange(state, slotB, actorB, worstActor, `Traded so ${worstActor} plays ${worstScenario} less often`);
+              swapped = true;
+              break;
+            }
 
-      // Find a slot where worstActor plays their over-concentrated scenario
-      for (const slotA of allSlots) {
-        if (slotA.scenario !== worstScenario) continue;
-        if (state.schedule[slotA.weekKey]?.[slotA.slotKey]?.[slotA.shift]?.[slotA.scenario] !== worstActor) continue;
+            // Restore if swap wasn't possible
+            applyAssign(state, slotA, worstActor);
+            applyAssign(state, slotB, actorB);
+          }
+          if (swapped) break;
+        }
+        if (swapped) break;
+      }
+      if (!swapped) break;
+    }
 
-        // Look for a two-way swap with another actor on a different scenario
-        for (const slotB of allSlots) {
-          if (slotB.scenario === worstScenario) continue;
+    // Pass 3: soft preferences — two-way trades that suit both actors better overall.
+    // Counts stay the same; a trade is skipped if it would concentrate either actor on a scenario.
+    if (Object.keys(actorPreferences).length === 0) return;
+    for (let iter = 0; iter < 200; iter++) {
+      let swapped = false;
+      for (const slotA of openSlots) {
+        const actorA = state.schedule[slotA.weekKey]?.[slotA.slotKey]?.[slotA.shift]?.[slotA.scenario];
+        if (!actorA) continue;
+        for (const slotB of openSlots) {
           const actorB = state.schedule[slotB.weekKey]?.[slotB.slotKey]?.[slotB.shift]?.[slotB.scenario];
-          if (!actorB || actorB === worstActor) continue;
-
-          // Don't just shift the concentration problem to actorB
-          const bCountOfWorst = state.scenarioUsage[actorB]?.[worstScenario] || 0;
-          if (bCountOfWorst >= worstCount - 1) continue;
-
-          // Try the swap: A takes B's scenario, B takes A's scenario
-          undoAssign(state, slotA, worstActor);
+          if (!actorB || actorB === actorA) continue;
+          const gain = prefScore(actorA, slotB) + prefScore(actorB, slotA) - prefScore(actorA, slotA) - prefScore(actorB, slotB);
+          if (gain <= 0 || !tradeKeepsBalance(state, actorA, slotA, actorB, slotB)) continue;
+          if (slotA.scenario !== slotB.scenario &&
+            ((state.scenarioUsage[actorA][slotB.scenario] || 0) >= (state.scenarioUsage[actorB][slotB.scenario] || 0) ||
+             (state.scenarioUsage[actorB][slotA.scenario] || 0) >= (state.scenarioUsage[actorA][slotA.scenario] || 0))) continue;
+
+          undoAssign(state, slotA, actorA);
           undoAssign(state, slotB, actorB);
-
-          const aCanDoB = getEligible(slotB, state, relaxLevel).includes(worstActor);
+          const aCanDoB = getEligible(slotB, state, relaxLevel).includes(actorA);
           const bCanDoA = getEligible(slotA, state, relaxLevel).includes(actorB);
-
           if (aCanDoB && bCanDoA) {
             applyAssign(state, slotA, actorB);
-            applyAssign(state, slotB, worstActor);
+            applyAssign(state, slotB, actorA);
+            recordChange(state, slotA, actorA, actorB, `Traded with ${actorA} to suit both actors' preferences`);
+            recordChange(state, slotB, actorB, actorA, `Traded with ${actorB} to suit both actors' preferences`);
             swapped = true;
             break;
           }
-
-          // Restore if swap wasn't possible
-          applyAssign(state, slotA, worstActor);
+          applyAssign(state, slotA, actorA);
           applyAssign(state, slotB, actorB);
         }
         if (swapped) break;
@@ -446,121 +768,1216 @@ export function generateSchedule(weeks, weekPlans, availability, config) {
     }
   }
 
-  // ── Try backtracking at each relaxation level ─────────────────────────────
-  // Level 0: all rules enforced. Level 1: ignore conflict rules.
-  for (let relaxLevel = 0; relaxLevel <= 1; relaxLevel++) {
-    const state = freshState();
-    if (backtrack([...allSlots], 0, state, relaxLevel)) {
-      optimizeFairness(state, relaxLevel);
-      return { schedule: state.schedule, errors: [], fairnessReport: buildFairnessReport(state) };
+  // ── Standby (on-call) actors ────────────────────────────────────────────
+  // config.standbyCount ranked backups per tour (standbyPer "shift") or per scenario ("scenario").
+  // A standby is approved and available, within their personal limits if called in, and not
+  // already playing that tour. Duty is spread by standby count, then toward actors with less load.
+  const standbyCount = isCount(config.standbyCount) ? config.standbyCount : 0;
+  const perScenario = config.standbyPer === "scenario";
+  const tours = new Map(); // "weekKey|slotKey|shift" → cells of that tour
+  for (const slot of allSlots) {
+    const key = standbyKey(slot.weekKey, slot.slotKey, slot.shift);
+    if (!tours.has(key)) tours.set(key, []);
+    tours.get(key).push(slot);
+  }
+
+  function assignStandby(state) {
+    const standby = {};
+    if (!standbyCount) return standby;
+    const duty = Object.fromEntries(trackedActors.map(a => [a, 0]));
+    const canCover = (actor, slot) => (scenarioActors[slot.scenario] || []).includes(actor) &&
+      isAvailableForShift((availability[slot.date] || {})[actor], slot.shift, shifts) &&
+      !findActorLimit(slot, state.ac[actor], actorConstraints[actor]);
+    const pick = (pool, count, extra = () => 0) => [...pool]
+      .sort((a, b) => duty[a] - duty[b] || extra(a, b) || state.load[a] - state.load[b] || tieBreak(a, b))
+      .slice(0, count);
+    for (const [key, cells] of tours) {
+      const playing = state.da[cells[0].date]?.[cells[0].shift] || {};
+      const free = config.actors.filter(a => !playing[a]);
+      if (perScenario) {
+        const onCall = new Set();
+        for (const slot of cells) {
+          const chosen = pick(free.filter(a => !onCall.has(a) && canCover(a, slot)), standbyCount);
+          chosen.forEach(a => { onCall.add(a); duty[a]++; });
+          if (chosen.length) standby[keyOf(slot)] = chosen;
+        }
+      } else {
+        // Per tour, prefer whoever could step into the most of its scenarios
+        const coverage = Object.fromEntries(free.map(a => [a, cells.filter(slot => canCover(a, slot)).length]));
+        const chosen = pick(free.filter(a => coverage[a] > 0), standbyCount, (a, b) => coverage[b] - coverage[a]);
+        chosen.forEach(a => { duty[a]++; });
+        if (chosen.length) standby[key] = chosen;
+      }
     }
+    return standby;
   }
 
-  // ── Greedy fallback: runs when pool is genuinely too thin ─────────────────
-  // Fills what it can with strict constraints; builds rich diagnostics for gaps.
-  function explainElim(actor, slot, state) {
-    const { weekKey, shift, scenario, date } = slot;
-    const dayAvail = availability[date] || {};
-    const d = state.da[date] || { AM: {}, PM: {} };
-    const w = state.wa[weekKey] || { AM: {}, PM: {} };
-    if (!isAvailableForShift(dayAvail[actor], shift)) {
-      const norm = normalizeAvail(dayAvail[actor]);
-      return norm
-        ? `Only available ${norm === 'am' ? 'AM' : 'PM'} on ${fmtDateShort(date)}`
-        : `Not marked available on ${fmtDateShort(date)}`;
+  // Everything a run hands back for a finished state
+  function resultOf(state, errors, solver, provenance = state.why) {
+    // The cooldown is given up when no schedule keeps it (and the optimal search doesn't know it) —
+    // say so rather than pass for a schedule that keeps it
+    const cooldownBreaks = hasCooldown ? countCooldownBreaks(state.schedule) : 0;
+    if (cooldownBreaks) solver = { ...solver, cooldownRelaxed: true, cooldownBreaks };
+    return {
+      schedule: state.schedule, errors, fairnessReport: { ...buildFairnessReport(state), solver }, solver,
+      provenance, standby: assignStandby(state),
+    };
+  }
+
+  // Cells whose actor played the same heavy scenario too recently before them, this month or earlier
+  // (the later cell of each pair, as validateSchedule counts them)
+  function countCooldownBreaks(schedule) {
+    const cells = flattenSchedule(schedule);
+    return cells.filter((cell, i) => findCooldown(cell, cells.filter((c, j) => c.actor === cell.actor &&
+      (c.date < cell.date || (c.date === cell.date && j < i))), lastPlayed[cell.actor], config)).length;
+  }
+
+  // ── Optimal mode: branch-and-bound over the open cells ──────────────────
+  // Objective: total |load − target| over schedulable actors, plus one point per scenario repeat
+  // and a heavy penalty per missed monthly minimum. Only complete schedules under every strict
+  // rule (relax level 0) count as solutions. Preferences break ties in the search order only.
+  const REPEAT_WEIGHT = 1;
+  const MIN_SHORTFALL_WEIGHT = 10;
+  // Loads are sums of scenario weights, so each one lands on a multiple of this step
+  const weightValues = [...new Set(allSlots.map(slot => weightOf(slot.scenario)))];
+  const loadStep = weightValues.reduce((g, w) => gcd(g, Math.round(w * 100)), 0) / 100 || 1;
+  const maxWeight = Math.max(1, ...weightValues);
+
+  function objective(state) {
+    let cost = 0;
+    for (const actor of activeActors) {
+      cost += Math.abs(state.load[actor] - loadTarget);
+      cost += MIN_SHORTFALL_WEIGHT * Math.max(0, minShifts(actor) - state.usageCount[actor]);
     }
-    if (d[shift]?.[actor]) {
-      return `Already used in ${shift} on ${fmtDateShort(date)}`;
+    for (const actor of trackedActors) {
+      for (const count of Object.values(state.scenarioUsage[actor])) cost += REPEAT_WEIGHT * Math.max(0, count - 1);
     }
-    if (hasConflict(actor, scenario, shift, w, conflicts)) return `Conflict rule with already-assigned scenario`;
-    return null;
+    return cost;
   }
 
-  const fbState = freshState();
-  const errors = [];
+  function solveOptimal(incumbent) {
+    // The budget is the search's own — the heuristic run before it doesn't eat into it
+    const deadline = Date.now() + (options.timeLimitMs ?? 3000);
+    const slots = [...openSlots];
+    const state = freshState();
+    // Eligibility that doesn't depend on other assignments — bounds what an actor can still pick up
+    const staticEligible = new Map(slots.map(slot => [slot, (scenarioActors[slot.scenario] || []).filter(actor =>
+      isAvailableForShift((availability[slot.date] || {})[actor], slot.shift, shifts) && !findActorLimit(slot, [], actorConstraints[actor]))]));
+    const activeSet = new Set(activeActors);
+    const capacity = Object.fromEntries(trackedActors.map(a => [a, 0]));
+    const remaining = Object.fromEntries(trackedActors.map(a => [a, {}])); // actor → { scenario: open cells they could take }
+    let remainingLoad = 0, remainingCells = slots.length;
+    for (const slot of slots) {
+      remainingLoad += weightOf(slot.scenario);
+      for (const actor of staticEligible.get(slot)) {
+        capacity[actor] += weightOf(slot.scenario);
+        remaining[actor][slot.scenario] = (remaining[actor][slot.scenario] || 0) + 1;
+      }
+    }
+    function claim(slot, sign) {
+      const w = weightOf(slot.scenario);
+      remainingLoad -= sign * w;
+      remainingCells -= sign;
+      for (const actor of staticEligible.get(slot)) {
+        capacity[actor] -= sign * w;
+        remaining[actor][slot.scenario] -= sign;
+      }
+    }
 
-  for (let wi = 0; wi < weeks.length; wi++) {
-    const weekKey = `week${wi}`;
-    const wp = weekPlans[weekKey] || getDefaultWeekPlan(weeks[wi], config);
-    if (!wp) continue;
-    for (const slotKey of SLOT_KEYS) {
-      const date = wp[slotKey];
-      if (!date) continue;
-      const dayAvail = availability[date] || {};
-      for (const shift of SHIFTS) {
-        const scenarioOrder = [...(slotScenarios[slotKey] || [])].sort((a, b) =>
-          candidateCount(a, dayAvail, scenarioActors, shift) -
-          candidateCount(b, dayAvail, scenarioActors, shift)
-        );
-        for (const scenario of scenarioOrder) {
-          const slot = { wi, weekKey, slotKey, shift, scenario, date };
-          const candidates = rankCandidates(getEligible(slot, fbState, 0), shift, fbState, scenario);
-          if (candidates.length === 0) {
-            const approved = scenarioActors[scenario] || [];
-            const eliminations = approved.flatMap(actor => {
-              const r = explainElim(actor, slot, fbState);
-              return r ? [{ actor, reason: r }] : [];
-            });
-            const filledCount = approved.length - eliminations.length;
-            errors.push({
-              slot: `Wk${wi + 1} ${fmtDateShort(date)} ${shift}`,
-              scenario, shift, date, weekKey, slotKey,
-              approvedActors: approved,
-              eliminations,
-              suggestion: filledCount === 0
-                ? `All ${approved.length} approved actor${approved.length !== 1 ? 's' : ''} blocked. Approve more actors for ${scenario} or adjust availability.`
-                : `${filledCount} actor${filledCount !== 1 ? 's' : ''} eligible but already placed this shift. Approve more actors for ${scenario}.`,
-            });
-            continue;
+    // Relaxation: hand out the remaining load (or cells) one step at a time to whichever actor it costs
+    // least. Each actor's cost is convex in what they hold, so the greedy split is optimal for the relaxation.
+    function allocate(pool, units, step, cost) {
+      const held = pool.map(a => a.from);
+      for (; units > 0; units--) {
+        let pick = -1, pickDelta = Infinity;
+        pool.forEach((a, k) => {
+          if (held[k] + step > a.to + 1e-9) return;
+          const d = cost(a, held[k] + step) - cost(a, held[k]);
+          if (d < pickDelta) { pickDelta = d; pick = k; }
+        });
+        if (pick < 0) return Infinity; // not enough eligible actors left to fill every cell
+        held[pick] += step;
+      }
+      return pool.reduce((sum, a, k) => sum + cost(a, held[k]), 0);
+    }
+
+    // Load deviation and repeats are bounded both jointly (repeats forced once an actor holds more cells
+    // than distinct scenarios they can still play, counting cells as load / heaviest weight) and
+    // separately (load split and cell split on their own); either sum is a valid bound.
+    function lowerBound() {
+      let fixedRepeats = 0;
+      const pool = [];
+      for (const actor of trackedActors) {
+        let repeats = 0, cells = 0, open = 0;
+        const seen = new Set();
+        for (const [sc, count] of Object.entries(state.scenarioUsage[actor])) {
+          repeats += Math.max(0, count - 1);
+          cells += count;
+          if (count > 0) seen.add(sc);
+        }
+        if (!activeSet.has(actor)) { fixedRepeats += repeats; continue; }
+        for (const [sc, count] of Object.entries(remaining[actor])) {
+          if (count > 0) seen.add(sc);
+          open += count;
+        }
+        pool.push({ load: state.load[actor], capacity: capacity[actor], cells, open, repeats, distinct: seen.size });
+      }
+
+      const units = Math.round(remainingLoad / loadStep);
+      const byLoad = pool.map(a => ({ ...a, from: a.load, to: a.load + a.capacity }));
+      const joint = allocate(byLoad, units, loadStep, (a, load) =>
+        Math.abs(load - loadTarget) + REPEAT_WEIGHT * Math.max(a.repeats, load / maxWeight - a.distinct));
+      if (joint === Infinity || maxWeight === loadStep) return joint + REPEAT_WEIGHT * fixedRepeats;
+      const deviation = allocate(byLoad, units, loadStep, (a, load) => Math.abs(load - loadTarget));
+      const repeats = allocate(pool.map(a => ({ ...a, from: a.cells, to: a.cells + a.open })), remainingCells, 1, (a, cells) =>
+        Math.max(a.repeats, cells - a.distinct));
+      return Math.max(joint, deviation + REPEAT_WEIGHT * repeats) + REPEAT_WEIGHT * fixedRepeats;
+    }
+
+    let best = incumbent ? { cost: objective(incumbent), assign: openSlots.map(slot => [slot, incumbent.schedule[slot.weekKey][slot.slotKey][slot.shift][slot.scenario]]) } : null;
+    const rootBound = lowerBound();
+    let nodes = 0, timedOut = false;
+    let bestFairness = incumbent ? buildFairnessReport(incumbent).overallFairness : fillFairness;
+    let unsentBest = false, lastBestAt = 0;
+
+    function stateFrom(assign) {
+      const solved = freshState();
+      for (const [slot, actor] of assign) if (actor) applyAssign(solved, slot, actor);
+      return solved;
+    }
+    function stats(status, bound) {
+      return {
+        mode: "optimal", status, solveMs: Date.now() - startedAt, nodes,
+        objective: Math.round(best.cost * 100) / 100,
+        lowerBound: Math.round(bound * 100) / 100,
+        gap: best.cost > 0 ? Math.round(((best.cost - bound) / best.cost) * 1000) / 10 : 0,
+      };
+    }
+    // Hands the latest incumbent to onBest at most twice a second
+    function checkIn() {
+      const now = Date.now();
+      if (now > deadline) { timedOut = true; return; }
+      if (unsentBest && options.onBest && now - lastBestAt >= 500) {
+        const solved = stateFrom(best.assign);
+        const result = resultOf(solved, [], stats("bounded", Math.min(rootBound, best.cost)), explainFinal(solved));
+        bestFairness = result.fairnessReport.overallFairness;
+        options.onBest(result);
+        unsentBest = false;
+        lastBestAt = now;
+      }
+      reportProgress({ phase: "optimal", nodes, bestFairness });
+    }
+
+    function search(idx) {
+      if (timedOut) return;
+      if (++nodes % 256 === 0) { checkIn(); if (timedOut) return; }
+      if (idx === slots.length) {
+        const cost = objective(state);
+        if (!best || cost < best.cost - 1e-9) {
+          best = { cost, assign: slots.map(slot => [slot, state.schedule[slot.weekKey][slot.slotKey][slot.shift][slot.scenario]]) };
+          unsentBest = true;
+        }
+        return;
+      }
+      if (best && lowerBound() >= best.cost - 1e-9) return;
+
+      let mrvIdx = idx, mrvEligible = null;
+      for (let i = idx; i < slots.length; i++) {
+        const eligible = getEligible(slots[i], state, 0);
+        if (!mrvEligible || eligible.length < mrvEligible.length) { mrvEligible = eligible; mrvIdx = i; }
+        if (eligible.length === 0) return;
+      }
+      [slots[idx], slots[mrvIdx]] = [slots[mrvIdx], slots[idx]];
+      const slot = slots[idx];
+      const w = weightOf(slot.scenario);
+      const delta = actor => Math.abs(state.load[actor] + w - loadTarget) - Math.abs(state.load[actor] - loadTarget)
+        + REPEAT_WEIGHT * ((state.scenarioUsage[actor][slot.scenario] || 0) > 0 ? 1 : 0);
+      const candidates = [...mrvEligible].sort((a, b) => delta(a) - delta(b) || prefScore(b, slot) - prefScore(a, slot) || tieBreak(a, b));
+
+      claim(slot, 1);
+      for (const actor of candidates) {
+        applyAssign(state, slot, actor);
+        search(idx + 1);
+        undoAssign(state, slot, actor);
+        if (timedOut) break;
+      }
+      claim(slot, -1);
+      [slots[idx], slots[mrvIdx]] = [slots[mrvIdx], slots[idx]];
+    }
+    reportProgress({ phase: "optimal", nodes, bestFairness }, true);
+    search(0);
+
+    if (!best) return { state: null, solver: { mode: "optimal", status: timedOut ? "timeout" : "infeasible", solveMs: Date.now() - startedAt, nodes } };
+    return {
+      state: stateFrom(best.assign),
+      solver: timedOut ? stats("bounded", Math.min(rootBound, best.cost)) : stats("optimal", best.cost),
+    };
+  }
+
+  // Wraps up a heuristic result, replacing it with the optimal search's when that mode is on
+  function finish(state, errors, relaxLevel) {
+    if (options.mode === "optimal") {
+      if (options.onBest && errors.length === 0) {
+        options.onBest(resultOf(state, errors, { mode: "heuristic", solveMs: Date.now() - startedAt }));
+      }
+      const { state: solved, solver } = solveOptimal(relaxLevel === 0 && errors.length === 0 ? state : null);
+      if (solved) return resultOf(solved, [], solver, explainFinal(solved));
+      return resultOf(state, errors, solver);
+    }
+    return resultOf(state, errors, { mode: "heuristic", solveMs: Date.now() - startedAt });
+  }
+
+  // ── Greedy fill: one pass, no backtracking ────────────────────────────────
+  // Fills what it can with strict constraints (bar the cooldown); builds rich diagnostics for gaps.
+  function greedyFill() {
+    const fbState = freshState();
+    const errors = [];
+
+    for (let wi = 0; wi < weeks.length; wi++) {
+      const weekKey = `week${wi}`;
+      const wp = weekPlans[weekKey] || getDefaultWeekPlan(weeks[wi], config);
+      if (!wp) continue;
+      for (const slotKey of slotKeys) {
+        const date = wp[slotKey];
+        if (!date) continue;
+        const dayAvail = availability[date] || {};
+        for (const shift of shiftIds) {
+          const scenarioOrder = [...(slotScenarios[slotKey] || [])].sort((a, b) =>
+            candidateCount(a, dayAvail, scenarioActors, shift, shifts) -
+            candidateCount(b, dayAvail, scenarioActors, shift, shifts)
+          );
+          for (const scenario of scenarioOrder) {
+            if (cellKey(weekKey, slotKey, shift, scenario) in fixed) continue;
+            const slot = { wi, weekKey, slotKey, shift, scenario, date };
+            const candidates = rankCandidates(getEligible(slot, fbState, 0), slot, fbState);
+            if (candidates.length === 0) {
+              const approved = scenarioActors[scenario] || [];
+              const eliminations = approved.flatMap(actor => {
+                const r = explainElim(actor, slot, fbState);
+                return r ? [{ actor, reason: r }] : [];
+              });
+              const filledCount = approved.length - eliminations.length;
+              errors.push({
+                slot: `Wk${wi + 1} ${fmtDateShort(date)} ${shift}`,
+                scenario, shift, date, weekKey, slotKey,
+                approvedActors: approved,
+                eliminations,
+                suggestion: filledCount === 0
+                  ? `All ${approved.length} approved actor${approved.length !== 1 ? 's' : ''} blocked. Approve more actors for ${scenario} or adjust availability.`
+                  : `${filledCount} actor${filledCount !== 1 ? 's' : ''} eligible but already placed this shift. Approve more actors for ${scenario}.`,
+              });
+              continue;
+            }
+            fbState.why[keyOf(slot)] = { actor: candidates[0], ...explainChoice(slot, candidates, fbState, "fallback", 0) };
+            applyAssign(fbState, slot, candidates[0]);
           }
-          applyAssign(fbState, slot, candidates[0]);
         }
       }
     }
+
+    optimizeFairness(fbState, 0);
+    return { state: fbState, errors };
+  }
+
+  // ── Best so far: the greedy fill goes out before the search starts, so a canceled run keeps a
+  // schedule in either mode. Its fairness is shown while the search runs.
+  let bestFill = null, fillFairness = null;
+  if (options.onBest) {
+    cooldownHolds = false;
+    bestFill = greedyFill();
+    const result = resultOf(bestFill.state, bestFill.errors, { mode: "heuristic", solveMs: Date.now() - startedAt });
+    fillFairness = result.fairnessReport.overallFairness;
+    options.onBest(result);
+  }
+
+  // ── Try backtracking at each relaxation level ─────────────────────────────
+  // Level 0: all rules enforced. Level 1: ignore conflict rules, scenario limits and the heavy-role cap.
+  // A cooldown is tried at level 0 first, then given up — a strict schedule without it beats a relaxed one.
+  const attempts = [[0, true], [0, false], [1, false]].filter(([, cooldown]) => hasCooldown || !cooldown);
+  for (const [relaxLevel, cooldown] of attempts) {
+    cooldownHolds = cooldown;
+    reportProgress({ phase: "search", relaxLevel, backtrackCount: 0, bestFairness: fillFairness }, true);
+    const state = freshState();
+    if (backtrack([...openSlots], 0, state, relaxLevel)) {
+      optimizeFairness(state, relaxLevel);
+      return finish(state, [], relaxLevel);
+    }
+  }
+
+  // ── Greedy fallback: runs when pool is genuinely too thin ─────────────────
+  if (!bestFill) {
+    cooldownHolds = false;
+    reportProgress({ phase: "fallback" }, true);
+    bestFill = greedyFill();
+  }
+  return finish(bestFill.state, bestFill.errors, 0);
+}
+
+/**
+ * Generates several distinct schedules from different tie-break seeds, best first
+ * (fewest gaps, then fairness, then scenario diversity).
+ *
+ * @param {Array<Array>} weeks
+ * @param {Object} weekPlans
+ * @param {Object} availability
+ * @param {Object} config
+ * @param {Object} [options] - generateSchedule options, plus:
+ * @param {number} [options.count] - How many candidates to return (default 3)
+ * @param {number} [options.seed] - Seed of the first attempt; later attempts count up from it
+ * @param {Function} [options.onCandidate] - Called with each distinct candidate as soon as it's ready
+ * @returns {Array<{ seed: number, schedule: Object, errors: Array, fairnessReport: Object, solver: Object, metrics: Object }>}
+ */
+export function generateCandidates(weeks, weekPlans, availability, config, options = {}) {
+  const { count = 3, seed = 1, onCandidate, onProgress, ...rest } = options;
+  const candidates = [];
+  const seen = new Set();
+  // Seeds can land on the same schedule; give up after a few misses per candidate
+  for (let attempt = 0; attempt < count * 4 && candidates.length < count; attempt++) {
+    const runSeed = seed + attempt;
+    const result = generateSchedule(weeks, weekPlans, availability, config, {
+      ...rest,
+      seed: runSeed,
+      onProgress: onProgress && (p => onProgress({ ...p, candidate: candidates.length + 1, of: count })),
+    });
+    const key = JSON.stringify(result.schedule);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const candidate = { seed: runSeed, ...result, metrics: scheduleMetrics(result.schedule, config) };
+    candidates.push(candidate);
+    if (onCandidate) onCandidate(candidate);
+  }
+  return candidates.sort(compareCandidates);
+}
+
+/**
+ * Best-first order for generateCandidates results: fewest gaps, then fairness, then scenario diversity.
+ */
+export function compareCandidates(a, b) {
+  return a.errors.length - b.errors.length ||
+    b.fairnessReport.overallFairness - a.fairnessReport.overallFairness ||
+    b.metrics.diversity - a.metrics.diversity;
+}
+
+/**
+ * Summary numbers for comparing schedules side by side.
+ *
+ * @param {Object} schedule
+ * @param {Object} config
+ * @returns {{ assignments: number, diversity: number, shiftSpread: Object, perActor: Object }}
+ *   diversity = % of assignments that are a scenario new to that actor this month;
+ *   shiftSpread = { shiftId: most − fewest times any working actor has that tour };
+ *   perActor = { actor: { total, scenarios: { scenario: n }, shifts: { shiftId: n }, last: { scenario: date } } }
+ */
+export function scheduleMetrics(schedule, config) {
+  const perActor = {};
+  for (const cell of flattenSchedule(schedule)) {
+    const a = (perActor[cell.actor] = perActor[cell.actor] || { total: 0, scenarios: {}, shifts: {}, last: {} });
+    a.total++;
+    a.scenarios[cell.scenario] = (a.scenarios[cell.scenario] || 0) + 1;
+    a.shifts[cell.shift] = (a.shifts[cell.shift] || 0) + 1;
+    if (!(a.last[cell.scenario] >= cell.date)) a.last[cell.scenario] = cell.date;
   }
+  const working = Object.values(perActor);
+  const assignments = working.reduce((sum, a) => sum + a.total, 0);
+  const distinct = working.reduce((sum, a) => sum + Object.keys(a.scenarios).length, 0);
+  const shiftSpread = {};
+  for (const { id } of getShifts(config)) {
+    const counts = working.map(a => a.shifts[id] || 0);
+    shiftSpread[id] = counts.length ? Math.max(...counts) - Math.min(...counts) : 0;
+  }
+  return {
+    assignments,
+    diversity: assignments ? Math.round((distinct / assignments) * 100) : 100,
+    shiftSpread,
+    perActor,
+  };
+}
+
+/**
+ * Key for a single schedule cell, shared by manual overrides and locks.
+ */
+export function cellKey(weekKey, slotKey, shift, scenario) {
+  return `${weekKey}|${slotKey}|${shift}|${scenario}`;
+}
 
-  optimizeFairness(fbState, 0);
-  return { schedule: fbState.schedule, errors, fairnessReport: buildFairnessReport(fbState) };
+/**
+ * Key for a standby list: the whole tour, or one cell when standbys are assigned per scenario.
+ */
+export function standbyKey(weekKey, slotKey, shift, scenario) {
+  return scenario ? cellKey(weekKey, slotKey, shift, scenario) : `${weekKey}|${slotKey}|${shift}`;
 }
 
 /**
  * Count how many actors are both approved AND available for a scenario+shift.
  */
-function candidateCount(scenario, dayAvail, scenarioActors, shift) {
+function candidateCount(scenario, dayAvail, scenarioActors, shift, shifts) {
   const approved = scenarioActors[scenario];
   if (!approved) return 0;
-  return approved.filter((actor) => isAvailableForShift(dayAvail[actor], shift)).length;
+  return approved.filter((actor) => isAvailableForShift(dayAvail[actor], shift, shifts)).length;
+}
+
+// ---------------------------------------------------------------------------
+// Gap Resolution
+// ---------------------------------------------------------------------------
+
+// Suggestions per kind shown for one gap
+const FIXES_PER_KIND = 3;
+
+/**
+ * Concrete fixes for one unfilled cell, least disruptive first: ask an approved actor who is
+ * off that day, approve a free actor for the scenario, or move the training day to a date in
+ * the same week and month where more approved actors are free. Pass a fix to applyGapFix to get the
+ * changed inputs and re-run the solver to confirm it closes the gap.
+ *
+ * @param {Array<Array>} weeks
+ * @param {Object} weekPlans
+ * @param {Object} availability
+ * @param {Object} config
+ * @param {Object} gap - An entry of generateSchedule's errors ({ weekKey, slotKey, shift, scenario, date, ... })
+ * @param {Object} [schedule] - Current schedule; asks and approvals favor less-used actors
+ * @returns {Array<{ kind: "ask"|"approve"|"move", label: string, detail?: string, actor?: string, date?: string, message?: string }>}
+ *   ask fixes carry a ready-to-send availability request in `message`
+ */
+export function suggestGapFixes(weeks, weekPlans, availability, config, gap, schedule) {
+  const shifts = getShifts(config);
+  const { weekKey, slotKey, shift, scenario, date } = gap;
+  const slot = { weekKey, slotKey, shift, scenario, date };
+  const approved = config.scenarioActors[scenario] || [];
+  const constraints = config.actorConstraints || {};
+  const shiftLabel = shifts.find(sh => sh.id === shift)?.label || shift;
+  const cells = flattenSchedule(schedule);
+  const usage = {};
+  for (const cell of cells) usage[cell.actor] = (usage[cell.actor] || 0) + 1;
+  const byUsage = (a, b) => (usage[a] || 0) - (usage[b] || 0);
+  // Actors already in another room on this date and tour
+  const busy = new Set(cells.filter(c => c.date === date && c.shift === shift).map(c => c.actor));
+  // Day and tour restrictions rule an actor out regardless of availability
+  const allowed = (actor, onDate) => !findActorLimit({ ...slot, date: onDate }, [], constraints[actor]);
+  const free = (actor, onDate) => isAvailableForShift(availability[onDate]?.[actor], shift, shifts) && allowed(actor, onDate);
+
+  const asks = approved.filter(a => !free(a, date) && allowed(a, date)).sort(byUsage).slice(0, FIXES_PER_KIND).map(actor => {
+    const partial = normalizeAvail(availability[date]?.[actor], shifts);
+    return {
+      kind: "ask", actor, date,
+      label: `Ask ${actor}, who is ${partial.length ? `only free ${partial.join("+")}` : "off"} on ${fmtDateShort(date)} but approved`,
+      message: `Hi ${actor}! We're short an actor for ${scenario} on ${fmtDateLong(date)} (${shiftLabel} tour). Any chance you could come in? Just reply yes or no \u2014 thanks!`,
+    };
+  });
+
+  const approvals = config.actors.filter(a => !approved.includes(a) && free(a, date))
+    .sort((a, b) => busy.has(a) - busy.has(b) || byUsage(a, b)).slice(0, FIXES_PER_KIND).map(actor => ({
+      kind: "approve", actor,
+      label: `Approve ${actor} for ${scenario}`,
+      detail: busy.has(actor) ? `Free ${fmtDateShort(date)} ${shift}, but already in another room then` : `Free ${fmtDateShort(date)} ${shift}`,
+    }));
+
+  const wi = Number(weekKey.replace("week", ""));
+  const weekDays = weeks[wi] || [];
+  const plan = weekPlans[weekKey] || getDefaultWeekPlan(weekDays, config);
+  const taken = new Set(Object.values(plan).filter(Boolean));
+  const freeHere = approved.filter(a => free(a, date)).length;
+  // A shared boundary week's other days belong to the neighbouring month (ownerOf in boundary.js)
+  const owned = d => d.date.slice(0, 7) === date.slice(0, 7);
+  const moves = weekDays.filter(d => owned(d) && !taken.has(d.date))
+    .map(d => ({ day: d, more: approved.filter(a => free(a, d.date)).length - freeHere }))
+    .filter(m => m.more > 0).sort((a, b) => b.more - a.more).slice(0, FIXES_PER_KIND).map(({ day, more }) => ({
+      kind: "move", date: day.date,
+      label: `Move ${config.slotNames?.[slotKey] || slotKey} to ${fmtDateShort(day.date)}, where ${more} more approved actor${more !== 1 ? "s are" : " is"} free`,
+      detail: `Moves every scenario that day`,
+    }));
+
+  return [...asks, ...approvals, ...moves];
 }
 
 /**
- * Check whether assigning `actor` to `scenario` in `shift` would violate
- * any conflict rule, considering all existing assignments across all slots
- * in the same week+shift.
+ * The generator inputs with one gap fix applied — the actor marked available, approved, or
+ * the training day moved.
+ *
+ * @returns {{ weekPlans: Object, availability: Object, config: Object }}
  */
-function hasConflict(actor, scenario, shift, weekAssignments, conflicts) {
-  if (!conflicts || conflicts.length === 0) return false;
+export function applyGapFix(weeks, weekPlans, availability, config, gap, fix) {
+  if (fix.kind === "ask") {
+    const shifts = getShifts(config);
+    const free = [...new Set([...normalizeAvail(availability[gap.date]?.[fix.actor], shifts), gap.shift])];
+    const value = free.length === shifts.length ? true : free;
+    return { weekPlans, config, availability: { ...availability, [gap.date]: { ...availability[gap.date], [fix.actor]: value } } };
+  }
+  if (fix.kind === "approve") {
+    const approved = config.scenarioActors[gap.scenario] || [];
+    return { weekPlans, availability, config: { ...config, scenarioActors: { ...config.scenarioActors, [gap.scenario]: [...approved, fix.actor] } } };
+  }
+  const wi = Number(gap.weekKey.replace("week", ""));
+  const plan = weekPlans[gap.weekKey] || getDefaultWeekPlan(weeks[wi] || [], config);
+  return { availability, config, weekPlans: { ...weekPlans, [gap.weekKey]: { ...plan, [gap.slotKey]: fix.date } } };
+}
+
+// ---------------------------------------------------------------------------
+// Call-outs
+// ---------------------------------------------------------------------------
 
-  const actorScenarios = weekAssignments[shift][actor];
-  if (!actorScenarios || actorScenarios.size === 0) return false;
+/**
+ * Ranked stand-ins for an actor who calls out of one cell. Replacements are approved, available,
+ * not already playing that tour and within every rule the generator enforces; standbys for the
+ * tour or cell come first, then whoever carries the least load this month, then the schedule's seeded
+ * tie-break order (alphabetical without a seed). When nobody free can
+ * play the scenario, swaps are offered instead: a colleague in the same tour switches into the
+ * open role and a free actor takes theirs.
+ *
+ * @param {Object} schedule
+ * @param {Object} availability
+ * @param {Object} config
+ * @param {{ weekKey: string, slotKey: string, shift: string, scenario: string }} cell - The cell being vacated
+ * @param {Object} [standby] - generateSchedule's standby lists
+ * @param {Object} [lastPlayed] - { actor: { scenario: date } } from earlier months, for heavy-role cooldowns
+ * @param {number} [seed] - The seed the schedule was generated with; ties go the way generateSchedule breaks them
+ * @returns {{ out: string, date: string, replacements: Array<{ actor: string, load: number, standby: number|null }>,
+ *   swaps: Array<{ colleague: string, from: string, actor: string, load: number, standby: number|null }> }}
+ *   a swap moves `colleague` from scenario `from` into the open cell and puts `actor` in `from`
+ */
+export function rankReplacements(schedule, availability, config, cell, standby = {}, lastPlayed = {}, seed = null) {
+  const { weekKey, slotKey, shift, scenario } = cell;
+  const day = schedule[weekKey][slotKey];
+  const { date } = day;
+  const out = day[shift][scenario];
+  const slot = { weekKey, slotKey, shift, scenario, date };
+  const dayAvail = availability[date] || {};
+  const sameCell = (c, sc) => c.weekKey === weekKey && c.slotKey === slotKey && c.shift === shift && c.scenario === sc;
+  // Everyone's other assignments, without the vacated cell
+  const cellsOf = {};
+  for (const c of flattenSchedule(schedule)) {
+    if (!sameCell(c, scenario)) (cellsOf[c.actor] = cellsOf[c.actor] || []).push(c);
+  }
+  const playing = new Set(Object.entries(day[shift]).filter(([sc, a]) => a && sc !== scenario).map(([, a]) => a));
+  const free = config.actors.filter(a => a !== out && !playing.has(a));
+  const onCall = [...(standby[standbyKey(weekKey, slotKey, shift, scenario)] || []), ...(standby[standbyKey(weekKey, slotKey, shift)] || [])];
+  const load = actor => Math.round((cellsOf[actor] || []).reduce((sum, c) => sum + scenarioWeight(config, c.scenario), 0) * 10) / 10;
+  const standbyRank = actor => (onCall.includes(actor) ? onCall.indexOf(actor) + 1 : null);
+  const tieRank = seed == null ? null : Object.fromEntries(shuffle(config.actors, seededRandom(seed)).map((a, i) => [a, i]));
+  const tieBreak = (a, b) => (tieRank ? tieRank[a] - tieRank[b] : a.localeCompare(b));
+  const byRank = (a, b) => (standbyRank(a) ?? Infinity) - (standbyRank(b) ?? Infinity) || load(a) - load(b) || tieBreak(a, b);
+  const fits = (actor, target, cells) => (config.scenarioActors[target.scenario] || []).includes(actor) &&
+    !blockReason(actor, target, cells, dayAvail, false, config, lastPlayed[actor]);
+  const describe = actor => ({ actor, load: load(actor), standby: standbyRank(actor) });
+
+  const replacements = free.filter(a => fits(a, slot, cellsOf[a] || [])).sort(byRank).map(describe);
+  const swaps = [];
+  if (!replacements.length) {
+    for (const [from, colleague] of Object.entries(day[shift])) {
+      if (!colleague || from === scenario) continue;
+      if (!fits(colleague, slot, (cellsOf[colleague] || []).filter(c => !sameCell(c, from)))) continue;
+      const taker = free.filter(a => fits(a, { ...slot, scenario: from }, cellsOf[a] || [])).sort(byRank)[0];
+      if (taker) swaps.push({ colleague, from, ...describe(taker) });
+    }
+    swaps.sort((a, b) => byRank(a.actor, b.actor));
+  }
+  return { out, date, replacements, swaps };
+}
 
+/**
+ * Ready-to-send text asking an actor to cover a call-out, or — with `from` — telling a colleague
+ * to switch into the open role.
+ *
+ * @param {string} actor
+ * @param {{ shift: string, scenario: string, date: string, out: string, from?: string }} callout
+ * @param {Object} config
+ * @returns {string}
+ */
+export function genCalloutMsg(actor, callout, config) {
+  const { shift, scenario, date, out, from } = callout;
+  const sh = getShifts(config).find(s => s.id === shift);
+  const when = `${fmtDateLong(date)}, ${sh?.label || shift} tour${sh?.start ? ` (${sh.start}\u2013${sh.end})` : ""}`;
+  if (from) {
+    return `Hi ${actor}! ${out} can't make it ${when}. Could you play ${scenario} instead of ${from}? Someone else is covering ${from}. Please reply to confirm \u2014 thank you!`;
+  }
+  return `Hi ${actor}! ${out} can't make it ${when}. Could you cover ${scenario}? Please reply to confirm \u2014 thank you!`;
+}
+
+// ---------------------------------------------------------------------------
+// Conflict Rules & Limits
+// ---------------------------------------------------------------------------
+
+const SCOPE_LABELS = {
+  same_shift: "same tour that week",
+  same_day: "same day",
+  same_week: "same week",
+  consecutive_days: "back-to-back days",
+};
+
+export function scopeLabel(scope) {
+  return SCOPE_LABELS[scope] || SCOPE_LABELS.same_shift;
+}
+
+function daysApart(a, b) {
+  const [ay, am, ad] = a.split("-").map(Number);
+  const [by, bm, bd] = b.split("-").map(Number);
+  return Math.abs(Math.round((Date.UTC(ay, am - 1, ad) - Date.UTC(by, bm - 1, bd)) / 86400000));
+}
+
+/**
+ * Whether two assignments fall in the same window for a rule's scope.
+ * `same_shift` is the original rule: the same tour anywhere in the same week.
+ */
+function inScope(scope, a, b) {
+  switch (scope) {
+    case "same_day": return a.date === b.date;
+    case "same_week": return a.weekKey === b.weekKey;
+    case "consecutive_days": return daysApart(a.date, b.date) <= 1;
+    default: return a.weekKey === b.weekKey && a.shift === b.shift;
+  }
+}
+
+/**
+ * Whether an actor playing scenarios `a` and `b` breaks `rule` (scope aside).
+ * A rule lists scenarios an actor can't mix; a single-scenario rule means that
+ * scenario can't repeat.
+ */
+function ruleClash(rule, a, b) {
+  const set = (rule.actor_cannot_play || []).filter(Boolean);
+  if (!set.includes(a) || !set.includes(b)) return false;
+  return set.length === 1 ? a === b : a !== b;
+}
+
+/**
+ * Finds an existing assignment that would break a conflict rule if the actor took `slot`.
+ *
+ * @param {{ weekKey: string, shift: string, scenario: string, date: string }} slot
+ * @param {Array} actorCells - The actor's current assignments (same shape as slot)
+ * @param {Array} conflicts - config.conflicts
+ * @returns {{ rule: Object, cell: Object } | null}
+ */
+function findConflict(slot, actorCells, conflicts) {
+  if (!conflicts?.length || !actorCells?.length) return null;
   for (const rule of conflicts) {
-    if (rule.scope !== "same_shift") continue;
+    for (const cell of actorCells) {
+      if (ruleClash(rule, slot.scenario, cell.scenario) && inScope(rule.scope, slot, cell)) return { rule, cell };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a "max N of scenario per actor per week/month" limit that `slot` would exceed.
+ *
+ * @param {Object} slot
+ * @param {Array} actorCells - The actor's current assignments
+ * @param {Array<{ scenario: string, max: number, per: "week"|"month" }>} limits - config.scenarioLimits
+ * @returns {{ limit: Object, count: number } | null}
+ */
+function findLimit(slot, actorCells, limits) {
+  for (const limit of limits || []) {
+    if (limit.scenario !== slot.scenario || !(limit.max >= 0)) continue;
+    const count = (actorCells || []).filter(c => c.scenario === slot.scenario && (limit.per === "month" || c.weekKey === slot.weekKey)).length;
+    if (count >= limit.max) return { limit, count };
+  }
+  return null;
+}
+
+/**
+ * Why an approved actor can't take `slot` under the generator's strict rules, or null.
+ *
+ * @param {string} actor
+ * @param {Object} slot
+ * @param {Array} actorCells - The actor's other assignments
+ * @param {Object} dayAvail - availability[slot.date]
+ * @param {boolean} busy - Whether the actor already plays another scenario in that tour
+ * @param {Object} config
+ * @param {Object} [lastPlayed] - The actor's { scenario: date } from earlier months
+ * @returns {string|null}
+ */
+function blockReason(actor, slot, actorCells, dayAvail, busy, config, lastPlayed) {
+  const { shift, scenario, date } = slot;
+  const shifts = getShifts(config);
+  const personal = findActorLimit(slot, actorCells, config.actorConstraints?.[actor]);
+  if (personal) return actorLimitReason(personal, slot);
+  if (!isAvailableForShift(dayAvail[actor], shift, shifts)) {
+    const norm = normalizeAvail(dayAvail[actor], shifts);
+    return norm.length > 0
+      ? `Only available ${norm.join('+')} on ${fmtDateShort(date)}`
+      : `Not marked available on ${fmtDateShort(date)}`;
+  }
+  if (busy) {
+    return `Already used in ${shift} on ${fmtDateShort(date)}`;
+  }
+  const conflict = findConflict(slot, actorCells, config.conflicts);
+  if (conflict) return `Conflict rule (${scopeLabel(conflict.rule.scope)}): plays ${conflict.cell.scenario} ${conflict.cell.shift} on ${fmtDateShort(conflict.cell.date)}`;
+  const over = findLimit(slot, actorCells, config.scenarioLimits);
+  if (over) return `Already played ${scenario} ${over.count}\u00D7 this ${over.limit.per === "month" ? "month" : "week"} (max ${over.limit.max})`;
+  const heavy = findHeavyLimit(slot, actorCells, config);
+  if (heavy) return `Already has ${heavy.count} heavy role${heavy.count !== 1 ? "s" : ""} this week (max ${heavy.max})`;
+  const cooldown = findCooldown(slot, actorCells, lastPlayed, config);
+  if (cooldown) return cooldownReason(scenario, cooldown);
+  return null;
+}
+
+/**
+ * Finds the config.heavyPerWeek cap that `slot` would exceed when it's a heavy scenario.
+ *
+ * @returns {{ count: number, max: number } | null}
+ */
+function findHeavyLimit(slot, actorCells, config) {
+  const max = config.heavyPerWeek;
+  if (!isCount(max) || !isHeavy(config, slot.scenario)) return null;
+  const count = (actorCells || []).filter(c => c.weekKey === slot.weekKey && isHeavy(config, c.scenario)).length;
+  return count >= max ? { count, max } : null;
+}
+
+/**
+ * Finds a time the actor played `slot`'s heavy scenario within config.heavyCooldownWeeks of it —
+ * among their cells this month or the last time in an earlier month.
+ *
+ * @param {Object} slot
+ * @param {Array} actorCells - The actor's other assignments
+ * @param {Object} [lastPlayed] - The actor's { scenario: date } from earlier months
+ * @param {Object} config
+ * @returns {{ date: string, weeks: number } | null}
+ */
+function findCooldown(slot, actorCells, lastPlayed, config) {
+  const weeks = config.heavyCooldownWeeks;
+  if (!isCount(weeks) || weeks === 0 || !isHeavy(config, slot.scenario)) return null;
+  const dates = (actorCells || []).filter(c => c.scenario === slot.scenario).map(c => c.date);
+  if (lastPlayed?.[slot.scenario]) dates.push(lastPlayed[slot.scenario]);
+  const week = weekNumber(slot.date);
+  const date = dates.find(d => Math.abs(weekNumber(d) - week) <= weeks);
+  return date ? { date, weeks } : null;
+}
 
-    const pair = rule.actor_cannot_play;
-    if (!pair || pair.length < 2) continue;
+function cooldownReason(scenario, { date, weeks }) {
+  return `Played ${scenario} ${fmtDateShort(date)} — ${weeks} week${weeks !== 1 ? "s" : ""} off it after a heavy role`;
+}
+
+// Monday-based calendar week count, comparable across months
+function weekNumber(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  // Day 0 (1970-01-01) was a Thursday; +3 puts each week's start on Monday
+  return Math.floor((Date.UTC(y, m - 1, d) / 86400000 + 3) / 7);
+}
+
+// ---------------------------------------------------------------------------
+// Seeded Randomness
+// ---------------------------------------------------------------------------
+
+// mulberry32 — small, fast and good enough for shuffling tie-breaks
+function seededRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Emotional Load
+// ---------------------------------------------------------------------------
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+/**
+ * Emotional-load weight of a scenario from config.scenarioWeights (default 1).
+ * Fairness balances the sum of these weights rather than raw shift counts.
+ *
+ * @param {Object} config
+ * @param {string} scenario
+ * @returns {number}
+ */
+export function scenarioWeight(config, scenario) {
+  const w = config.scenarioWeights?.[scenario];
+  return typeof w === "number" && w > 0 ? w : 1;
+}
+
+/**
+ * Scenarios weighted above standard count toward config.heavyPerWeek.
+ */
+export function isHeavy(config, scenario) {
+  return scenarioWeight(config, scenario) > 1;
+}
+
+// ---------------------------------------------------------------------------
+// Actor Constraints
+// ---------------------------------------------------------------------------
+
+// A set cap or minimum; blank fields are stored as undefined/null and mean "no limit"
+function isCount(v) {
+  return typeof v === "number" && v >= 0;
+}
+
+function dayNameOf(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return DAYS_LONG[new Date(y, m - 1, d).getDay()];
+}
+
+/**
+ * Finds the personal limit that stops an actor taking `slot`. Unlike conflict rules and
+ * scenario limits these are never relaxed.
+ *
+ * @param {Object} slot
+ * @param {Array} actorCells - The actor's current assignments
+ * @param {{ allowedDays?: string[], allowedShifts?: string[], maxPerWeek?: number, maxPerMonth?: number, noDoubleDay?: boolean }} [constraint]
+ *   - config.actorConstraints[actor]
+ * @returns {{ type: "day"|"shift"|"double"|"week"|"month", cell?: Object, count?: number, max?: number } | null}
+ */
+function findActorLimit(slot, actorCells, constraint) {
+  if (!constraint) return null;
+  const cells = actorCells || [];
+  if (constraint.allowedDays && !constraint.allowedDays.includes(dayNameOf(slot.date))) return { type: "day" };
+  if (constraint.allowedShifts && !constraint.allowedShifts.includes(slot.shift)) return { type: "shift" };
+  if (constraint.noDoubleDay) {
+    const cell = cells.find(c => c.date === slot.date && c.shift !== slot.shift);
+    if (cell) return { type: "double", cell };
+  }
+  if (isCount(constraint.maxPerWeek)) {
+    const count = cells.filter(c => c.weekKey === slot.weekKey).length;
+    if (count >= constraint.maxPerWeek) return { type: "week", count, max: constraint.maxPerWeek };
+  }
+  if (isCount(constraint.maxPerMonth) && cells.length >= constraint.maxPerMonth) {
+    return { type: "month", count: cells.length, max: constraint.maxPerMonth };
+  }
+  return null;
+}
+
+function actorLimitReason(hit, slot) {
+  switch (hit.type) {
+    case "day": return `Doesn't work ${dayNameOf(slot.date)}s`;
+    case "shift": return `Doesn't work ${slot.shift} tours`;
+    case "double": return `No doubles: already plays ${hit.cell.scenario} ${hit.cell.shift} on ${fmtDateShort(slot.date)}`;
+    case "week": return `Already at ${hit.count} shift${hit.count !== 1 ? "s" : ""} this week (max ${hit.max})`;
+    default: return `Already at ${hit.count} shift${hit.count !== 1 ? "s" : ""} this month (max ${hit.max})`;
+  }
+}
 
-    // Check if the scenario we want to assign is in the conflict pair
-    // AND the actor already has the other scenario in this shift
-    if (pair.includes(scenario)) {
-      for (const otherScenario of pair) {
-        if (otherScenario !== scenario && actorScenarios.has(otherScenario)) {
-          return true;
+// ---------------------------------------------------------------------------
+// Actor Preferences
+// ---------------------------------------------------------------------------
+
+/**
+ * Scores one assignment against an actor's soft preferences. Each preference the actor set
+ * is one check: a preferred scenario, tour or day is honored when matched, an avoided
+ * scenario when not played.
+ *
+ * @param {{ shift: string, scenario: string, date: string }} slot
+ * @param {{ preferScenarios?: string[], avoidScenarios?: string[], preferShift?: string, preferDays?: string[] }} [pref]
+ *   - config.actorPreferences[actor]
+ * @returns {{ honored: number, total: number, score: number }} score is positive when the cell suits the
+ *   actor and negative when it's a scenario they'd rather avoid
+ */
+function preferenceMatch(slot, pref) {
+  const result = { honored: 0, total: 0, score: 0 };
+  if (!pref) return result;
+  if (pref.preferScenarios?.length) {
+    result.total++;
+    if (pref.preferScenarios.includes(slot.scenario)) { result.honored++; result.score += 1; }
+  }
+  if (pref.avoidScenarios?.length) {
+    result.total++;
+    if (pref.avoidScenarios.includes(slot.scenario)) result.score -= 2;
+    else result.honored++;
+  }
+  if (pref.preferShift) {
+    result.total++;
+    if (pref.preferShift === slot.shift) { result.honored++; result.score += 1; }
+  }
+  if (pref.preferDays?.length) {
+    result.total++;
+    if (pref.preferDays.includes(dayNameOf(slot.date))) { result.honored++; result.score += 1; }
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Checks a filled-in schedule (generated or hand-edited) against the same rules the
+ * generator enforces. Each violation names one cell; rules that involve two cells
+ * (double booking, conflict pairs) report both. Only days the week plans still run on that
+ * date are checked — cells left over from a canceled or moved day are ignored.
+ *
+ * @param {Array<Array>} weeks
+ * @param {Object} weekPlans - Falls back to each week's default plan, as the generator does
+ * @param {Object} schedule
+ * @param {Object} availability
+ * @param {Object} config
+ * @param {Object} [lastPlayed] - { actor: { scenario: date } } from earlier months, for heavy-role cooldowns
+ * @returns {Array<{ type: string, severity: "error"|"warning", weekKey: string, slotKey: string, shift: string, scenario: string, date: string, actor: string, message: string }>}
+ *   type is one of "unavailable", "not_approved", "day_restricted", "shift_restricted", "double_booked", "conflict",
+ *   "limit", "heavy", "cooldown", "no_double", "over_cap"
+ */
+export function validateSchedule(weeks, weekPlans, schedule, availability, config, lastPlayed = {}) {
+  const violations = [];
+  if (!schedule) return violations;
+  const shifts = getShifts(config);
+  const slotKeys = getSlotKeys(config);
+  const actorConstraints = config.actorConstraints || {};
+  const conflicts = config.conflicts || [];
+  const limits = config.scenarioLimits || [];
+  const actorCells = {}; // actor → every cell they play this month, for rules and limits
+
+  for (let wi = 0; wi < weeks.length; wi++) {
+    const weekKey = `week${wi}`;
+    const weekSchedule = schedule[weekKey];
+    const plan = weekPlans[weekKey] || getDefaultWeekPlan(weeks[wi], config);
+    if (!weekSchedule || !plan) continue;
+
+    for (const slotKey of slotKeys) {
+      const day = weekSchedule[slotKey];
+      if (!day || plan[slotKey] !== day.date) continue;
+      const { date } = day;
+      const [y, m, d] = date.split("-").map(Number);
+      const dayName = DAYS_LONG[new Date(y, m - 1, d).getDay()];
+
+      for (const shiftDef of shifts) {
+        const shift = shiftDef.id;
+        const dayCells = {}; // actor → cells in this date+shift
+        for (const [scenario, actor] of Object.entries(day[shift] || {})) {
+          if (!actor) continue;
+          const cell = { weekKey, slotKey, shift, scenario, date, actor };
+
+          if (!(config.scenarioActors[scenario] || []).includes(actor)) {
+            violations.push({ ...cell, type: "not_approved", severity: "warning", message: `${actor} isn't approved for ${scenario}` });
+          }
+          if (!isAvailableForShift(availability[date]?.[actor], shift, shifts)) {
+            const norm = normalizeAvail(availability[date]?.[actor], shifts);
+            violations.push({
+              ...cell, type: "unavailable", severity: "warning",
+              message: norm.length > 0
+                ? `${actor} is only available ${norm.join("+")} on ${fmtDateShort(date)}`
+                : `${actor} is off on ${fmtDateShort(date)}`,
+            });
+          }
+          const allowed = actorConstraints[actor]?.allowedDays;
+          if (allowed && !allowed.includes(dayName)) {
+            violations.push({ ...cell, type: "day_restricted", severity: "warning", message: `${actor} doesn't work ${dayName}s` });
+          }
+          const allowedShifts = actorConstraints[actor]?.allowedShifts;
+          if (allowedShifts && !allowedShifts.includes(shift)) {
+            violations.push({ ...cell, type: "shift_restricted", severity: "warning", message: `${actor} doesn't work ${shiftDef.label} tours` });
+          }
+
+          (dayCells[actor] = dayCells[actor] || []).push(cell);
+          (actorCells[actor] = actorCells[actor] || []).push(cell);
+        }
+
+        // Same actor in two rooms at once
+        for (const [actor, cells] of Object.entries(dayCells)) {
+          if (cells.length < 2) continue;
+          for (const cell of cells) {
+            const others = cells.filter(c => c !== cell).map(c => c.scenario);
+            violations.push({ ...cell, type: "double_booked", severity: "error", message: `${actor} is double-booked in the ${shiftDef.label} tour (also ${others.join(", ")})` });
+          }
         }
       }
     }
   }
 
-  return false;
+  for (const [actor, cells] of Object.entries(actorCells)) {
+    // Conflict rules: flag both cells of every clashing pair, once per rule
+    for (const rule of conflicts) {
+      const flagged = new Map();
+      for (let i = 0; i < cells.length; i++) {
+        for (let j = i + 1; j < cells.length; j++) {
+          const [a, b] = [cells[i], cells[j]];
+          if (!ruleClash(rule, a.scenario, b.scenario) || !inScope(rule.scope, a, b)) continue;
+          if (!flagged.has(a)) flagged.set(a, b);
+          if (!flagged.has(b)) flagged.set(b, a);
+        }
+      }
+      for (const [cell, other] of flagged) {
+        violations.push({ ...cell, type: "conflict", severity: "error", message: `${actor} also plays ${other.scenario} ${other.shift} on ${fmtDateShort(other.date)} (${scopeLabel(rule.scope)} rule)` });
+      }
+    }
+
+    // Limits: the assignments past the max, in date order
+    for (const limit of limits) {
+      if (!(limit.max >= 0)) continue;
+      const groups = {};
+      for (const cell of cells) {
+        if (cell.scenario !== limit.scenario) continue;
+        const period = limit.per === "month" ? "month" : cell.weekKey;
+        (groups[period] = groups[period] || []).push(cell);
+      }
+      for (const group of Object.values(groups)) {
+        group.sort((a, b) => a.date.localeCompare(b.date)).slice(limit.max).forEach(cell => {
+          violations.push({ ...cell, type: "limit", severity: "warning", message: `${actor} plays ${limit.scenario} ${group.length}\u00D7 this ${limit.per === "month" ? "month" : "week"} (max ${limit.max})` });
+        });
+      }
+    }
+
+    // Heavy roles past config.heavyPerWeek
+    if (isCount(config.heavyPerWeek)) {
+      const byWeek = {};
+      for (const cell of cells) {
+        if (isHeavy(config, cell.scenario)) (byWeek[cell.weekKey] = byWeek[cell.weekKey] || []).push(cell);
+      }
+      for (const group of Object.values(byWeek)) {
+        group.sort((a, b) => a.date.localeCompare(b.date)).slice(config.heavyPerWeek).forEach(cell => {
+          violations.push({ ...cell, type: "heavy", severity: "warning", message: `${actor} has ${group.length} heavy role${group.length !== 1 ? "s" : ""} this week (max ${config.heavyPerWeek})` });
+        });
+      }
+    }
+
+    // The same heavy role again inside config.heavyCooldownWeeks, counting the last time in an earlier month
+    if (isCount(config.heavyCooldownWeeks) && config.heavyCooldownWeeks > 0) {
+      const byScenario = {};
+      for (const cell of cells) {
+        if (isHeavy(config, cell.scenario)) (byScenario[cell.scenario] = byScenario[cell.scenario] || []).push(cell);
+      }
+      for (const [scenario, group] of Object.entries(byScenario)) {
+        let previous = lastPlayed[actor]?.[scenario];
+        for (const cell of group.sort((a, b) => a.date.localeCompare(b.date))) {
+          if (previous && Math.abs(weekNumber(cell.date) - weekNumber(previous)) <= config.heavyCooldownWeeks) {
+            violations.push({ ...cell, type: "cooldown", severity: "warning", message: `${actor}: ${cooldownReason(scenario, { date: previous, weeks: config.heavyCooldownWeeks })}` });
+          }
+          previous = cell.date;
+        }
+      }
+    }
+
+    // Personal limits from actorConstraints
+    const constraint = actorConstraints[actor] || {};
+    if (constraint.noDoubleDay) {
+      const byDate = {};
+      for (const cell of cells) (byDate[cell.date] = byDate[cell.date] || []).push(cell);
+      for (const group of Object.values(byDate)) {
+        if (new Set(group.map(c => c.shift)).size < 2) continue;
+        group.forEach(cell => violations.push({ ...cell, type: "no_double", severity: "warning", message: `${actor} doesn't do doubles but has ${group.length} tours on ${fmtDateShort(cell.date)}` }));
+      }
+    }
+    for (const per of ["week", "month"]) {
+      const max = per === "week" ? constraint.maxPerWeek : constraint.maxPerMonth;
+      if (!isCount(max)) continue;
+      const groups = {};
+      for (const cell of cells) {
+        const period = per === "month" ? "month" : cell.weekKey;
+        (groups[period] = groups[period] || []).push(cell);
+      }
+      for (const group of Object.values(groups)) {
+        group.sort((a, b) => a.date.localeCompare(b.date)).slice(max).forEach(cell => {
+          violations.push({ ...cell, type: "over_cap", severity: "warning", message: `${actor} has ${group.length} shifts this ${per} (max ${max})` });
+        });
+      }
+    }
+  }
+  return violations;
+}
+
+// ---------------------------------------------------------------------------
+// Change Notices
+// ---------------------------------------------------------------------------
+
+// Every filled cell of a schedule as { weekKey, slotKey, date, shift, scenario, actor }
+function flattenSchedule(schedule) {
+  const cells = [];
+  for (const [weekKey, weekSched] of Object.entries(schedule || {})) {
+    for (const [slotKey, day] of Object.entries(weekSched || {})) {
+      if (!day) continue;
+      for (const [shift, shiftData] of Object.entries(day)) {
+        if (shift === "date" || !shiftData) continue;
+        for (const [scenario, actor] of Object.entries(shiftData)) {
+          if (actor) cells.push({ weekKey, slotKey, date: day.date, shift, scenario, actor });
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+/**
+ * Compares the schedule that was sent out against the current one, per actor.
+ * A lost and a gained assignment are paired up as a "move" when they're the same
+ * cell on a new date (day rescheduled) or the same date in a new tour/scenario.
+ *
+ * @param {Object|null} previous - Last published schedule
+ * @param {Object} current - Current schedule
+ * @returns {Object} - { "Decatur": { added: [cell], removed: [cell], moved: [{ from: cell, to: cell }] }, ... }
+ *   Only actors with at least one change are included.
+ */
+export function diffSchedules(previous, current) {
+  const id = (c) => `${c.date}|${c.shift}|${c.scenario}`;
+  const before = flattenSchedule(previous);
+  const after = flattenSchedule(current);
+  const actors = [...new Set([...before, ...after].map((c) => c.actor))];
+  const changes = {};
+
+  for (const actor of actors) {
+    const had = before.filter((c) => c.actor === actor);
+    const has = after.filter((c) => c.actor === actor);
+    const hasIds = new Set(has.map(id));
+    const hadIds = new Set(had.map(id));
+    const removed = had.filter((c) => !hasIds.has(id(c)));
+    const added = has.filter((c) => !hadIds.has(id(c)));
+    const moved = [];
+
+    const pairUp = (match) => {
+      for (const from of [...removed]) {
+        const to = added.find((c) => match(from, c));
+        if (!to) continue;
+        moved.push({ from, to });
+        removed.splice(removed.indexOf(from), 1);
+        added.splice(added.indexOf(to), 1);
+      }
+    };
+    pairUp((a, b) => a.weekKey === b.weekKey && a.slotKey === b.slotKey && a.shift === b.shift && a.scenario === b.scenario);
+    pairUp((a, b) => a.date === b.date);
+
+    if (added.length || removed.length || moved.length) {
+      const byDate = (a, b) => a.date.localeCompare(b.date);
+      changes[actor] = { added: added.sort(byDate), removed: removed.sort(byDate), moved: moved.sort((a, b) => byDate(a.to, b.to)) };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Generates a text message telling one actor what changed since the schedule went out.
+ *
+ * @param {string} actor
+ * @param {{ added: Array, removed: Array, moved: Array }} changes - One entry from diffSchedules
+ * @param {string} monthName
+ * @param {number} year
+ * @param {Object} config
+ * @returns {string}
+ */
+export function genChangeMsg(actor, changes, monthName, year, config) {
+  const icons = config.scenarioIcons || {};
+  const shifts = getShifts(config);
+  const shiftLabel = (id) => shifts.find((sh) => sh.id === id)?.label || id;
+  const describe = (c) => `${fmtDateLong(c.date)} \u2014 ${shiftLabel(c.shift)}, ${icons[c.scenario] || "\u2022"} ${c.scenario}`;
+
+  const lines = [];
+  lines.push(`Hi ${actor},`);
+  lines.push("");
+  lines.push(`There's been a change to your CIT schedule for ${monthName} ${year}:`);
+
+  for (const m of changes.moved) {
+    lines.push("");
+    lines.push(`\uD83D\uDD01 Moved: ${describe(m.from)}`);
+    lines.push(`   \u2192 now ${describe(m.to)}`);
+  }
+  for (const c of changes.added) {
+    lines.push("");
+    lines.push(`\u2795 Added: ${describe(c)}`);
+  }
+  for (const c of changes.removed) {
+    lines.push("");
+    lines.push(`\u274C Canceled: ${describe(c)}`);
+  }
+
+  lines.push("");
+  lines.push("Please confirm you got this. Thank you!");
+  return lines.join("\n");
 }
 
 // ---------------------------------------------------------------------------
@@ -574,13 +1991,13 @@ function hasConflict(actor, scenario, shift, weekAssignments, conflicts) {
  * @param {Object} weekPlans
  * @param {Object} schedule
  * @param {Object} config
- * @returns {Object} - { "Decatur": { total: 4, scenarios: { "Depression": 2, ... } }, ... }
+ * @returns {Object} - { "Decatur": { total: 4, load: 5, scenarios: { "Depression": 2, ... } }, ... }
  */
 export function getActorStats(weeks, weekPlans, schedule, config) {
   const stats = {};
 
   for (const actor of config.actors) {
-    stats[actor] = { total: 0, scenarios: {} };
+    stats[actor] = { total: 0, load: 0, scenarios: {} };
   }
 
   if (!schedule) return stats;
@@ -590,11 +2007,11 @@ export function getActorStats(weeks, weekPlans, schedule, config) {
     const weekSched = schedule[weekKey];
     if (!weekSched) continue;
 
-    for (const slotKey of SLOT_KEYS) {
+    for (const slotKey of getSlotKeys(config)) {
       const slotData = weekSched[slotKey];
       if (!slotData) continue; // canceled
 
-      for (const shift of SHIFTS) {
+      for (const shift of getShiftIds(config)) {
         const shiftAssignments = slotData[shift];
         if (!shiftAssignments) continue;
 
@@ -602,9 +2019,10 @@ export function getActorStats(weeks, weekPlans, schedule, config) {
           if (!actor) continue; // unfilled
           if (!stats[actor]) {
             // Actor exists in schedule but was removed from config — still count
-            stats[actor] = { total: 0, scenarios: {} };
+            stats[actor] = { total: 0, load: 0, scenarios: {} };
           }
           stats[actor].total++;
+          stats[actor].load += scenarioWeight(config, scenario);
           stats[actor].scenarios[scenario] =
             (stats[actor].scenarios[scenario] || 0) + 1;
         }
@@ -628,12 +2046,14 @@ export function getActorStats(weeks, weekPlans, schedule, config) {
  * @param {string} monthName - e.g. "March"
  * @param {number|string} year - e.g. 2026
  * @param {Object} config - needs scenarioIcons, slotNames, slotScenarios
+ * @param {Object} [standby] - generateSchedule's standby lists, listed as "on call"
  * @returns {string}
  */
-export function genShareText(weeks, weekPlans, schedule, monthName, year, config) {
+export function genShareText(weeks, weekPlans, schedule, monthName, year, config, standby = {}) {
   const icons = config.scenarioIcons || {};
-  const slotNames = config.slotNames || { slot1: "Day 1", slot2: "Day 2", slot3: "Day 3" };
-  const shiftLabels = { AM: "\u2600\uFE0F Noon", PM: "\uD83C\uDF19 8PM" };
+  const slotNames = config.slotNames || {};
+  const slotKeys = getSlotKeys(config);
+  const shifts = getShifts(config);
 
   const lines = [];
   lines.push("\uD83D\uDCCB CIT ACTOR SCHEDULE");
@@ -650,7 +2070,7 @@ export function genShareText(weeks, weekPlans, schedule, monthName, year, config
     // Check if entire week is canceled (all slots null)
     const allCanceled =
       !wp ||
-      SLOT_KEYS.every((sk) => !wp[sk]);
+      slotKeys.every((sk) => !wp[sk]);
 
     if (allCanceled) {
       lines.push(`WEEK ${wi + 1}  \u00B7  CANCELED`);
@@ -660,8 +2080,8 @@ export function genShareText(weeks, weekPlans, schedule, monthName, year, config
     lines.push(`WEEK ${wi + 1}`);
     lines.push("\u2500".repeat(28));
 
-    for (let si = 0; si < SLOT_KEYS.length; si++) {
-      const slotKey = SLOT_KEYS[si];
+    for (let si = 0; si < slotKeys.length; si++) {
+      const slotKey = slotKeys[si];
       const date = wp ? wp[slotKey] : null;
 
       if (!date) continue; // slot canceled
@@ -671,9 +2091,8 @@ export function genShareText(weeks, weekPlans, schedule, monthName, year, config
 
       lines.push(`\uD83D\uDCC5 ${fmtDateLong(date)} \u2014 ${dayLabel}`);
 
-      for (const shift of SHIFTS) {
-        const label = shiftLabels[shift];
-        lines.push(`  ${label}:`);
+      for (const { id: shift, icon: shiftIcon, label } of shifts) {
+        lines.push(`  ${shiftIcon ? `${shiftIcon} ` : ""}${label}:`);
 
         const scenarios = config.slotScenarios[slotKey] || [];
         for (const scenario of scenarios) {
@@ -681,8 +2100,11 @@ export function genShareText(weeks, weekPlans, schedule, monthName, year, config
             slotData && slotData[shift] ? slotData[shift][scenario] : null;
           const icon = icons[scenario] || "\u2022";
           const actorName = actor || "UNASSIGNED";
-          lines.push(`    ${icon} ${scenario}: ${actorName}`);
+          const onCall = standby[standbyKey(weekKey, slotKey, shift, scenario)];
+          lines.push(`    ${icon} ${scenario}: ${actorName}${onCall ? ` (on call: ${onCall.join(", ")})` : ""}`);
         }
+        const onCall = standby[standbyKey(weekKey, slotKey, shift)];
+        if (onCall) lines.push(`    \uD83D\uDEDF On call: ${onCall.join(", ")}`);
       }
     }
   }
@@ -704,12 +2126,14 @@ export function genShareText(weeks, weekPlans, schedule, monthName, year, config
  * @param {string} monthName
  * @param {number|string} year
  * @param {Object} config
+ * @param {Object} [standby] - generateSchedule's standby lists; the actor's on-call tours are listed too
  * @returns {string}
  */
-export function genActorMsg(actor, weeks, weekPlans, schedule, monthName, year, config) {
+export function genActorMsg(actor, weeks, weekPlans, schedule, monthName, year, config, standby = {}) {
   const icons = config.scenarioIcons || {};
-  const shiftLabels = { AM: "Noon", PM: "8 PM" };
+  const shifts = getShifts(config);
   const assignments = [];
+  const onCall = [];
 
   for (let wi = 0; wi < weeks.length; wi++) {
     const weekKey = `week${wi}`;
@@ -717,17 +2141,25 @@ export function genActorMsg(actor, weeks, weekPlans, schedule, monthName, year,
     const weekSched = schedule[weekKey];
     if (!wp || !weekSched) continue;
 
-    for (const slotKey of SLOT_KEYS) {
+    for (const slotKey of getSlotKeys(config)) {
       const date = wp[slotKey];
       if (!date) continue;
 
       const slotData = weekSched[slotKey];
       if (!slotData) continue;
 
-      for (const shift of SHIFTS) {
+      for (const { id: shift, label: shiftLabel } of shifts) {
         const shiftData = slotData[shift];
         if (!shiftData) continue;
 
+        // Standby for the whole tour, or for particular scenarios in it
+        const tourRank = (standby[standbyKey(weekKey, slotKey, shift)] || []).indexOf(actor);
+        const forScenarios = Object.keys(shiftData).filter(sc => (standby[standbyKey(weekKey, slotKey, shift, sc)] || []).includes(actor));
+        if (tourRank >= 0 || forScenarios.length) {
+          const what = forScenarios.length ? `for ${forScenarios.join(", ")}` : `#${tourRank + 1}`;
+          onCall.push(`\uD83D\uDCC5 ${fmtDateLong(date)} \u2014 ${shiftLabel}\n   \uD83D\uDEDF Standby ${what}`);
+        }
+
         for (const [scenario, assigned] of Object.entries(shiftData)) {
           if (assigned === actor) {
             const icon = icons[scenario] || "\u2022";
@@ -736,7 +2168,7 @@ export function genActorMsg(actor, weeks, weekPlans, schedule, monthName, year,
               shift,
               scenario,
               icon,
-              label: `\uD83D\uDCC5 ${fmtDateLong(date)} \u2014 ${shiftLabels[shift]}\n   ${icon} Playing: ${scenario}`,
+              label: `\uD83D\uDCC5 ${fmtDateLong(date)} \u2014 ${shiftLabel}\n   ${icon} Playing: ${scenario}`,
             });
           }
         }
@@ -744,7 +2176,7 @@ export function genActorMsg(actor, weeks, weekPlans, schedule, monthName, year,
     }
   }
 
-  if (assignments.length === 0) {
+  if (assignments.length === 0 && onCall.length === 0) {
     return [
       `Hi ${actor},`,
       "",
@@ -765,8 +2197,17 @@ export function genActorMsg(actor, weeks, weekPlans, schedule, monthName, year,
     lines.push(a.label);
   }
 
+  if (onCall.length) {
+    lines.push("");
+    lines.push("On call \u2014 keep these free in case someone calls out:");
+    for (const label of onCall) {
+      lines.push("");
+      lines.push(label);
+    }
+  }
+
   lines.push("");
-  lines.push(`Total: ${assignments.length} shift${assignments.length !== 1 ? "s" : ""}`);
+  lines.push(`Total: ${assignments.length} shift${assignments.length !== 1 ? "s" : ""}${onCall.length ? ` + ${onCall.length} on call` : ""}`);
   lines.push("");
   lines.push("Please confirm receipt. Thank you!");
 
@@ -797,7 +2238,13 @@ export function genStatsReport(actorStats, fairnessReport, monthName, year, conf
     lines.push("");
     lines.push(`Distribution Evenness: ${fairnessReport.overallFairness}%`);
     lines.push(`Target: ~${Math.round(fairnessReport.fairTarget)} shifts per actor`);
+    if (fairnessReport.loadTarget != null) {
+      lines.push(`Load Target: ~${fairnessReport.loadTarget} weighted load per actor (heavy roles weigh more)`);
+    }
     lines.push(`Total Slots: ${fairnessReport.totalSlots}`);
+    if (fairnessReport.preferences?.total) {
+      lines.push(`Preferences Honored: ${fairnessReport.preferences.honored}/${fairnessReport.preferences.total}`);
+    }
   }
 
   lines.push("");
@@ -813,7 +2260,7 @@ export function genStatsReport(actorStats, fairnessReport, monthName, year, conf
     const phone = config.actorPhones?.[actor];
     lines.push("");
     lines.push(`\u25A0 ${actor}${phone ? `  \uD83D\uDCF1 ${phone}` : ""}`);
-    lines.push(`  Shifts: ${s.total}`);
+    lines.push(`  Shifts: ${s.total}${s.load != null && s.load !== s.total ? ` \u00B7 Load ${s.load}` : ""}`);
     const scenList = Object.entries(s.scenarios)
       .sort((a, b) => b[1] - a[1])
       .map(([sc, count]) => `${config.scenarioIcons?.[sc] || "\u2022"} ${sc} \u00D7${count}`)
@@ -822,7 +2269,8 @@ export function genStatsReport(actorStats, fairnessReport, monthName, year, conf
     if (fairnessReport?.actors?.[actor]) {
       const fi = fairnessReport.actors[actor];
       const gap = fi.gap > 0 ? `+${fi.gap}` : `${fi.gap}`;
-      lines.push(`  vs target: ${gap}`);
+      lines.push(`  vs load target: ${gap}`);
+      if (fi.preferences?.total) lines.push(`  Preferences: ${fi.preferences.honored}/${fi.preferences.total} honored`);
     }
   }
 